@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/* ==========================================================================
+   error-pages — CLI
+     error-pages build [--config errors.json] [--out dist] [--codes 404,503]
+     error-pages server-config <nginx|apache> [--dir dist] [--public-path /errors/]
+   ========================================================================== */
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { build } = require("../lib/build");
+const { PRESETS } = require("../lib/presets");
+const { serverConfig } = require("../lib/server-config");
+
+const USAGE = `Uso: error-pages <comando> [opções]
+
+Comandos:
+  build           gera as páginas de erro e o themes.css
+  presets         lista os códigos com preset
+  server-config   imprime o snippet de nginx (error_page) ou Apache (ErrorDocument) para um build
+
+Opções do build:
+  --config <arquivo>   JSON com homeUrl, lang, presets e errors (opcional)
+  --out <dir>          diretório de saída (padrão: dist)
+  --codes <lista>      só esses códigos, separados por vírgula
+
+Opções do server-config:
+  --dir <dir>          saída do build (padrão: dist)
+  --public-path <url>  URL em que o diretório é publicado (padrão: /errors/)
+
+Geral:
+  -h, --help           mostra esta ajuda
+`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "-h" || arg === "--help") {
+      args.help = true;
+    } else if (arg.startsWith("--")) {
+      const [key, inline] = arg.slice(2).split("=", 2);
+      args[key] = inline ?? argv[++i];
+      if (args[key] === undefined) throw new Error(`opção --${key} precisa de um valor`);
+    } else {
+      args._.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function readConfig(file) {
+  if (!file) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`não foi possível ler ${file}: ${err.message}`);
+  }
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const [command] = args._;
+
+  if (args.help || !command) {
+    process.stdout.write(USAGE);
+    return command || args.help ? 0 : 1;
+  }
+
+  if (command === "presets") {
+    for (const [code, preset] of Object.entries(PRESETS)) {
+      process.stdout.write(`${code}  ${preset.title}\n`);
+    }
+    return 0;
+  }
+
+  if (command === "build") {
+    const outDir = path.resolve(args.out ?? "dist");
+    const codes = args.codes ? String(args.codes).split(",").map((c) => c.trim()).filter(Boolean) : undefined;
+
+    const result = build(readConfig(args.config), { outDir, codes });
+    process.stdout.write(`${result.pages.length} páginas geradas em ${path.relative(process.cwd(), outDir) || "."}: ${result.pages.join(", ")}\n`);
+    return 0;
+  }
+
+  if (command === "server-config") {
+    const [, format] = args._;
+    if (!format) throw new Error("informe o formato: nginx ou apache");
+
+    process.stdout.write(serverConfig(format, { dir: args.dir ?? "dist", publicPath: args["public-path"] }));
+    return 0;
+  }
+
+  process.stderr.write(`comando desconhecido: ${command}\n\n${USAGE}`);
+  return 1;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`error-pages: ${err.message}\n`);
+  process.exitCode = 1;
+}
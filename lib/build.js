@@ -0,0 +1,208 @@
+/* ==========================================================================
+   Build das páginas de erro
+   - Renderiza templates/error.html para cada código, com os textos do
+     catálogo i18n do runtime (static/js/i18n.js) no idioma de `lang`
+   - Gera static/css/themes.css a partir das specs de tema
+   - Copia static/ (css, js, img, sound) para o diretório de saída
+   - Gera sw.js (templates/sw.js) com a lista de pré-cache e a versão do cache
+   ========================================================================== */
+
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { createTranslator, matchLocale } = require("../static/js/i18n.js");
+const { PRESETS } = require("./presets");
+const { defaultThemeCss, themeToCss, validateTheme } = require("./theme");
+
+const ROOT = path.resolve(__dirname, "..");
+const TEMPLATE_PATH = path.join(ROOT, "templates", "error.html");
+const SW_TEMPLATE_PATH = path.join(ROOT, "templates", "sw.js");
+const STATIC_DIR = path.join(ROOT, "static");
+
+/**
+ * @typedef {object} ErrorPageSpec
+ * @property {string} title          título em inglês ("Page Not Found")
+ * @property {string} [lead]         frase do overlay antes de "Quer jogar de novo…" (padrão: catálogo i18n)
+ * @property {string} [text]         texto que vira as peças (padrão: o código)
+ * @property {string} [themeColor]   <meta name="theme-color"> (padrão: theme.bg)
+ * @property {import("./theme").ThemeSpec} theme
+ */
+
+/**
+ * @typedef {object} BuildConfig
+ * @property {string} [homeUrl]      padrão "/home"
+ * @property {string} [lang]         idioma dos textos; padrão "pt-BR" (ver locales em i18n.js)
+ * @property {boolean} [presets]     false = só os códigos de `errors` (padrão: todos os presets)
+ * @property {Record<string, Partial<ErrorPageSpec> | true>} [errors]  sobrescreve/adiciona códigos
+ * @property {ServiceWorkerConfig | false} [serviceWorker]  false = não gera sw.js
+ */
+
+/**
+ * @typedef {object} ServiceWorkerConfig
+ * @property {string} [scope]          prefixo das navegações interceptadas (padrão: escopo do registro)
+ * @property {number} [offlineStatus]  status da página "offline" quando a rede falha (padrão 503)
+ */
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+/** `{{ chave }}` → valor escapado; chave desconhecida é erro (evita página com placeholder). */
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (!(key in vars)) throw new Error(`template: variável desconhecida "${key}"`);
+    return escapeHtml(vars[key]);
+  });
+}
+
+/**
+ * Junta presets e config em uma spec completa por código.
+ * @param {BuildConfig} config
+ * @returns {Record<string, ErrorPageSpec>}
+ */
+function resolvePages(config = {}) {
+  const pages = {};
+
+  if (config.presets !== false) {
+    for (const [code, preset] of Object.entries(PRESETS)) pages[code] = preset;
+  }
+
+  for (const [code, entry] of Object.entries(config.errors ?? {})) {
+    const base = PRESETS[code];
+    const override = entry === true ? {} : entry;
+
+    if (!base && !override.theme) throw new Error(`erro ${code}: sem preset, informe "theme"`);
+
+    pages[code] = {
+      ...base,
+      ...override,
+      theme: { ...base?.theme, ...override.theme }
+    };
+  }
+
+  const problems = [];
+  for (const [code, page] of Object.entries(pages)) {
+    if (!/^[\w-]+$/.test(code)) problems.push(`código inválido "${code}"`);
+    if (!page.title) problems.push(`erro ${code}: title é obrigatório`);
+    problems.push(...validateTheme(code, page.theme));
+  }
+  if (problems.length > 0) throw new Error(problems.join("\n"));
+
+  return pages;
+}
+
+function buildThemesCss(pages) {
+  const header = `/* Gerado por error-pages build — não editar à mão.
+   Paleta padrão (tema 404) e temas por código de erro; as variáveis base
+   ficam em game.css. */\n\n`;
+  const blocks = Object.entries(pages).map(([code, page]) => themeToCss(code, page.theme));
+
+  return header + [defaultThemeCss(), ...blocks].join("\n");
+}
+
+/**
+ * @param {BuildConfig} config
+ * @param {{ outDir: string, codes?: string[] }} options
+ * @returns {{ pages: string[], outDir: string }}
+ */
+function build(config, { outDir, codes }) {
+  let pages = resolvePages(config);
+
+  if (codes && codes.length > 0) {
+    const missing = codes.filter((code) => !pages[code]);
+    if (missing.length > 0) throw new Error(`códigos sem preset/config: ${missing.join(", ")}`);
+    pages = Object.fromEntries(codes.map((code) => [code, pages[code]]));
+  }
+
+  const template = fs.readFileSync(TEMPLATE_PATH, "utf8");
+  const homeUrl = config.homeUrl ?? "/home";
+  const lang = config.lang ?? "pt-BR";
+  const locale = matchLocale([lang]);
+  if (!locale) throw new Error(`idioma sem tradução: "${lang}"`);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.cpSync(STATIC_DIR, path.join(outDir, "static"), { recursive: true });
+
+  for (const [code, page] of Object.entries(pages)) {
+    const t = createTranslator(locale, code);
+    const vars = { code, homeUrl };
+
+    const html = renderTemplate(template, {
+      code,
+      lang,
+      homeUrl,
+      title: page.title,
+      text: page.text ?? code,
+      themeColor: page.themeColor ?? page.theme.bg ?? page.theme.gradient.end,
+      description: t("meta.description", vars),
+      pageLabel: t("page.label", vars),
+      canvasLabel: t("canvas.label", vars),
+      overlayTitle: t("overlay.title", vars),
+      overlayText: t("overlay.text", { ...vars, lead: page.lead ?? t("overlay.lead", vars) }),
+      actionsLabel: t("overlay.actions", vars),
+      restart: t("action.restart", vars),
+      next: t("action.next", vars),
+      skip: t("a11y.skip", vars),
+      home: t("action.home", vars),
+      hint: t("hint.pointer", vars),
+      noscript: t("noscript", vars)
+    });
+
+    fs.writeFileSync(path.join(outDir, `${code}.html`), html);
+  }
+
+  fs.writeFileSync(path.join(outDir, "static", "css", "themes.css"), buildThemesCss(pages));
+
+  if (config.serviceWorker !== false) {
+    fs.writeFileSync(path.join(outDir, "sw.js"), buildServiceWorker(outDir, Object.keys(pages), config.serviceWorker));
+  }
+
+  return { pages: Object.keys(pages), outDir };
+}
+
+// Caminhos relativos (com "/") de todos os arquivos sob dir
+function listFiles(dir, base = dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(full, base) : [path.relative(base, full).split(path.sep).join("/")];
+    })
+    .sort();
+}
+
+/**
+ * sw.js com o manifest embutido. A versão é um hash do conteúdo pré-cacheado:
+ * qualquer mudança nas páginas/assets muda o sw.js, o navegador instala o
+ * worker novo e ele troca o cache (o antigo é apagado no activate).
+ * @param {string} outDir
+ * @param {string[]} codes
+ * @param {ServiceWorkerConfig} [options]
+ */
+function buildServiceWorker(outDir, codes, options = {}) {
+  const pages = Object.fromEntries(codes.map((code) => [code, `${code}.html`]));
+  const assets = listFiles(path.join(outDir, "static")).map((file) => `static/${file}`);
+
+  const hash = crypto.createHash("sha256");
+  for (const file of [...Object.values(pages), ...assets]) {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(outDir, file)));
+  }
+
+  const manifest = {
+    version: hash.digest("hex").slice(0, 12),
+    scope: options.scope ?? "",
+    offlineStatus: options.offlineStatus ?? 503,
+    pages,
+    assets
+  };
+
+  const template = fs.readFileSync(SW_TEMPLATE_PATH, "utf8");
+  if (!template.includes("__MANIFEST__")) throw new Error("templates/sw.js: marcador __MANIFEST__ ausente");
+
+  return template.replace("__MANIFEST__", JSON.stringify(manifest, null, 2));
+}
+
+module.exports = { build, resolvePages, renderTemplate, buildThemesCss, buildServiceWorker };
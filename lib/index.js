@@ -0,0 +1,23 @@
+/* ==========================================================================
+   error-pages — entrada do pacote Node
+     const { build, expressErrorHandler, koaErrorHandler, serverConfig } = require("error-pages");
+   ========================================================================== */
+
+"use strict";
+
+const { build, resolvePages } = require("./build");
+const { createErrorPages, expressErrorHandler, koaErrorHandler } = require("./middleware");
+const { PRESETS } = require("./presets");
+const { serverConfig, nginxConfig, apacheConfig } = require("./server-config");
+
+module.exports = {
+  build,
+  resolvePages,
+  PRESETS,
+  createErrorPages,
+  expressErrorHandler,
+  koaErrorHandler,
+  serverConfig,
+  nginxConfig,
+  apacheConfig
+};
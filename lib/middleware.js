@@ -0,0 +1,194 @@
+/* ==========================================================================
+   Handler de erro para servidores Node (Express e Koa)
+   - Serve a página temática do build (dist/404.html…) para err.status
+   - Código sem página vira a página de fallback (500), mantendo o status;
+     status ausente ou fora de 400–599 vira 500
+   - Injeta o contexto da requisição (path, request ID, Retry-After e, para
+     erros "expostos", a mensagem) no mesmo formato que o service worker
+   - Repassa o header Save-Data: o jogo começa no renderer leve
+   - Sem cache: a página de erro nunca pode ficar guardada no lugar da real
+   ========================================================================== */
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+/**
+ * @typedef {object} ErrorPagesOptions
+ * @property {string} dir                 saída do `error-pages build` (onde estão 404.html…)
+ * @property {string} [publicPath]        URL em que `dir` é servido (padrão "/errors/"): vira
+ *                                        o <base href>, para os assets relativos (./static/…) carregarem
+ * @property {string} [fallback]          página para códigos sem página própria (padrão "500")
+ * @property {string} [requestIdHeader]   header do request ID (padrão "x-request-id")
+ */
+
+/**
+ * @typedef {object} RenderedErrorPage
+ * @property {number} status
+ * @property {Record<string, string>} headers
+ * @property {string} body
+ */
+
+const DEFAULT_PUBLIC_PATH = "/errors/";
+
+// "<" escapado: o JSON não pode fechar o <script>; atributos só com texto escapado
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+const escapeAttr = (value) => String(value).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+/**
+ * Lê as páginas do build uma vez (código → html). Falha na criação do
+ * handler, não no primeiro erro em produção.
+ * @param {string} dir
+ * @returns {Map<string, string>}
+ */
+function loadPages(dir) {
+  const pages = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = /^([\w-]+)\.html$/.exec(file);
+    if (match) pages.set(match[1], fs.readFileSync(path.join(dir, file), "utf8"));
+  }
+
+  if (pages.size === 0) throw new Error(`error-pages: nenhuma página em ${dir} (rode "error-pages build")`);
+  return pages;
+}
+
+/** err.status / err.statusCode (http-errors, Koa, Express); o resto é 500. */
+function resolveStatus(err) {
+  const status = Number(err?.status ?? err?.statusCode);
+  return Number.isInteger(status) && status >= 400 && status <= 599 ? status : 500;
+}
+
+/** Header que acompanha o erro (http-errors guarda em err.headers, ex.: Retry-After do 503). */
+function errorHeader(err, name) {
+  const headers = err?.headers ?? {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key === undefined ? undefined : String(headers[key]);
+}
+
+/**
+ * Núcleo comum dos handlers: renderiza a página de um erro sem depender do framework.
+ * @param {ErrorPagesOptions} options
+ */
+function createErrorPages(options = {}) {
+  if (!options.dir) throw new TypeError("error-pages: informe `dir` (saída do build)");
+
+  const pages = loadPages(path.resolve(options.dir));
+  const publicPath = options.publicPath ?? DEFAULT_PUBLIC_PATH;
+  const fallback = options.fallback ?? "500";
+  const requestIdHeader = (options.requestIdHeader ?? "x-request-id").toLowerCase();
+
+  /**
+   * Página, status e headers para um erro. `request` traz só o que vai para
+   * o contexto: { path, requestId, retryAfter, saveData }.
+   * @returns {RenderedErrorPage}
+   */
+  function render(err, request = {}) {
+    const status = resolveStatus(err);
+    const html = pages.get(String(status)) ?? pages.get(fallback);
+
+    const context = { timestamp: new Date().toISOString() };
+    if (request.path) context.path = request.path;
+    if (request.requestId) context.requestId = String(request.requestId);
+    const retryAfter = request.retryAfter ?? errorHeader(err, "retry-after");
+    if (retryAfter !== undefined) context.retryAfter = retryAfter;
+    if (request.saveData) context.saveData = true;
+    // Mensagem só de erros marcados como públicos (http-errors: 4xx); 5xx pode vazar detalhes internos
+    if (err?.expose && err.message) context.message = String(err.message);
+
+    const headers = {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Error-Pages": "server"
+    };
+    if (retryAfter !== undefined) headers["Retry-After"] = String(retryAfter);
+
+    const body = html
+      ? injectContext(html, context, publicPath)
+      : `<!doctype html><title>${status}</title><h1>${status}</h1>`; // build sem a página de fallback
+
+    return { status, headers, body };
+  }
+
+  return { render, requestIdHeader, codes: [...pages.keys()] };
+}
+
+// Save-Data: on (Client Hint de economia de dados)
+const isSaveData = (headers) => /^on$/i.test(String(headers["save-data"] ?? "").trim());
+
+/**
+ * <base href> aponta os assets relativos para onde o build é servido (a
+ * página responde na URL que falhou, ex.: /pedidos/42); o JSON alimenta o
+ * painel de diagnóstico e o Retry-After do jogo.
+ */
+function injectContext(html, context, publicPath) {
+  return html
+    .replace(/<head>/i, `<head>\n  <base href="${escapeAttr(publicPath)}" />`)
+    .replace(/<\/body>/i, `  <script type="application/json" id="error-context">${toScriptJson(context)}</script>\n</body>`);
+}
+
+/**
+ * Express (ou connect / node:http): `app.use(expressErrorHandler({ dir }))`
+ * depois das rotas. Os 4 parâmetros são o que o Express usa para reconhecer
+ * um handler de erro.
+ * @param {ErrorPagesOptions} options
+ */
+function expressErrorHandler(options) {
+  const pages = createErrorPages(options);
+
+  return function errorPagesHandler(err, req, res, next) {
+    // Resposta já começou: só o handler padrão consegue encerrar a conexão
+    if (res.headersSent) {
+      if (typeof next === "function") next(err);
+      else res.destroy?.(err);
+      return;
+    }
+
+    // req.id: express-request-id e afins; senão o header da requisição ou o que a app já respondeu
+    const page = pages.render(err, {
+      path: req.originalUrl ?? req.url,
+      requestId: req.id ?? req.headers[pages.requestIdHeader] ?? res.getHeader(pages.requestIdHeader),
+      saveData: isSaveData(req.headers)
+    });
+
+    res.statusCode = page.status;
+    for (const [name, value] of Object.entries(page.headers)) res.setHeader(name, value);
+    res.end(req.method === "HEAD" ? undefined : page.body);
+  };
+}
+
+/**
+ * Koa: `app.use(koaErrorHandler({ dir }))` como primeiro middleware. Também
+ * cobre rota sem resposta (o 404 implícito do Koa).
+ * @param {ErrorPagesOptions} options
+ */
+function koaErrorHandler(options) {
+  const pages = createErrorPages(options);
+
+  return async function errorPagesMiddleware(ctx, next) {
+    let error;
+
+    try {
+      await next();
+      if (ctx.status === 404 && ctx.body == null) error = { status: 404, expose: true };
+    } catch (err) {
+      error = err;
+      // Mantém o log padrão do Koa (app.on("error")), que ignora 404 e erros expostos
+      ctx.app?.emit?.("error", err, ctx);
+    }
+
+    if (!error) return;
+
+    const page = pages.render(error, {
+      path: ctx.originalUrl ?? ctx.url,
+      requestId: ctx.state?.requestId ?? ctx.req.headers[pages.requestIdHeader] ?? ctx.response?.get(pages.requestIdHeader),
+      saveData: isSaveData(ctx.req.headers)
+    });
+    ctx.status = page.status;
+    ctx.set(page.headers);
+    ctx.body = page.body;
+  };
+}
+
+module.exports = { createErrorPages, expressErrorHandler, koaErrorHandler, resolveStatus };
@@ -0,0 +1,127 @@
+/* ==========================================================================
+   Presets de páginas de erro
+   Cada preset = título + spec de tema (ver lib/theme.js).
+   403/404/500 usam os temas embutidos do runtime (static/js/themes.js).
+   ========================================================================== */
+
+"use strict";
+
+const { BUILTIN_THEMES } = require("../static/js/themes.js");
+
+/** @type {Record<string, import("./build").ErrorPageSpec>} */
+const PRESETS = {
+  400: {
+    title: "Bad Request",
+    theme: {
+      accent: "#2dd4bf",
+      accent2: "#14b8a6",
+      bg: "#020a09",
+      panel: "rgba(2, 20, 18, 0.82)",
+      gradient: { start: "#021a17", mid: "#020f0d", end: "#000a08" },
+      pieceHue: { min: 150, max: 200 }
+    }
+  },
+
+  401: {
+    title: "Unauthorized",
+    theme: {
+      accent: "#c084fc",
+      accent2: "#a855f7",
+      bg: "#07020a",
+      panel: "rgba(16, 2, 23, 0.82)",
+      gradient: { start: "#14051a", mid: "#0b020f", end: "#0a0014" },
+      pieceHue: { min: 260, max: 320 }
+    }
+  },
+
+  403: {
+    title: "Forbidden",
+    theme: BUILTIN_THEMES[403]
+  },
+
+  404: {
+    title: "Page Not Found",
+    theme: BUILTIN_THEMES[404]
+  },
+
+  408: {
+    title: "Request Timeout",
+    theme: {
+      accent: "#a3e635",
+      accent2: "#84cc16",
+      bg: "#050a02",
+      panel: "rgba(10, 23, 2, 0.82)",
+      gradient: { start: "#0d1a02", mid: "#070f02", end: "#081400" },
+      pieceHue: { min: 70, max: 120 }
+    }
+  },
+
+  429: {
+    title: "Too Many Requests",
+    theme: {
+      accent: "#f472b6",
+      accent2: "#ec4899",
+      bg: "#0a0207",
+      panel: "rgba(23, 2, 14, 0.82)",
+      gradient: { start: "#1a0511", mid: "#0f020a", end: "#14000a" },
+      pieceHue: { min: 300, max: 350 }
+    }
+  },
+
+  500: {
+    title: "Internal Server Error",
+    theme: BUILTIN_THEMES[500]
+  },
+
+  502: {
+    title: "Bad Gateway",
+    theme: {
+      accent: "#fb923c",
+      accent2: "#ea580c",
+      bg: "#0a0402",
+      panel: "rgba(23, 8, 2, 0.82)",
+      gradient: { start: "#1a0a02", mid: "#0f0502", end: "#140500" },
+      pieceHue: { min: 0, max: 40 }
+    }
+  },
+
+  503: {
+    title: "Service Unavailable",
+    theme: {
+      accent: "#818cf8",
+      accent2: "#6366f1",
+      bg: "#03020a",
+      panel: "rgba(6, 2, 23, 0.82)",
+      gradient: { start: "#07051a", mid: "#04020f", end: "#020014" },
+      pieceHue: { min: 220, max: 270 }
+    }
+  },
+
+  504: {
+    title: "Gateway Timeout",
+    theme: {
+      accent: "#22d3ee",
+      accent2: "#0891b2",
+      bg: "#02090a",
+      panel: "rgba(2, 18, 23, 0.82)",
+      gradient: { start: "#02161a", mid: "#020d0f", end: "#001014" },
+      pieceHue: { min: 170, max: 220 }
+    }
+  },
+
+  // Sem rede: servida pelo service worker (sw.js) quando a navegação falha
+  offline: {
+    title: "No Connection",
+    text: "OFF",
+    theme: {
+      accent: "#94a3b8",
+      accent2: "#64748b",
+      bg: "#020409",
+      panel: "rgba(6, 10, 20, 0.82)",
+      gradient: { start: "#0b1220", mid: "#060b16", end: "#020409" },
+      pieceHue: { min: 200, max: 230 }
+    }
+  }
+};
+
+module.exports = { PRESETS };
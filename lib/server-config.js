@@ -0,0 +1,141 @@
+/* ==========================================================================
+   Snippets de servidor para a saída do build
+   - nginx: error_page por código + location que serve o diretório
+   - Apache: ErrorDocument por código + Alias do diretório
+   - 5xx sem página própria caem na 500 (mesma regra do handler e do SW)
+   - As páginas respondem na URL que falhou: um <base href> (sub_filter /
+     mod_substitute) aponta os assets relativos para o diretório publicado
+   ========================================================================== */
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// Códigos que o servidor costuma gerar sozinho; só entram os que não têm página
+const SERVER_5XX = [500, 502, 503, 504];
+
+/**
+ * @typedef {object} ServerConfigOptions
+ * @property {string} dir            saída do `error-pages build`
+ * @property {string} [publicPath]   URL em que `dir` é publicado (padrão "/errors/")
+ */
+
+/**
+ * Códigos HTTP com página no build (a "offline" é do service worker, não do servidor).
+ * @param {string} dir
+ * @returns {number[]}
+ */
+function listStatusPages(dir) {
+  const codes = fs
+    .readdirSync(dir)
+    .map((file) => /^([45]\d\d)\.html$/.exec(file)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  if (codes.length === 0) throw new Error(`error-pages: nenhuma página de status em ${dir} (rode "error-pages build")`);
+  return codes;
+}
+
+function normalizeOptions({ dir, publicPath = "/errors/" } = {}) {
+  if (!dir) throw new TypeError("error-pages: informe `dir` (saída do build)");
+  if (!/^\/([\w.~-]+\/)*$/.test(publicPath)) throw new Error(`publicPath inválido: "${publicPath}" (ex.: "/errors/")`);
+
+  const root = path.resolve(dir);
+  return { root, publicPath, codes: listStatusPages(root) };
+}
+
+/**
+ * Página de cada código: a própria, ou a 500 para os 5xx do servidor sem página.
+ * @returns {Map<string, number[]>} arquivo → códigos
+ */
+function routePages(codes) {
+  const routes = new Map(codes.map((code) => [`${code}.html`, [code]]));
+
+  if (codes.includes(500)) {
+    for (const code of SERVER_5XX) {
+      if (!codes.includes(code)) routes.get("500.html").push(code);
+    }
+  }
+
+  return routes;
+}
+
+// quote: as aspas do atributo são as que não delimitam a string da diretiva
+const baseTag = (publicPath, quote) => `<head><base href=${quote}${publicPath}${quote} />`;
+
+/**
+ * @param {ServerConfigOptions} options
+ * @returns {string} bloco para o `server { … }`
+ */
+function nginxConfig(options) {
+  const { root, publicPath, codes } = normalizeOptions(options);
+  const lines = [`# Gerado por error-pages — páginas em ${root}`];
+
+  for (const [file, statuses] of routePages(codes)) {
+    lines.push(`error_page ${statuses.join(" ")} ${publicPath}${file};`);
+  }
+
+  // Sem "=" no error_page o status original é mantido; a página não entra em cache
+  lines.push(
+    "",
+    `location ^~ ${publicPath} {`,
+    `    alias ${root}/;`,
+    "",
+    `    location ~ \\.html$ {`,
+    `        add_header Cache-Control "no-store" always;`,
+    `        sub_filter_once on;`,
+    `        sub_filter "<head>" '${baseTag(publicPath, '"')}';`,
+    `        sub_filter "</body>" '<script type="application/json" id="error-context">{"requestId":"$request_id"}</script></body>';`,
+    "    }",
+    "}",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * @param {ServerConfigOptions} options
+ * @returns {string} bloco para o VirtualHost (ou .htaccess, sem o Alias)
+ */
+function apacheConfig(options) {
+  const { root, publicPath, codes } = normalizeOptions(options);
+  const lines = [`# Gerado por error-pages — páginas em ${root}`];
+
+  for (const [file, statuses] of routePages(codes)) {
+    for (const status of statuses) lines.push(`ErrorDocument ${status} ${publicPath}${file}`);
+  }
+
+  // mod_headers e mod_substitute; ErrorDocument local mantém o status original
+  lines.push(
+    "",
+    `Alias "${publicPath}" "${root}/"`,
+    `<Directory "${root}">`,
+    "    Require all granted",
+    "</Directory>",
+    `<LocationMatch "^${publicPath}[^/]+\\.html$">`,
+    `    Header always set Cache-Control "no-store"`,
+    "    AddOutputFilterByType SUBSTITUTE text/html",
+    `    Substitute "s|<head>|${baseTag(publicPath, "'")}|"`,
+    "</LocationMatch>",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+const FORMATS = { nginx: nginxConfig, apache: apacheConfig };
+
+/**
+ * @param {"nginx" | "apache"} format
+ * @param {ServerConfigOptions} options
+ */
+function serverConfig(format, options) {
+  const generate = FORMATS[format];
+  if (!generate) throw new Error(`formato desconhecido: "${format}" (use ${Object.keys(FORMATS).join(" ou ")})`);
+  return generate(options);
+}
+
+module.exports = { serverConfig, nginxConfig, apacheConfig, listStatusPages };
@@ -0,0 +1,100 @@
+/* ==========================================================================
+   Tema → bloco de variáveis CSS
+   Spec mínima: accent, gradient (start/mid/end) e pieceHue (min/max).
+   Mesmo formato dos temas JSON do runtime (GameTheme), e as variáveis saem
+   do mesmo themeToVars (static/js/themes.js): botões, nebulosa e fundo
+   derivados quando omitidos, campos do canvas e a variante `light`.
+   ========================================================================== */
+
+"use strict";
+
+const { BUILTIN_THEMES, DEFAULT_THEME, PARTICLE_SHAPES, themeToVars } = require("../static/js/themes.js");
+
+/**
+ * GameTheme com accent, gradient e pieceHue obrigatórios.
+ * @typedef {import("../static/js/themes.js").GameTheme} ThemeSpec
+ */
+
+// Mesmo seletor do esquema claro do game.css (e mesma especificidade, para vir por cima dele)
+const LIGHT_SELECTOR = ':not([data-color-scheme="dark"], [data-color-scheme="dark"] *, [data-theme-scheme="dark"])';
+
+const HEX_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Valida a spec e devolve uma lista de problemas (vazia = ok).
+ * @param {string} code
+ * @param {ThemeSpec} spec
+ */
+function validateTheme(code, spec) {
+  const errors = [];
+  const where = `tema do ${code}`;
+
+  if (!spec || typeof spec !== "object") return [`${where}: ausente`];
+
+  for (const key of ["accent", "accent2", "nebula2"]) {
+    if (spec[key] !== undefined && !HEX_RE.test(spec[key])) errors.push(`${where}: ${key} precisa ser hex (#rgb ou #rrggbb)`);
+  }
+  if (spec.accent === undefined) errors.push(`${where}: accent é obrigatório`);
+
+  for (const stop of ["start", "mid", "end"]) {
+    if (typeof spec.gradient?.[stop] !== "string") errors.push(`${where}: gradient.${stop} é obrigatório`);
+  }
+
+  for (const bound of ["min", "max"]) {
+    const hue = spec.pieceHue?.[bound];
+    if (!Number.isFinite(hue) || hue < 0 || hue > 360) errors.push(`${where}: pieceHue.${bound} precisa estar entre 0 e 360`);
+  }
+
+  if (spec.particles?.shape !== undefined && !PARTICLE_SHAPES.includes(spec.particles.shape)) {
+    errors.push(`${where}: particles.shape precisa ser ${PARTICLE_SHAPES.join(", ")}`);
+  }
+  if (spec.light !== undefined) {
+    if (!spec.light || typeof spec.light !== "object") errors.push(`${where}: light precisa ser um objeto`);
+    else if (spec.light.accent !== undefined && !HEX_RE.test(spec.light.accent)) errors.push(`${where}: light.accent precisa ser hex (#rgb ou #rrggbb)`);
+  }
+
+  return errors;
+}
+
+const declarations = (vars, indent) =>
+  Object.entries(vars)
+    .map(([name, value]) => `${indent}${name}: ${value};`)
+    .join("\n");
+
+// Bloco escuro em `selector` e, com `light`, o @media do esquema claro em `lightSelector`
+function themeBlocks(selector, lightSelector, spec) {
+  const lightCss = spec.light
+    ? `
+@media (prefers-color-scheme: light) {
+    ${lightSelector} {
+${declarations(themeToVars(spec.light), "        ")}
+    }
+}
+`
+    : "";
+
+  return `${selector} {
+${declarations(themeToVars(spec), "    ")}
+}
+${lightCss}`;
+}
+
+/**
+ * Gera o bloco `[data-error="…"]` (e o @media do esquema claro, quando a
+ * spec tem `light`).
+ * @param {string} code
+ * @param {ThemeSpec} spec
+ */
+function themeToCss(code, spec) {
+  return themeBlocks(`[data-error="${code}"]`, `[data-error="${code}"]${LIGHT_SELECTOR}`, spec);
+}
+
+/**
+ * Paleta padrão: o tema 404 embutido no :root (códigos sem tema próprio) e
+ * a variante clara dele em todo [data-error] que não traz a sua.
+ */
+function defaultThemeCss() {
+  return themeBlocks(":root", `[data-error]${LIGHT_SELECTOR}`, BUILTIN_THEMES[DEFAULT_THEME]);
+}
+
+module.exports = { themeToCss, defaultThemeCss, validateTheme };
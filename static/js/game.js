@@ -3,718 +3,5802 @@
    Boas práticas aplicadas:
    - Estado encapsulado (Game)
    - Constantes de config agrupadas
-   - Pointer Events (mouse + touch) unificados
+   - Pointer Events (mouse + touch) unificados, vários ponteiros por pointerId
+   - Co-op para dois (metades da tela no toque, mouse + teclado no desktop) e layout de polegares
+   - Teclado e Gamepad mapeados para o mesmo estado do ponteiro
    - Canvas HiDPI (devicePixelRatio) para ficar nítido
    - Pausa em background (visibilitychange)
-   - Overlay acessível (aria-hidden + foco)
+   - Simulação em passo fixo com RNG de semente (options.seed): mesma entrada, mesmo jogo
+   - Replay: cada partida vira um log (semente + entrada por passo) exportável; ?replay= reproduz a 1×/2×/4×
+   - Overlay acessível (aria-hidden + foco), skip link e progresso anunciado (aria-live)
+   - Acessibilidade: auto-mira/tiro automático, alto contraste e movimento reduzido
    - Configurável para diferentes códigos de erro
+   - Pontuação com combo, HUD e ranking local (localStorage) por código
+   - Modo difícil opcional (data-difficulty="hard"): peças atiram, vidas e derrota
+   - Contexto do servidor (request ID, mensagem, Retry-After) com painel de diagnóstico
+   - Health-check opcional: avisa (ou redireciona) quando o serviço volta
+   - Áudio via Web Audio API: pool de vozes, pan por posição, mudo/volume persistentes
+   - Tema lido uma vez (snapshot) e camadas estáticas pré-renderizadas; ?debug=1 mostra FPS
+   - Temas em JSON (registerTheme, setTheme, data-theme), esquema claro e skins de temporada por data
+   - Aparelhos fracos (Save-Data, bateria, FPS baixo): renderer leve e, por fim, cartão estático
+   - Peças a partir de texto (webfont, várias linhas), imagem ou SVG inline
+   - Níveis (ondas declarativas): peças que se movem, blindadas, que regeneram e soltam destroços
+   - Power-ups que caem das peças (registro de plugins: ErrorGame.registerPowerUp)
+   - Sugestões ("você quis dizer…"): URLs da página ou sitemap.json, ranking fuzzy puro, peças marcadas
+   - Skins da nave (manifest + sprite sheet animada, hitbox e disparo por skin), liberadas por vitórias
+   - Telemetria opcional (sendBeacon / CustomEvent), respeitando Do-Not-Track e opt-out
+   - i18n: pt-BR, en e es (data-locale, <html lang> ou navigator.languages)
+   - Embutível: ErrorGame.mount(container, options), várias instâncias por página
+
+   Uso em SPA:
+     const handle = ErrorGame.mount(el, { code: "404", homeUrl: "/", onExit: () => router.push("/") });
+     handle.pause(); handle.resume(); handle.reset(); handle.nextLevel(); handle.destroy();
+     handle.setTheme("halloween"); handle.setTheme(null); // volta ao tema do mount
    ========================================================================== */
 
 (() => {
   "use strict";
 
-  /** @type {HTMLCanvasElement | null} */
-  const canvas = document.querySelector("#game");
-  if (!canvas) return;
+  // Base dos assets deduzida do próprio <script> (…/static/js/game.js → …/static/).
+  // Importado como módulo não há currentScript: cai no caminho usado pelas páginas.
+  // Em Node (testes, bench) pode não haver document
+  const currentScript = typeof document !== "undefined" ? document.currentScript : null;
+  const DEFAULT_ASSETS_BASE = currentScript?.src ? new URL("../", currentScript.src).href : "./static/";
 
-  const ctx = canvas.getContext("2d", { alpha: false });
-  if (!ctx) return;
-
-  const overlay = /** @type {HTMLElement} */ (document.querySelector("#overlay"));
-  const restartBtn = /** @type {HTMLButtonElement} */ (document.querySelector("#restartBtn"));
-  const homeBtn = /** @type {HTMLButtonElement} */ (document.querySelector("#homeBtn"));
-
-  // Lê configurações do data-attribute do body
-  const errorCode = document.body.dataset.error || "404";
-  const errorText = document.body.dataset.errorText || errorCode;
-
-  // Carrega imagem da nave
-  const naveImg = new Image();
-  naveImg.src = "./static/img/nave.png";
-
-  // Função para tocar som de acerto (cria nova instância para evitar cortes)
-  function playBubbleSound() {
-    const sound = new Audio("./static/sound/bubble.mp3");
-    sound.volume = 0.4;
-    sound.play().catch(() => {});
-  }
+  // Textos (i18n.js) e temas (themes.js) ficam em arquivos à parte, que o build
+  // usa sem carregar o jogo. Script clássico: carregados antes, como globais;
+  // CommonJS/bundler: require
+  const isCommonJs = typeof module === "object" && module.exports;
+  const i18n = isCommonJs ? require("./i18n.js") : globalThis.ErrorGameI18n;
+  const themeKit = isCommonJs ? require("./themes.js") : globalThis.ErrorGameThemes;
+  if (!i18n || !themeKit) throw new Error("ErrorGame: carregue static/js/i18n.js e static/js/themes.js antes do game.js");
 
   const CONFIG = {
     backgroundStarDensity: 18000, // maior => menos estrelas
+    starSpriteRadius: 2, // estrela pré-desenhada uma vez e carimbada em cada tamanho
     shootIntervalMs: 120,
     shakeDurationMs: 150,
     maxDeltaMs: 40, // limita dt para evitar “teleporte” se travar
+    stepMs: 1000 / 60, // passo fixo da simulação (o render acompanha o RAF)
     bulletRadius: 4,
     bulletSpeedMin: 400,
     bulletSpeedFactor: 0.7,
     playerLerp: 0.18,
+    bankDeadzone: 0.15, // inclinação mínima (distância até o alvo / largura da nave) para a nave virar
+    keyboardSpeed: 0.9, // fração da largura percorrida por segundo (teclado/gamepad)
+    gamepadDeadzone: 0.2,
     gravity: 400 * 0.3,
-    text: errorText,
+    victoryDelayMs: 350,
+    score: {
+      pointsPerPiece: 10,
+      missPenalty: 3, // bala que sai da tela sem acertar
+      comboWindowMs: 800, // acertos dentro dessa janela mantêm o combo
+      comboStep: 5, // a cada N acertos seguidos o multiplicador sobe 1
+      maxMultiplier: 5,
+      debrisPenalty: 15 // destroço que acerta a nave no modo normal
+    },
+    leaderboardSize: 10,
+    audio: {
+      volume: 0.6, // volume inicial (0–1) até o usuário mudar
+      maxVoices: 8, // polifonia máxima; acima disso a voz mais antiga é cortada
+      hitGain: 0.7,
+      pan: 0.8, // quanto o x da peça abre no estéreo (1 = extremos)
+      pitchMin: 0.85, // peças maiores soam mais graves
+      pitchMax: 1.3
+    },
+    coop: {
+      // Cor da nave (halo/fallback), cor da bala (null = a amarela padrão) e posição inicial
+      players: [
+        { color: "#38bdf8", bullet: null, x: 0.3 },
+        { color: "#c084fc", bullet: "#c084fc", x: 0.7 }
+      ]
+    },
+    hard: {
+      lives: 3,
+      invulnerableMs: 1500,
+      enemyBulletRadius: 5,
+      enemyBulletSpeedFactor: 0.28, // fração da altura por segundo (tiro lento)
+      fireIntervalMs: 900, // intervalo base entre tiros inimigos
+      // Textos longos geram mais peças (partida mais longa): o intervalo cresce
+      // com sqrt(peças / referência) para o total de tiros ficar parecido
+      referencePieces: 600,
+      maxIntervalScale: 3,
+      maxEnemyBullets: 6
+    },
     piece: {
       step: 9,
       alphaThreshold: 80,
       radiusMin: 3,
-      radiusRand: 2
+      radiusRand: 2,
+      gridCellSize: 24 // célula da grade de colisão (px): ~7 peças por célula
+    },
+    glyph: {
+      textScale: 0.35, // tamanho da fonte em relação ao menor lado da tela
+      imageScale: 0.6, // altura da imagem/SVG em relação ao menor lado
+      lineHeight: 1.1,
+      maxWidth: 0.9, // texto longo/imagem larga encolhem para caber
+      maxHeight: 0.6,
+      minStep: 4, // densidade: abaixo disso o número de peças explode
+      maxStep: 40
+    },
+    powerUps: {
+      dropChance: 0.04, // por peça destruída
+      cooldownMs: 5000, // intervalo mínimo entre drops (textos grandes têm milhares de peças)
+      maxOnScreen: 2,
+      radius: 10,
+      popSpeed: 90, // o item "salta" da peça antes de cair com CONFIG.gravity
+      expiringMs: 1500, // indicadores piscam no fim do efeito
+      spreadAngle: 0.22, // rad entre as balas do tiro triplo
+      laserPierce: 5, // peças extras atravessadas por bala
+      rapidFactor: 0.45, // multiplica shootIntervalMs
+      bombFraction: 0.3, // fração das peças restantes que a bomba destrói
+      bombShake: 18
+    },
+    a11y: {
+      announceStep: 10, // anuncia o progresso a cada N% destruídos…
+      announceIntervalMs: 3000, // …no máximo uma vez nesse intervalo
+      fadeLife: 0.45 // s: "explosão" vira um fade parado com movimento reduzido
+    },
+    analytics: {
+      sampleRate: 0.05, // fração dos piece_destroyed enviados (o resto é descartado)
+      eventName: "error-pages:analytics" // CustomEvent do transporte "event"
+    },
+    wave: {
+      regenFadeMs: 400, // peça regenerada aparece aos poucos
+      debrisRadius: 5,
+      debrisInvulnerableMs: 800
+    },
+    quality: {
+      fpsThreshold: 30, // média abaixo disso na janela de medição = aparelho lento
+      warmupMs: 1000, // primeiros frames (carregar fonte, montar camadas) não contam
+      sampleMs: 3000, // janela da média de FPS
+      stallMs: 1000, // frame maior que isso é aba travada/suspensa, não lentidão
+      lowBattery: 0.2, // sem carregar e abaixo disso = economia de bateria
+      starStride: 3, // qualidade reduzida: 1 a cada N estrelas
+      maxParticles: 120 // qualidade reduzida: teto de partículas na tela
+    },
+    suggestions: {
+      limit: 3, // links no overlay (e peças marcadas)
+      minScore: 0.6, // abaixo disso a candidata não parece com o path que falhou
+      maxLength: 80 // caracteres comparados por segmento (a distância é quadrática)
     }
   };
 
-  const prefersReducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
+  /**
+   * Ondas, uma por nível. Dados puros para ajustar a dificuldade; o nível 1 é
+   * o jogo original (peças paradas, um acerto cada). Depois da última onda, ela
+   * se repete.
+   * - motion: "oscillate" (vai e volta na horizontal) ou "drift" (deriva em 8);
+   *   amplitude em fração da tela, período em ms
+   * - armored: fração das peças blindadas e quantos acertos cada uma pede
+   * - regen: sem acertos por delayMs, as peças destruídas voltam uma a cada intervalMs
+   * - debris: chance de uma peça destruída soltar um destroço que cai na nave;
+   *   speed em fração da altura por segundo
+   */
+  const WAVES = [
+    {},
+    { motion: { type: "oscillate", amplitude: 0.06, periodMs: 4000 } },
+    {
+      motion: { type: "drift", amplitude: 0.06, periodMs: 7000 },
+      armored: { ratio: 0.15, hits: 2 }
+    },
+    {
+      motion: { type: "oscillate", amplitude: 0.08, periodMs: 3200 },
+      armored: { ratio: 0.2, hits: 3 },
+      regen: { delayMs: 2500, intervalMs: 400 }
+    },
+    {
+      motion: { type: "drift", amplitude: 0.08, periodMs: 5000 },
+      armored: { ratio: 0.25, hits: 3 },
+      regen: { delayMs: 2000, intervalMs: 250 },
+      debris: { chance: 0.08, speed: 0.3 }
+    }
+  ];
+
+  const getWave = (waves, level) => waves[Math.min(level, waves.length) - 1] ?? {};
 
   const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
   const lerp = (a, b, t) => a + (b - a) * t;
   const now = () => performance.now();
 
-  function setOverlayVisible(isVisible) {
-    if (!overlay) return;
-
-    overlay.classList.toggle("is-visible", isVisible);
-    overlay.setAttribute("aria-hidden", String(!isVisible));
-
-    // Move foco para o modal quando abrir
-    if (isVisible) {
-      overlay.focus();
-      restartBtn?.focus();
-    }
+  // mulberry32: gerador pequeno com semente; a simulação não usa Math.random
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
   }
 
-  class Game {
-    constructor(canvasEl, context2d) {
-      this.canvas = canvasEl;
-      this.ctx = context2d;
+  const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
 
-      // dimensões em CSS px
-      this.width = window.innerWidth;
-      this.height = window.innerHeight;
+  const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
 
-      // HiDPI
-      this.dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+  // Avisos de configuração (JSON inválido, glyph que não carregou…) só com ?debug=1
+  // ou mount({ debug: true }): fora disso a página de erro não escreve no console
+  let debugLogging = false;
+  function debugWarn(...args) {
+    if (debugLogging || new URLSearchParams(globalThis.location?.search ?? "").get("debug") === "1") console.warn(...args);
+  }
 
-      // estado do jogo
-      this.player = null;
-      this.stars = [];
-      this.pieces = [];
-      this.bullets = [];
-      this.particles = [];
+  // 83500 → "1:23.5"
+  function formatTime(ms) {
+    const totalSec = Math.max(0, ms) / 1000;
+    const min = Math.floor(totalSec / 60);
+    const sec = (totalSec % 60).toFixed(1).padStart(4, "0");
+    return `${min}:${sec}`;
+  }
 
-      this.pointerX = this.width / 2;
-      this.pointerDown = false;
+  const formatAccuracy = (accuracy) => `${Math.round(accuracy * 100)}%`;
 
-      this.globalTime = 0;
-      this.lastShotAt = 0;
-      this.lastFrameAt = now();
+  // Círculo (bala) x retângulo centrado (bounding box da nave)
+  function circleHitsRect(cx, cy, r, rect) {
+    const nx = clamp(cx, rect.x - rect.w / 2, rect.x + rect.w / 2);
+    const ny = clamp(cy, rect.y - rect.h / 2, rect.y + rect.h / 2);
+    const dx = cx - nx;
+    const dy = cy - ny;
+    return dx * dx + dy * dy <= r * r;
+  }
 
-      // shake
-      this.shakeMs = 0;
-      this.shakeIntensity = 0;
+  /**
+   * Variáveis CSS do tema lidas de uma vez. getComputedStyle a cada frame
+   * força recálculo de estilo; o Game só relê em resize/mudança de tema.
+   */
+  function readTheme(root) {
+    const style = getComputedStyle(root);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+
+    return {
+      gradientStart: read("--bg-gradient-start", "#020617"),
+      gradientMid: read("--bg-gradient-mid", "#020617"),
+      gradientEnd: read("--bg-gradient-end", "#000000"),
+      nebula1: read("--nebula-color1", "rgba(56,189,248,0.9)"),
+      nebula2: read("--nebula-color2", "rgba(79,70,229,0.0)"),
+      accent: read("--accent", "#38bdf8"),
+      text: read("--text", "#e5e7eb"),
+      star: read("--star-color", "#e5e7eb"),
+      hueMin: parseInt(read("--piece-hue-min", "")) || 180,
+      hueMax: parseInt(read("--piece-hue-max", "")) || 300,
+      pieceLightness: parseFloat(read("--piece-lightness", "")) || 70,
+      pieceColor: read("--piece-color", ""), // cor única (alto contraste) no lugar do matiz por peça
+      bulletCore: read("--bullet-core", "#fde047"),
+      bulletGlow: read("--bullet-glow", "#facc15"),
+      bulletHighlight: read("--bullet-highlight", "#fef9c3"),
+      bulletFade: read("--bullet-fade", "rgba(245,158,11,0)"),
+      shipStart: read("--ship-gradient-start", "#22d3ee"),
+      shipMid: read("--ship-gradient-mid", "#38bdf8"),
+      shipEnd: read("--ship-gradient-end", "#6366f1"),
+      particleShape: read("--particle-shape", "circle"),
+      particleSize: parseFloat(read("--particle-size", "")) || 1
+    };
+  }
 
-      this.rafId = 0;
-      this.isRunning = false;
-      this.isGameOver = false;
+  /* --------------------------------------------------------------------------
+     Temas em JSON (themes.js): viram as mesmas variáveis CSS do themes.css,
+     aplicadas inline no container, por cima do CSS. Os embutidos (403, 404,
+     500, holiday, halloween) entram no registro; temporadas trocam o tema por data.
+     -------------------------------------------------------------------------- */
 
-      // binds
-      this.onResize = this.onResize.bind(this);
-      this.onVisibilityChange = this.onVisibilityChange.bind(this);
-      this.loop = this.loop.bind(this);
-      this.onPointerMove = this.onPointerMove.bind(this);
-      this.onPointerDown = this.onPointerDown.bind(this);
-      this.onPointerUp = this.onPointerUp.bind(this);
-    }
+  /** @typedef {import("./themes.js").GameTheme} GameTheme */
 
-    start() {
-      this.isRunning = true;
-      this.isGameOver = false;
+  const { BUILTIN_THEMES, themeToVars, themeForScheme } = themeKit;
 
-      setOverlayVisible(false);
+  /** @type {Map<string, GameTheme>} */
+  const THEMES = new Map();
 
-      this.setupCanvas();
-      this.createStars();
-      this.createPlayer();
-      this.create404Pieces();
+  /** Registra (ou substitui) um tema; o id vale para setTheme(), data-theme e temporadas. */
+  function registerTheme(id, theme) {
+    if (typeof id !== "string" || id === "") throw new TypeError("ErrorGame.registerTheme: id obrigatório");
+    if (!theme || typeof theme !== "object") throw new TypeError(`ErrorGame.registerTheme: tema "${id}" precisa ser um objeto`);
+    THEMES.set(id, theme);
+  }
 
-      this.attachEvents();
+  for (const [id, theme] of Object.entries(BUILTIN_THEMES)) registerTheme(id, theme);
 
-      this.lastFrameAt = now();
-      this.rafId = requestAnimationFrame(this.loop);
+  // Escreve só o que mudou (o Game observa o atributo style) e apaga o que saiu
+  function applyThemeVars(el, vars, previous = []) {
+    for (const name of previous) {
+      if (!(name in vars)) el.style.removeProperty(name);
     }
-
-    stop() {
-      this.isRunning = false;
-      if (this.rafId) cancelAnimationFrame(this.rafId);
-      this.rafId = 0;
-      this.detachEvents();
+    for (const [name, value] of Object.entries(vars)) {
+      if (el.style.getPropertyValue(name) !== value) el.style.setProperty(name, value);
     }
+    return Object.keys(vars);
+  }
 
-    reset() {
-      // reset “limpo” sem reload — fica mais profissional
-      this.player = null;
-      this.stars = [];
-      this.pieces = [];
-      this.bullets = [];
-      this.particles = [];
+  // data-color-scheme="dark" (no container ou acima) fixa o escuro; senão, o do sistema
+  const colorSchemeOf = (el) =>
+    !el.closest?.('[data-color-scheme="dark"]') && mediaMatches("(prefers-color-scheme: light)") ? "light" : "dark";
+
+  /**
+   * Temporada ativa na data (hora local). from/to em "MM-DD" repetem todo
+   * ano (e podem virar o ano: "12-15" → "01-06"); em "AAAA-MM-DD" valem uma
+   * vez. `codes` restringe a alguns erros. A primeira que bate vence.
+   * @param {Array<{ theme: string, from: string, to: string, codes?: string[] }>} seasons
+   */
+  function pickSeason(seasons, date = new Date(), code = "") {
+    const md = (date.getMonth() + 1) * 100 + date.getDate();
+    const ymd = date.getFullYear() * 10000 + md;
+    const parse = (value) => /^(?:(\d{4})-)?(\d{2})-(\d{2})$/.exec(String(value ?? ""));
+
+    for (const season of seasons ?? []) {
+      const from = parse(season?.from);
+      const to = parse(season?.to);
+      if (!from || !to || typeof season.theme !== "string") continue;
+      if (Array.isArray(season.codes) && !season.codes.map(String).includes(String(code))) continue;
+
+      const [start, end] = [from, to].map(([, y, m, d]) => (y ? Number(y) * 10000 : 0) + Number(m) * 100 + Number(d));
+      const value = from[1] && to[1] ? ymd : md;
+      const active = start <= end ? value >= start && value <= end : value >= start || value <= end;
+      if (active) return season;
+    }
+    return null;
+  }
 
-      this.pointerX = this.width / 2;
-      this.pointerDown = false;
+  /**
+   * <script type="application/json" id="error-themes">{ "themes": {…}, "seasons": […] }</script>:
+   * a página registra temas e agenda temporadas sem JS próprio.
+   */
+  function readThemeConfig(container) {
+    const script = container.querySelector('script[type="application/json"].error-themes') ?? document.getElementById("error-themes");
+    if (!script?.textContent?.trim()) return { themes: {}, seasons: [] };
+
+    try {
+      const config = JSON.parse(script.textContent);
+      return {
+        themes: config.themes && typeof config.themes === "object" ? config.themes : {},
+        seasons: Array.isArray(config.seasons) ? config.seasons : []
+      };
+    } catch (err) {
+      debugWarn("ErrorGame: #error-themes com JSON inválido", err);
+      return { themes: {}, seasons: [] };
+    }
+  }
 
-      this.globalTime = 0;
-      this.lastShotAt = 0;
-      this.lastFrameAt = now();
+  // Canvas fora da tela, já com a escala HiDPI aplicada (desenho em CSS px)
+  function createLayer(width, height, dpr = 1) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.ceil(width * dpr));
+    canvas.height = Math.max(1, Math.ceil(height * dpr));
 
-      this.shakeMs = 0;
-      this.shakeIntensity = 0;
+    const ctx = canvas.getContext("2d");
+    ctx?.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return { canvas, ctx };
+  }
 
-      this.isGameOver = false;
+  /** ?debug=1: FPS, intervalo entre frames e custo de update+render (janela de 500 ms). */
+  class FrameStats {
+    constructor() {
+      this.text = "";
+      this.reset();
+    }
 
-      this.setupCanvas();
-      this.createStars();
-      this.createPlayer();
-      this.create404Pieces();
-      setOverlayVisible(false);
+    reset() {
+      this.frames = 0;
+      this.workMs = 0;
+      this.worstFrameMs = 0;
+      this.windowStart = now();
     }
 
-    attachEvents() {
-      window.addEventListener("resize", this.onResize, { passive: true });
-      document.addEventListener("visibilitychange", this.onVisibilityChange, { passive: true });
+    record(frameMs, workMs) {
+      this.frames++;
+      this.workMs += workMs;
+      this.worstFrameMs = Math.max(this.worstFrameMs, frameMs);
 
-      // Pointer Events unifica mouse + touch
-      this.canvas.addEventListener("pointermove", this.onPointerMove, { passive: true });
-      this.canvas.addEventListener("pointerdown", this.onPointerDown, { passive: false });
-      this.canvas.addEventListener("pointerup", this.onPointerUp, { passive: true });
-      this.canvas.addEventListener("pointercancel", this.onPointerUp, { passive: true });
-      this.canvas.addEventListener("pointerleave", this.onPointerUp, { passive: true });
+      const elapsed = now() - this.windowStart;
+      if (elapsed < 500) return;
+
+      const fps = (this.frames * 1000) / elapsed;
+      const avgFrame = elapsed / this.frames;
+      const avgWork = this.workMs / this.frames;
+      this.text = `${fps.toFixed(0)} fps · frame ${avgFrame.toFixed(1)} ms (pior ${this.worstFrameMs.toFixed(1)}) · cpu ${avgWork.toFixed(2)} ms`;
+      this.reset();
     }
+  }
 
-    detachEvents() {
-      window.removeEventListener("resize", this.onResize);
-      document.removeEventListener("visibilitychange", this.onVisibilityChange);
+  /**
+   * Mede o FPS do jogo (médias em janelas de sampleMs, depois do aquecimento).
+   * record() devolve true ao fechar uma janela abaixo do limite.
+   */
+  class FpsMonitor {
+    constructor({ fpsThreshold, warmupMs, sampleMs, stallMs } = CONFIG.quality) {
+      this.threshold = fpsThreshold;
+      this.warmupMs = warmupMs;
+      this.sampleMs = sampleMs;
+      this.stallMs = stallMs;
+      this.reset();
+    }
 
-      this.canvas.removeEventListener("pointermove", this.onPointerMove);
-      this.canvas.removeEventListener("pointerdown", this.onPointerDown);
-      this.canvas.removeEventListener("pointerup", this.onPointerUp);
-      this.canvas.removeEventListener("pointercancel", this.onPointerUp);
-      this.canvas.removeEventListener("pointerleave", this.onPointerUp);
+    reset() {
+      this.elapsed = 0;
+      this.frames = 0;
+      this.warm = 0;
     }
 
-    onResize() {
-      this.width = window.innerWidth;
-      this.height = window.innerHeight;
-      this.dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+    record(frameMs) {
+      if (!(frameMs > 0) || frameMs > this.stallMs) return false;
 
-      this.setupCanvas();
+      if (this.warm < this.warmupMs) {
+        this.warm += frameMs;
+        return false;
+      }
 
-      // Reposiciona nave e recria fundo/404 para ficar proporcional
-      if (this.player) this.player.y = this.height * 0.85;
-      this.createStars();
-      this.create404Pieces();
-    }
+      this.elapsed += frameMs;
+      this.frames++;
+      if (this.elapsed < this.sampleMs) return false;
 
-    onVisibilityChange() {
-      if (document.hidden) {
-        // pausa “real”: evita dt gigante quando volta
-        if (this.isRunning) cancelAnimationFrame(this.rafId);
-      } else {
-        this.lastFrameAt = now();
-        this.rafId = requestAnimationFrame(this.loop);
-      }
+      const fps = (this.frames * 1000) / this.elapsed;
+      this.elapsed = 0;
+      this.frames = 0;
+      return fps < this.threshold;
     }
+  }
 
-    getCanvasRelativeX(clientX) {
-      const rect = this.canvas.getBoundingClientRect();
-      return clientX - rect.left;
+  /* --------------------------------------------------------------------------
+     Fonte das peças (glyph): texto (fonte própria, várias linhas), imagem por
+     URL ou SVG inline. Tudo é desenhado num canvas fora da tela e cada ponto
+     opaco da amostragem (a cada `step` px) vira uma peça.
+     -------------------------------------------------------------------------- */
+
+  const DEFAULT_FONT = "system-ui, -apple-system, Segoe UI, sans-serif";
+
+  const GLYPH_DATA_ATTRS = ["glyphSrc", "glyphSvg", "glyphFont", "glyphWeight", "glyphColor", "glyphColorMode", "glyphScale", "glyphStep"];
+
+  /**
+   * Opções do glyph: `options.glyph` vence os data-glyph-* (lidos do container
+   * para cima, como data-error-text).
+   * @returns {{ type: "text" | "image" | "svg", text: string, src: string | null,
+   *   svg: string | Element | null, font: string, weight: string, color: string,
+   *   colorMode: "hue" | "source", scale: number | null, step: number }}
+   */
+  function readGlyphOptions(container, text, explicit = {}) {
+    const data = {};
+    for (const key of GLYPH_DATA_ATTRS) {
+      const value = container.closest(`[data-${toKebab(key)}]`)?.dataset[key];
+      if (value) data[key] = value;
     }
 
-    onPointerMove(e) {
-      this.pointerX = this.getCanvasRelativeX(e.clientX);
-      if (this.player) this.player.targetX = this.pointerX;
+    // data-glyph-svg é um seletor para um <svg> da página (ex.: "#logo"); seletor inválido fica no texto
+    let svg = explicit.svg ?? null;
+    if (!svg && data.glyphSvg) {
+      try {
+        svg = document.querySelector(data.glyphSvg);
+      } catch (err) {
+        debugWarn("ErrorGame: data-glyph-svg não é um seletor válido, usando o texto", data.glyphSvg, err);
+      }
     }
+    const src = explicit.src ?? data.glyphSrc ?? null;
+    const step = Number(explicit.step ?? data.glyphStep) || CONFIG.piece.step;
+
+    return {
+      type: explicit.type ?? (svg ? "svg" : src ? "image" : "text"),
+      text: String(explicit.text ?? text),
+      src,
+      svg,
+      font: explicit.font ?? data.glyphFont ?? DEFAULT_FONT,
+      weight: String(explicit.weight ?? data.glyphWeight ?? "800"),
+      color: explicit.color ?? data.glyphColor ?? "#ffffff",
+      colorMode: (explicit.colorMode ?? data.glyphColorMode) === "source" ? "source" : "hue",
+      scale: Number(explicit.scale ?? data.glyphScale) || null,
+      step: clamp(step, CONFIG.glyph.minStep, CONFIG.glyph.maxStep)
+    };
+  }
 
-    onPointerDown(e) {
-      // Evita scroll em mobile
-      e.preventDefault();
-
-      this.pointerDown = true;
-      this.pointerX = this.getCanvasRelativeX(e.clientX);
+  // "\n" literal também quebra linha: data-error-text="404\nNot Found"
+  const textGlyph = (spec) => ({ kind: "text", lines: spec.text.split(/\r?\n|\\n/) });
 
-      if (this.player) this.player.targetX = this.pointerX;
+  // Texto na fonte do sistema fica pronto na hora; o resto carrega antes
+  const glyphNeedsLoading = (spec) => spec.type !== "text" || spec.font !== DEFAULT_FONT;
 
-      // Captura o ponteiro para garantir eventos mesmo se sair do canvas
-      try {
-        this.canvas.setPointerCapture(e.pointerId);
-      } catch (_) {
-        // não crítico
-      }
-    }
+  async function loadGlyph(spec) {
+    if (spec.type === "image") return { kind: "image", image: await loadImage(spec.src) };
+    if (spec.type === "svg") return { kind: "image", image: await loadSvgImage(spec.svg) };
 
-    onPointerUp() {
-      this.pointerDown = false;
+    // Webfont: sem esperar, o canvas rasteriza com a fonte reserva
+    if (document.fonts) {
+      await document.fonts.load(`${spec.weight} 48px ${spec.font}`, spec.text).catch(() => {});
+      await document.fonts.ready;
     }
+    return textGlyph(spec);
+  }
 
-    setupCanvas() {
-      // set tamanho real do buffer (HiDPI), mantendo tamanho CSS via CSS
-      this.canvas.width = Math.floor(this.width * this.dpr);
-      this.canvas.height = Math.floor(this.height * this.dpr);
+  function loadImage(src) {
+    const image = new Image();
+    image.crossOrigin = "anonymous"; // getImageData exige CORS em imagem de outra origem
+    image.src = src;
+    return image.decode().then(() => image);
+  }
 
-      // desenhar em “CSS pixels”
-      this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
-    }
+  function loadSvgImage(svg) {
+    const source = typeof svg === "string" ? new DOMParser().parseFromString(svg, "image/svg+xml").documentElement : svg;
+    if (!source || source.nodeName.toLowerCase() !== "svg") return Promise.reject(new Error("glyph: SVG inválido"));
 
-    createStars() {
-      const count = Math.floor((this.width * this.height) / CONFIG.backgroundStarDensity);
-      this.stars = Array.from({ length: count }, () => ({
-        x: Math.random() * this.width,
-        y: Math.random() * this.height,
-        r: Math.random() * 1.5 + 0.3,
-        tw: Math.random() * Math.PI * 2
-      }));
-    }
+    const clone = /** @type {Element} */ (source.cloneNode(true));
+    clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
 
-    createPlayer() {
-      this.player = {
-        x: this.width / 2,
-        y: this.height * 0.85,
-        w: Math.max(50, this.width * 0.05),
-        h: Math.max(18, this.height * 0.025),
-        targetX: this.width / 2
-      };
+    // Sem width/height a imagem sai 300×150: usa as proporções do viewBox
+    const [, , vbWidth, vbHeight] = (clone.getAttribute("viewBox") ?? "").split(/[\s,]+/).map(Number);
+    if (vbWidth > 0 && vbHeight > 0 && !clone.getAttribute("width")) {
+      clone.setAttribute("width", String(vbWidth));
+      clone.setAttribute("height", String(vbHeight));
     }
 
-    create404Pieces() {
-      this.pieces = [];
-
-      const off = document.createElement("canvas");
-      off.width = Math.floor(this.width);
-      off.height = Math.floor(this.height);
+    const blob = new Blob([new XMLSerializer().serializeToString(clone)], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+    return loadImage(url).finally(() => URL.revokeObjectURL(url));
+  }
 
-      const offCtx = off.getContext("2d");
-      if (!offCtx) return;
+  /* --------------------------------------------------------------------------
+     Grade uniforme para colisão bala x peça. As peças não se movem, então a
+     grade só é reconstruída quando o conjunto muda (criação/reset); um acerto
+     apenas tira a peça da sua célula. Item que se mover exige rebuild().
+     -------------------------------------------------------------------------- */
 
-      const fontSize = Math.min(this.width, this.height) * 0.35;
-      const cx = this.width / 2;
-      const cy = this.height * 0.45;
+  class SpatialGrid {
+    constructor(cellSize) {
+      this.cellSize = cellSize;
+      this.clear();
+    }
 
-      offCtx.clearRect(0, 0, off.width, off.height);
-      offCtx.fillStyle = "#ffffff";
-      offCtx.textAlign = "center";
-      offCtx.textBaseline = "middle";
-      offCtx.font = `800 ${fontSize}px system-ui, -apple-system, Segoe UI, sans-serif`;
-      offCtx.fillText(CONFIG.text, cx, cy);
+    clear() {
+      this.cells = [];
+      this.cols = 0;
+      this.rows = 0;
+      this.minX = 0;
+      this.minY = 0;
+      this.maxRadius = 0;
+      this.order = new Map(); // item → índice no array do rebuild()
+    }
 
-      const metrics = offCtx.measureText(CONFIG.text);
-      const textWidth = metrics.width;
-      const textHeight = fontSize * 0.9;
+    /** @param {{ x: number, y: number, r: number }[]} items */
+    rebuild(items) {
+      this.clear();
+      if (items.length === 0) return;
+
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      this.minX = Infinity;
+      this.minY = Infinity;
+
+      for (const item of items) {
+        this.minX = Math.min(this.minX, item.x);
+        this.minY = Math.min(this.minY, item.y);
+        maxX = Math.max(maxX, item.x);
+        maxY = Math.max(maxY, item.y);
+        this.maxRadius = Math.max(this.maxRadius, item.r);
+      }
 
-      const startX = Math.max(0, Math.floor(cx - textWidth / 2));
-      const endX = Math.min(this.width, Math.ceil(cx + textWidth / 2));
-      const startY = Math.max(0, Math.floor(cy - textHeight / 2));
-      const endY = Math.min(this.height, Math.ceil(cy + textHeight / 2));
+      this.cols = Math.floor((maxX - this.minX) / this.cellSize) + 1;
+      this.rows = Math.floor((maxY - this.minY) / this.cellSize) + 1;
+      this.cells = Array.from({ length: this.cols * this.rows }, () => []);
 
-      const step = CONFIG.piece.step;
+      items.forEach((item, index) => {
+        this.order.set(item, index);
+        this.cellAt(item.x, item.y).push(item);
+      });
+    }
 
-      const img = offCtx.getImageData(startX, startY, endX - startX, endY - startY);
-      const data = img.data;
-      const w = img.width;
+    cellAt(x, y) {
+      const col = Math.floor((x - this.minX) / this.cellSize);
+      const row = Math.floor((y - this.minY) / this.cellSize);
+      return this.cells[row * this.cols + col];
+    }
 
-      // Obtém faixa de matiz (hue) do CSS para cada tipo de erro
-      const style = getComputedStyle(document.body);
-      const hueMin = parseInt(style.getPropertyValue('--piece-hue-min').trim()) || 180;
-      const hueMax = parseInt(style.getPropertyValue('--piece-hue-max').trim()) || 300;
+    remove(item) {
+      if (!this.order.delete(item)) return;
 
-      for (let y = 0; y < img.height; y += step) {
-        for (let x = 0; x < img.width; x += step) {
-          const idx = (y * w + x) * 4;
-          const alpha = data[idx + 3];
+      const cell = this.cellAt(item.x, item.y);
+      cell.splice(cell.indexOf(item), 1);
+    }
 
-          if (alpha > CONFIG.piece.alphaThreshold) {
-            const px = startX + x;
-            const py = startY + y;
-            const radius = CONFIG.piece.radiusMin + Math.random() * CONFIG.piece.radiusRand;
-
-            // Calcula hue considerando wrap-around (ex: 340-20 passa por 0)
-            let hue;
-            if (hueMin > hueMax) {
-              // Wrap around (ex: vermelho 340-20)
-              const range = (360 - hueMin) + hueMax;
-              const randomValue = Math.random() * range;
-              hue = (hueMin + randomValue) % 360;
-            } else {
-              // Range normal
-              hue = hueMin + Math.random() * (hueMax - hueMin);
+    /**
+     * Item de maior índice que toca o círculo: o mesmo que o laço de trás
+     * pra frente sobre o array encontraria primeiro.
+     * @param {Set<object>} [skip]  itens já acertados por esta bala
+     */
+    firstHit(x, y, r, skip) {
+      if (this.cells.length === 0) return null;
+
+      const reach = r + this.maxRadius;
+      const col0 = Math.max(0, Math.floor((x - reach - this.minX) / this.cellSize));
+      const col1 = Math.min(this.cols - 1, Math.floor((x + reach - this.minX) / this.cellSize));
+      const row0 = Math.max(0, Math.floor((y - reach - this.minY) / this.cellSize));
+      const row1 = Math.min(this.rows - 1, Math.floor((y + reach - this.minY) / this.cellSize));
+
+      let best = null;
+      let bestOrder = -1;
+
+      for (let row = row0; row <= row1; row++) {
+        for (let col = col0; col <= col1; col++) {
+          for (const item of this.cells[row * this.cols + col]) {
+            const dx = x - item.x;
+            const dy = y - item.y;
+            const rr = r + item.r;
+            if (dx * dx + dy * dy > rr * rr || skip?.has(item)) continue;
+
+            const order = this.order.get(item);
+            if (order > bestOrder) {
+              best = item;
+              bestOrder = order;
             }
-
-            this.pieces.push({
-              x: px + (Math.random() - 0.5) * 2,
-              y: py + (Math.random() - 0.5) * 2,
-              r: radius,
-              color: `hsl(${hue}, 90%, 70%)`
-            });
           }
         }
       }
-    }
-
-    spawnBullet() {
-      if (!this.player) return;
 
-      const speed = 0.9 * Math.max(CONFIG.bulletSpeedMin, this.height * CONFIG.bulletSpeedFactor);
-      this.bullets.push({
-        x: this.player.x,
-        y: this.player.y - this.player.h / 2,
-        vy: -speed,
-        r: CONFIG.bulletRadius
-      });
+      return best;
     }
+  }
 
-    spawnExplosion(x, y, baseColor) {
-      const count = 12 + Math.random() * 10;
+  /* --------------------------------------------------------------------------
+     Simulação pura: só estado e dt, sem DOM, canvas, áudio ou relógio. O Game
+     chama estas funções a cada passo fixo (efeitos ficam nos callbacks), e os
+     testes em Node também.
+     -------------------------------------------------------------------------- */
 
-      for (let i = 0; i < count; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 50 + Math.random() * 200;
+  // Nave segue o alvo suavemente, sem sair da tela
+  function stepShip(ship, width) {
+    ship.x = lerp(ship.x, ship.targetX, CONFIG.playerLerp);
+    ship.x = clamp(ship.x, ship.w / 2, width - ship.w / 2);
+  }
 
-        this.particles.push({
-          x,
-          y,
-          vx: Math.cos(angle) * speed,
-          vy: Math.sin(angle) * speed,
-          life: 0.4 + Math.random() * 0.5,
-          age: 0,
-          alpha: 1,
-          color: baseColor
-        });
+  /**
+   * Move as balas e tira as que saíram da tela.
+   * @returns {number} quantas saíram sem ter acertado nada (erros)
+   */
+  function stepBullets(bullets, dtSec, width) {
+    let misses = 0;
+
+    for (let i = bullets.length - 1; i >= 0; i--) {
+      const b = bullets[i];
+      b.x += b.vx * dtSec;
+      b.y += b.vy * dtSec;
+
+      if (b.y + b.r < 0 || b.x + b.r < 0 || b.x - b.r > width) {
+        bullets.splice(i, 1);
+        // Laser que já atravessou peças não conta como erro
+        if (!b.hasHit) misses++;
       }
     }
 
-    triggerShake() {
-      if (prefersReducedMotion) return;
+    return misses;
+  }
 
-      this.shakeMs = CONFIG.shakeDurationMs;
-      this.shakeIntensity = 7;
-    }
+  /**
+   * Colisão bala x peça pela grade (posições de origem; `offset` é o
+   * deslocamento da onda). Laser atravessa algumas peças, cada uma uma vez só
+   * (a blindada que sobrevive não segura o laser); a bala comum some no
+   * primeiro acerto. Pontos, dano e efeitos ficam com `onHit`.
+   * @param {(bullet: object, piece: object, firstHit: boolean) => void} onHit
+   */
+  function collideBullets(bullets, grid, offset, onHit) {
+    for (let i = bullets.length - 1; i >= 0; i--) {
+      const b = bullets[i];
+      const p = grid.firstHit(b.x - offset.x, b.y - offset.y, b.r, b.hitPieces);
+      if (!p) continue;
+
+      if (b.pierce > 0) {
+        b.pierce--;
+        (b.hitPieces ??= new Set()).add(p);
+      } else {
+        bullets.splice(i, 1);
+      }
 
-    update(dtMs) {
-      if (!this.player) return;
+      const firstHit = !b.hasHit;
+      b.hasHit = true;
+      onHit(b, p, firstHit);
+    }
+  }
 
-      const dt = Math.min(dtMs, CONFIG.maxDeltaMs);
-      const dtSec = dt / 1000;
+  // Partículas envelhecem e apagam; as "still" (movimento reduzido) só apagam
+  function stepParticles(particles, dtSec, gravity) {
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const pa = particles[i];
+      pa.age += dtSec;
 
-      this.globalTime += dt;
+      if (pa.age >= pa.life) {
+        particles.splice(i, 1);
+        continue;
+      }
 
-      // Player segue o alvo suavemente
-      this.player.x = lerp(this.player.x, this.player.targetX, CONFIG.playerLerp);
-      this.player.x = clamp(this.player.x, this.player.w / 2, this.width - this.player.w / 2);
+      pa.alpha = 1 - pa.age / pa.life;
+      if (pa.still) continue;
 
-      // Tiro contínuo
-      if (!this.isGameOver && this.pointerDown && now() - this.lastShotAt > CONFIG.shootIntervalMs) {
-        this.spawnBullet();
-        this.lastShotAt = now();
-      }
+      pa.x += pa.vx * dtSec;
+      pa.y += pa.vy * dtSec;
+      pa.vy += gravity * dtSec;
+    }
+  }
 
-      // Balas
-      for (let i = this.bullets.length - 1; i >= 0; i--) {
-        const b = this.bullets[i];
-        b.y += b.vy * dtSec;
+  // Vitória: o glyph já virou peças e não sobrou nenhuma (carregando não conta)
+  const isCleared = (glyph, pieces) => Boolean(glyph) && pieces.length === 0;
 
-        if (b.y + b.r < 0) {
-          this.bullets.splice(i, 1);
-        }
-      }
+  /* --------------------------------------------------------------------------
+     i18n: catálogo por locale e tradutor, em i18n.js. Chave ausente cai no
+     pt-BR, que é o idioma original das páginas.
+     -------------------------------------------------------------------------- */
 
-      // Colisão bala x peça
-      for (let i = this.bullets.length - 1; i >= 0; i--) {
-        const b = this.bullets[i];
+  const { DEFAULT_LOCALE, MESSAGES, addLocale, matchLocale, createTranslator } = i18n;
 
-        for (let j = this.pieces.length - 1; j >= 0; j--) {
-          const p = this.pieces[j];
-          const dx = b.x - p.x;
-          const dy = b.y - p.y;
-          const rr = b.r + p.r;
+  /* --------------------------------------------------------------------------
+     Ranking local: top N por código de erro no localStorage.
+     Storage pode estar bloqueado (modo privado, iframe): falha vira lista vazia.
+     -------------------------------------------------------------------------- */
 
-          if (dx * dx + dy * dy <= rr * rr) {
-            this.spawnExplosion(p.x, p.y, p.color);
-            this.pieces.splice(j, 1);
-            this.bullets.splice(i, 1);
-            this.triggerShake();
-            playBubbleSound(); // Toca som de acerto
-            break;
-          }
-        }
-      }
+  const leaderboardKey = (code) => `error-pages:leaderboard:${code}`;
 
-      // Partículas
-      for (let i = this.particles.length - 1; i >= 0; i--) {
-        const pa = this.particles[i];
-        pa.age += dtSec;
+  // O storage é editável por qualquer script da origem: só números saem dele (vão para o innerHTML)
+  const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
 
-        if (pa.age >= pa.life) {
-          this.particles.splice(i, 1);
-          continue;
-        }
+  function loadLeaderboard(code) {
+    try {
+      const entries = JSON.parse(window.localStorage.getItem(leaderboardKey(code)) || "[]");
+      if (!Array.isArray(entries)) return [];
+      return entries
+        .filter((e) => e && typeof e === "object")
+        .map((e) => ({ ...e, score: toNumber(e.score), accuracy: toNumber(e.accuracy), timeMs: toNumber(e.timeMs) }));
+    } catch (_) {
+      return [];
+    }
+  }
 
-        const t = 1 - pa.age / pa.life;
-        pa.alpha = t;
+  // Maior pontuação primeiro; empate desempata pelo menor tempo
+  const compareEntries = (a, b) => b.score - a.score || a.timeMs - b.timeMs;
 
-        pa.x += pa.vx * dtSec;
-        pa.y += pa.vy * dtSec;
-        pa.vy += CONFIG.gravity * dtSec;
-      }
+  /**
+   * Insere o resultado e persiste o top N.
+   * @returns {{ entries: object[], rank: number }} rank 1-based, 0 se ficou fora do top
+   */
+  function recordScore(code, entry) {
+    const entries = [...loadLeaderboard(code), entry].sort(compareEntries).slice(0, CONFIG.leaderboardSize);
 
-      // Shake
-      if (this.shakeMs > 0) {
-        this.shakeMs -= dt;
-        if (this.shakeMs < 0) this.shakeMs = 0;
-      }
+    try {
+      window.localStorage.setItem(leaderboardKey(code), JSON.stringify(entries));
+    } catch (_) {
+      // não crítico: ranking só dura a sessão
+    }
 
-      // Victory
-      if (!this.isGameOver && this.pieces.length === 0) {
-        this.isGameOver = true;
+    return { entries, rank: entries.indexOf(entry) + 1 };
+  }
 
-        // pequena “pausa” antes do modal (feedback melhor)
-        window.setTimeout(() => setOverlayVisible(true), 350);
-      }
+  /* --------------------------------------------------------------------------
+     Áudio (Web Audio API): um AudioContext compartilhado pelas instâncias.
+     O bubble.mp3 é baixado/decodificado uma vez; tiro e vitória são
+     sintetizados. Navegadores só liberam som após um gesto do usuário, então
+     o motor fica mudo até o primeiro clique/toque/tecla (unlock()).
+     -------------------------------------------------------------------------- */
+
+  const AUDIO_SETTINGS_KEY = "error-pages:audio";
+
+  function loadAudioSettings() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(AUDIO_SETTINGS_KEY) || "{}");
+      return {
+        muted: saved.muted === true,
+        volume: Number.isFinite(saved.volume) ? clamp(saved.volume, 0, 1) : CONFIG.audio.volume
+      };
+    } catch (_) {
+      return { muted: false, volume: CONFIG.audio.volume };
     }
+  }
 
-    drawBackground() {
-      const { ctx } = this;
-      const cx = this.width / 2;
-      const cy = this.height / 2;
-      const maxR = Math.sqrt(cx * cx + cy * cy);
+  class AudioEngine {
+    constructor() {
+      const settings = loadAudioSettings();
+      this.muted = settings.muted;
+      this.volume = settings.volume;
 
-      // Obtém cores do CSS para cada tipo de erro
-      const style = getComputedStyle(document.body);
-      const gradientStart = style.getPropertyValue('--bg-gradient-start').trim() || "#020617";
-      const gradientMid = style.getPropertyValue('--bg-gradient-mid').trim() || "#020617";
-      const gradientEnd = style.getPropertyValue('--bg-gradient-end').trim() || "#000000";
-      const nebula1 = style.getPropertyValue('--nebula-color1').trim() || "rgba(56,189,248,0.9)";
-      const nebula2 = style.getPropertyValue('--nebula-color2').trim() || "rgba(79,70,229,0.0)";
+      this.ctx = null;
+      this.master = null;
+      this.voices = [];
+      this.files = new Map(); // url → Promise<ArrayBuffer | null>
+      this.buffers = new Map(); // url → AudioBuffer
+      this.listeners = new Set();
 
-      const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, maxR);
-      g.addColorStop(0, gradientStart);
-      g.addColorStop(0.4, gradientMid);
-      g.addColorStop(1, gradientEnd);
+      this.emit = this.emit.bind(this);
+    }
 
-      ctx.fillStyle = g;
-      ctx.fillRect(0, 0, this.width, this.height);
+    get isSupported() {
+      return typeof (window.AudioContext ?? window.webkitAudioContext) === "function";
+    }
 
-      // Nebulosa suave com cores personalizadas
-      ctx.save();
-      ctx.globalAlpha = 0.35;
+    // Audível = liberado por gesto e não silenciado pelo usuário
+    get isAudible() {
+      return this.ctx?.state === "running" && !this.muted;
+    }
 
-      const g2 = ctx.createRadialGradient(
-        cx + Math.sin(this.globalTime * 0.0002) * this.width * 0.15,
-        cy - Math.cos(this.globalTime * 0.00025) * this.height * 0.15,
-        0,
-        cx,
-        cy,
-        maxR * 0.8
-      );
+    /** Baixa o arquivo já (sem contexto); a decodificação espera o unlock(). */
+    preload(url) {
+      if (!this.isSupported || this.files.has(url)) return;
 
-      g2.addColorStop(0, nebula1);
-      g2.addColorStop(0.6, nebula2);
-      g2.addColorStop(1, "rgba(15,23,42,0.0)");
+      const file = fetch(url)
+        .then((res) => (res.ok ? res.arrayBuffer() : null))
+        .catch(() => null);
 
-      ctx.fillStyle = g2;
-      ctx.fillRect(0, 0, this.width, this.height);
+      this.files.set(url, file);
+      if (this.ctx) this.decode(url);
+    }
 
-      ctx.restore();
+    decode(url) {
+      this.files.get(url)?.then((data) => {
+        if (!data || this.buffers.has(url)) return;
+        // slice: decodeAudioData "consome" o ArrayBuffer
+        this.ctx.decodeAudioData(data.slice(0)).then(
+          (buffer) => this.buffers.set(url, buffer),
+          () => {}
+        );
+      });
+    }
 
-      // Estrelas
-      for (const s of this.stars) {
-        const twinkle = 0.3 + 0.7 * (0.5 + 0.5 * Math.sin(this.globalTime * 0.001 + s.tw));
-        ctx.globalAlpha = twinkle;
-        ctx.beginPath();
-        ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
-        ctx.fillStyle = "#e5e7eb";
-        ctx.fill();
+    /** Chamado em gestos do usuário: cria/retoma o contexto. */
+    unlock() {
+      if (!this.isSupported) return;
+
+      if (!this.ctx) {
+        const Ctx = window.AudioContext ?? window.webkitAudioContext;
+        this.ctx = new Ctx();
+        this.master = this.ctx.createGain();
+        this.master.connect(this.ctx.destination);
+        this.applyVolume();
+        this.ctx.addEventListener?.("statechange", this.emit);
+
+        for (const url of this.files.keys()) this.decode(url);
+        this.emit();
       }
 
-      ctx.globalAlpha = 1;
+      if (this.ctx.state === "suspended") this.ctx.resume().catch(() => {});
     }
 
-    drawErrorWatermark() {
-      const { ctx } = this;
+    // Tecla M / botão: alterna o que o usuário está ouvindo (mudo até o 1º gesto conta como mudo)
+    toggle() {
+      const wasAudible = this.isAudible;
+      this.unlock();
+      this.setMuted(wasAudible);
+    }
 
-      // Desenha o código do erro no canto superior direito de forma sutil
-      const style = getComputedStyle(document.body);
-      const accentColor = style.getPropertyValue('--accent').trim() || "#38bdf8";
+    setMuted(muted) {
+      this.muted = Boolean(muted);
+      this.applyVolume();
+      this.save();
+    }
 
-      ctx.save();
+    setVolume(volume) {
+      this.volume = clamp(Number(volume) || 0, 0, 1);
+      if (this.volume > 0) this.muted = false;
+      this.applyVolume();
+      this.save();
+    }
+
+    applyVolume() {
+      if (this.master) this.master.gain.value = this.muted ? 0 : this.volume;
+    }
+
+    save() {
+      try {
+        window.localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({ muted: this.muted, volume: this.volume }));
+      } catch (_) {
+        // não crítico: preferência só dura a sessão
+      }
+      this.emit();
+    }
+
+    /** @returns {() => void} cancela a inscrição */
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+      for (const listener of this.listeners) listener(this);
+    }
+
+    /**
+     * Reserva uma voz. No limite de polifonia a mais antiga é cortada:
+     * em combos rápidos o som mais novo é o que importa.
+     */
+    startVoice(source, output, startAt, endAt) {
+      while (this.voices.length >= CONFIG.audio.maxVoices) this.voices[0].stop();
+
+      const voice = {
+        stop: () => {
+          const index = this.voices.indexOf(voice);
+          if (index === -1) return;
+          this.voices.splice(index, 1);
+          source.onended = null;
+          source.stop();
+          output.disconnect();
+        }
+      };
+
+      this.voices.push(voice);
+      source.onended = voice.stop;
+      source.start(startAt);
+      source.stop(endAt);
+    }
+
+    // Ganho + pan estéreo (-1 esquerda … 1 direita) até o master
+    createOutput(gain, pan) {
+      const output = this.ctx.createGain();
+      output.gain.value = gain;
+
+      if (typeof this.ctx.createStereoPanner === "function") {
+        const panner = this.ctx.createStereoPanner();
+        panner.pan.value = clamp(pan, -1, 1);
+        output.connect(panner).connect(this.master);
+      } else {
+        output.connect(this.master);
+      }
+
+      return output;
+    }
+
+    /** Amostra decodificada (ex.: bubble.mp3); silêncio enquanto não decodificou. */
+    playSample(url, { pan = 0, rate = 1, gain = 1 } = {}) {
+      const buffer = this.buffers.get(url);
+      if (!this.isAudible || !buffer) return;
+
+      const source = this.ctx.createBufferSource();
+      source.buffer = buffer;
+      source.playbackRate.value = rate;
+
+      const output = this.createOutput(gain, pan);
+      source.connect(output);
+
+      const start = this.ctx.currentTime;
+      this.startVoice(source, output, start, start + buffer.duration / rate);
+    }
+
+    /**
+     * Nota sintetizada com envelope curto.
+     * @param {{ type?: OscillatorType, from: number, to?: number, duration: number,
+     *   delay?: number, gain?: number, pan?: number }} tone
+     */
+    playTone({ type = "square", from, to = from, duration, delay = 0, gain = 0.2, pan = 0 }) {
+      if (!this.isAudible) return;
+
+      const start = this.ctx.currentTime + delay;
+      const end = start + duration;
+
+      const osc = this.ctx.createOscillator();
+      osc.type = type;
+      osc.frequency.setValueAtTime(from, start);
+      if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, end);
+
+      // Envelope: ataque rápido e decaimento exponencial (sem "clique")
+      const envelope = this.ctx.createGain();
+      envelope.gain.setValueAtTime(0.0001, start);
+      envelope.gain.exponentialRampToValueAtTime(1, start + 0.01);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+      const output = this.createOutput(gain, pan);
+      osc.connect(envelope).connect(output);
+      this.startVoice(osc, output, start, end);
+    }
+
+    playShoot(pan) {
+      this.playTone({ type: "square", from: 880, to: 220, duration: 0.08, gain: 0.06, pan });
+    }
+
+    // Arpejo maior ascendente (C5 E5 G5 C6)
+    playWin() {
+      [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+        this.playTone({ type: "triangle", from: freq, duration: i === 3 ? 0.5 : 0.18, delay: i * 0.11, gain: 0.25 });
+      });
+    }
+  }
+
+  let sharedAudio = null;
+  const getAudioEngine = () => (sharedAudio ??= new AudioEngine());
+
+  /* --------------------------------------------------------------------------
+     Power-ups: peças destruídas às vezes soltam um item que cai com a
+     gravidade; a nave coleta ao encostar. Cada tipo é um plugin registrado em
+     POWER_UPS; o Game só chama os ganchos dos tipos ativos.
+     -------------------------------------------------------------------------- */
+
+  /**
+   * @typedef {object} PowerUpDef
+   * @property {string} id
+   * @property {string} color cor do item, do indicador no HUD e das partículas
+   * @property {string} icon um caractere, desenhado no item e no HUD
+   * @property {number} [durationMs] 0 = efeito instantâneo (sem indicador)
+   * @property {number} [weight] chance relativa entre os tipos (padrão 1)
+   * @property {string} [label] nome no HUD (padrão: mensagem "powerUp.<id>" ou o id)
+   * @property {(game: Game) => void} [onCollect]
+   * @property {(game: Game) => void} [onExpire]
+   * @property {(intervalMs: number, game: Game) => number} [fireInterval] intervalo entre tiros
+   * @property {(shots: object[], game: Game) => object[]} [shoot] transforma as balas de um disparo
+   * @property {(game: Game) => boolean} [absorbHit] true = a nave não sofre o acerto
+   * @property {(ctx: CanvasRenderingContext2D, game: Game, remainingMs: number) => void} [draw]
+   *   desenho extra sobre a nave enquanto ativo
+   */
+
+  /** @type {Map<string, PowerUpDef>} */
+  const POWER_UPS = new Map();
+
+  /** Registra (ou substitui) um tipo de power-up; vale para as próximas partidas. */
+  function registerPowerUp(def) {
+    if (!def || typeof def.id !== "string" || def.id === "") {
+      throw new TypeError("ErrorGame.registerPowerUp: id obrigatório");
+    }
+    POWER_UPS.set(def.id, { durationMs: 0, weight: 1, color: "#f8fafc", icon: "?", ...def });
+  }
+
+  registerPowerUp({
+    id: "spread",
+    color: "#38bdf8",
+    icon: "⋔",
+    durationMs: 8000,
+    shoot: (shots) =>
+      shots.flatMap((shot) =>
+        [-1, 0, 1].map((side) => {
+          const angle = side * CONFIG.powerUps.spreadAngle;
+          const speed = Math.hypot(shot.vx, shot.vy);
+          return { ...shot, vx: Math.sin(angle) * speed, vy: -Math.cos(angle) * speed };
+        })
+      )
+  });
+
+  registerPowerUp({
+    id: "laser",
+    color: "#f472b6",
+    icon: "ǀ",
+    durationMs: 6000,
+    shoot: (shots) => shots.map((shot) => ({ ...shot, laser: true, pierce: CONFIG.powerUps.laserPierce, color: "#f472b6" }))
+  });
+
+  registerPowerUp({
+    id: "rapid",
+    color: "#facc15",
+    icon: "»",
+    durationMs: 7000,
+    fireInterval: (intervalMs) => intervalMs * CONFIG.powerUps.rapidFactor
+  });
+
+  registerPowerUp({
+    id: "shield",
+    color: "#34d399",
+    icon: "◯",
+    durationMs: 8000,
+    absorbHit: () => true,
+    draw(ctx, game, remainingMs) {
+      const pulse = game.reducedMotion ? 0.5 : 0.5 + 0.5 * Math.sin(game.globalTime * 0.008);
+      ctx.globalAlpha = remainingMs < CONFIG.powerUps.expiringMs ? 0.2 + 0.4 * pulse : 0.45 + 0.2 * pulse;
+      ctx.strokeStyle = "#34d399";
+      ctx.lineWidth = 2;
+      // Escudo do time: envolve todas as naves
+      for (const p of game.players) {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, Math.max(p.w, p.h) * 0.8, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    }
+  });
+
+  // Bomba: limpa projéteis/destroços e destrói parte das peças de uma vez
+  registerPowerUp({
+    id: "bomb",
+    color: "#fb923c",
+    icon: "✷",
+    weight: 0.6,
+    onCollect(game) {
+      game.enemyBullets = [];
+      game.debris = [];
+
+      // Sorteio sem repetição (Fisher–Yates parcial) numa cópia: a ordem de game.pieces é a da grade
+      const pool = game.pieces.slice();
+      const count = Math.min(pool.length, Math.max(1, Math.round(pool.length * CONFIG.powerUps.bombFraction)));
+      for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(game.random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+        game.destroyPiece(pool[i], { drops: false });
+        game.score += CONFIG.score.pointsPerPiece;
+      }
+      game.compactPieces();
+      game.triggerShake(CONFIG.powerUps.bombShake, CONFIG.shakeDurationMs * 3);
+    }
+  });
+
+  // Sorteio ponderado entre os tipos permitidos (random: o RNG da partida)
+  function pickPowerUp(allowed, random) {
+    const defs = [...POWER_UPS.values()].filter((def) => def.weight > 0 && (!allowed || allowed.includes(def.id)));
+    let roll = random() * defs.reduce((sum, def) => sum + def.weight, 0);
+
+    for (const def of defs) {
+      roll -= def.weight;
+      if (roll < 0) return def;
+    }
+    return null;
+  }
+
+  /* --------------------------------------------------------------------------
+     Skins da nave: declaradas no SKIN_MANIFEST (ou pela página, em
+     #error-skins / registerSkin); o Game só lê a skin ativa. Cada skin é uma
+     imagem ou uma sprite sheet (linhas idle, bankLeft, bankRight, thruster),
+     com hitbox e saída da bala próprias. unlockWins libera pelas vitórias
+     guardadas no localStorage.
+     -------------------------------------------------------------------------- */
+
+  /**
+   * @typedef {object} SkinAnimation
+   * @property {number} row          linha da sprite sheet
+   * @property {number} [frames]     quadros na linha (padrão 1)
+   * @property {number} [fps]        quadros pelo relógio; sem fps (inclinação), pelo quanto a nave vira
+   */
+
+  /**
+   * @typedef {object} ShipSkin
+   * @property {string} id
+   * @property {string} [label]      nome no seletor (padrão: mensagem "skin.<id>" ou o id)
+   * @property {string} [src]        imagem relativa ao assetsBase (ou URL); sem src, a nave desenhada
+   * @property {{ w: number, h: number }} [frame]  quadro da sprite sheet em px; sem frame, a imagem inteira
+   * @property {{ idle?: SkinAnimation, bankLeft?: SkinAnimation, bankRight?: SkinAnimation,
+   *   thruster?: SkinAnimation }} [animations]
+   * @property {number} [scale]      tamanho do desenho (1 = o da nave clássica)
+   * @property {{ w: number, h: number, x?: number, y?: number }} [hitbox]  fração de w × h da nave, do centro
+   * @property {{ x: number, y: number }} [muzzle]  saída da bala, em fração de w × h a partir do centro
+   * @property {{ x: number, y: number } | false} [exhaust]  chama desenhada (sem animação thruster); false = sem
+   * @property {{ start: string, mid: string, end: string }} [colors]  nave desenhada; padrão: as do tema
+   * @property {number} [unlockWins] vitórias locais para liberar (0 = sempre)
+   */
+
+  const SKIN_MANIFEST = [
+    { id: "classic", src: "img/nave.png" },
+    {
+      id: "interceptor",
+      src: "img/ships/interceptor.png",
+      frame: { w: 32, h: 32 },
+      animations: {
+        idle: { row: 0, frames: 2, fps: 2 },
+        bankLeft: { row: 1, frames: 2 },
+        bankRight: { row: 2, frames: 2 },
+        thruster: { row: 3, frames: 4, fps: 12 }
+      },
+      scale: 0.9,
+      hitbox: { w: 0.65, h: 1.7 },
+      muzzle: { x: 0, y: -0.9 },
+      unlockWins: 1
+    },
+    {
+      id: "arrow",
+      colors: { start: "#f0abfc", mid: "#c026d3", end: "#4c1d95" },
+      hitbox: { w: 0.6, h: 0.9 },
+      muzzle: { x: 0, y: -0.9 },
+      unlockWins: 3
+    }
+  ];
+
+  /** @type {Map<string, ShipSkin>} */
+  const SKINS = new Map();
+
+  /** Registra (ou substitui) uma skin; aparece no seletor e vale para options.skin / data-skin. */
+  function registerSkin(def) {
+    if (!def || typeof def.id !== "string" || def.id === "") {
+      throw new TypeError("ErrorGame.registerSkin: id obrigatório");
+    }
+    SKINS.set(def.id, {
+      scale: 1,
+      unlockWins: 0,
+      animations: {},
+      exhaust: { x: 0, y: 0.8 },
+      ...def,
+      hitbox: { w: 1, h: 1, x: 0, y: 0, ...def.hitbox },
+      muzzle: { x: 0, y: -0.5, ...def.muzzle }
+    });
+  }
+
+  for (const skin of SKIN_MANIFEST) registerSkin(skin);
+
+  const SKIN_SETTINGS_KEY = "error-pages:skins";
+
+  // { wins, selected }: vitórias de todas as páginas e a skin escolhida no seletor
+  function loadSkinSettings() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(SKIN_SETTINGS_KEY) ?? "{}");
+      return {
+        wins: Number.isInteger(saved?.wins) && saved.wins > 0 ? saved.wins : 0,
+        selected: typeof saved?.selected === "string" ? saved.selected : null
+      };
+    } catch (_) {
+      return { wins: 0, selected: null };
+    }
+  }
+
+  function saveSkinSettings(changes) {
+    try {
+      window.localStorage.setItem(SKIN_SETTINGS_KEY, JSON.stringify({ ...loadSkinSettings(), ...changes }));
+    } catch (_) {
+      // não crítico: a escolha vale só nesta visita
+    }
+  }
+
+  // Conta uma vitória e devolve as skins que ela acabou de liberar
+  function recordSkinWin() {
+    const wins = loadSkinSettings().wins + 1;
+    saveSkinSettings({ wins });
+    return [...SKINS.values()].filter((skin) => skin.unlockWins === wins).map((skin) => skin.id);
+  }
+
+  // Caminho relativo vem do assetsBase; URL absoluta (ou /…) fica como está
+  const skinImageUrl = (src, assetsBase) => (/^([a-z][\w+.-]*:|\/)/i.test(src) ? src : `${assetsBase}${src}`);
+
+  const KEY_LEFT = new Set(["ArrowLeft", "a", "A"]);
+  const KEY_RIGHT = new Set(["ArrowRight", "d", "D"]);
+  const KEY_FIRE = new Set([" ", "Spacebar"]);
+  const KEY_MUTE = new Set(["m", "M"]);
+
+  // Índices do "standard gamepad mapping"
+  const PAD_BUTTON_FIRE = 0; // A / Cruz
+  const PAD_BUTTON_BACK = 1; // B / Círculo
+  const PAD_DPAD_LEFT = 14;
+  const PAD_DPAD_RIGHT = 15;
+
+  /**
+   * Camada de entrada para teclado e Gamepad.
+   * Move a mesma nave que os ponteiros (player.targetX) e diz se ela está
+   * atirando (isFiring), então o resto do jogo não sabe de onde veio o comando.
+   * No co-op, teclado/Gamepad são do jogador 2 (o mouse fica com o 1).
+   */
+  class InputController {
+    constructor(game) {
+      this.game = game;
+
+      this.keyLeft = false;
+      this.keyRight = false;
+      this.keyFire = false;
+
+      this.padFire = false;
+      this.padBack = false;
+      this.padFiring = false; // A segurado durante a partida (o A que fechou o overlay não atira)
+
+      this.scheme = "pointer";
+
+      this.onKeyDown = this.onKeyDown.bind(this);
+      this.onKeyUp = this.onKeyUp.bind(this);
+      this.onBlur = this.onBlur.bind(this);
+    }
+
+    attach() {
+      window.addEventListener("keydown", this.onKeyDown);
+      window.addEventListener("keyup", this.onKeyUp);
+      window.addEventListener("blur", this.onBlur);
+    }
+
+    detach() {
+      window.removeEventListener("keydown", this.onKeyDown);
+      window.removeEventListener("keyup", this.onKeyUp);
+      window.removeEventListener("blur", this.onBlur);
+      this.release();
+    }
+
+    // padFire/padBack ficam: são o estado do controle na última leitura, e o A
+    // que reiniciou a partida continua segurado até soltar (sem borda nova)
+    release() {
+      this.keyLeft = false;
+      this.keyRight = false;
+      this.keyFire = false;
+      this.padFiring = false;
+    }
+
+    // Nave controlada por teclado/Gamepad
+    getPlayer() {
+      const { game } = this;
+      return game.players[game.coop ? 1 : 0] ?? null;
+    }
+
+    isFiring(player) {
+      return player === this.getPlayer() && (this.keyFire || this.padFiring);
+    }
+
+    setScheme(scheme) {
+      if (this.scheme === scheme) return;
+      this.scheme = scheme;
+
+      // Só atualiza quando muda, para não repetir o aviso no leitor de tela
+      this.refreshHint();
+    }
+
+    refreshHint() {
+      const { game } = this;
+      if (!game.hint) return;
+
+      let key = `hint.${this.scheme}`;
+      if (game.playback) key = "hint.replay";
+      else if (game.a11y.autoAim) key = "hint.autoAim";
+      else if (game.coop) key = "hint.coop";
+      else if (game.thumbs && this.scheme === "pointer" && mediaMatches("(pointer: coarse)")) key = "hint.thumbs";
+      game.hint.textContent = game.t(key);
+    }
+
+    isForeignTarget(target) {
+      if (!(target instanceof Element) || target === this.game.canvas) return false;
+
+      // Com várias instâncias, cada uma só escuta teclas da própria área (ou da página sem foco)
+      if (target !== document.body && !this.game.root.contains(target)) return true;
+
+      // Deixa botões/links/campos tratarem as próprias teclas
+      return target.closest("button, a, input, select, textarea, summary") !== null;
+    }
+
+    onKeyDown(e) {
+      if (this.game.isOverlayVisible() || this.isForeignTarget(e.target)) return;
+
+      // Tecla é gesto do usuário: libera o áudio
+      this.game.audio.unlock();
+
+      if (KEY_MUTE.has(e.key)) {
+        if (!e.repeat) this.game.audio.toggle();
+        return;
+      }
+
+      if (KEY_LEFT.has(e.key)) this.keyLeft = true;
+      else if (KEY_RIGHT.has(e.key)) this.keyRight = true;
+      else if (KEY_FIRE.has(e.key)) this.keyFire = true;
+      else return;
+
+      // Evita scroll da página com setas/espaço
+      e.preventDefault();
+      this.setScheme("keyboard");
+    }
+
+    onKeyUp(e) {
+      if (KEY_LEFT.has(e.key)) this.keyLeft = false;
+      else if (KEY_RIGHT.has(e.key)) this.keyRight = false;
+      else if (KEY_FIRE.has(e.key)) this.keyFire = false;
+    }
+
+    onBlur() {
+      // Janela perdeu foco: keyup nunca chega, então solta tudo
+      this.release();
+    }
+
+    readGamepad() {
+      const pads = navigator.getGamepads?.() ?? [];
+
+      for (const pad of pads) {
+        if (!pad || !pad.connected) continue;
+
+        const stickX = pad.axes[0] ?? 0;
+        let axis = Math.abs(stickX) > CONFIG.gamepadDeadzone ? stickX : 0;
+        if (pad.buttons[PAD_DPAD_LEFT]?.pressed) axis = -1;
+        if (pad.buttons[PAD_DPAD_RIGHT]?.pressed) axis = 1;
+
+        return {
+          axis,
+          fire: pad.buttons[PAD_BUTTON_FIRE]?.pressed ?? false,
+          back: pad.buttons[PAD_BUTTON_BACK]?.pressed ?? false
+        };
+      }
+
+      return null;
+    }
+
+    update(dtSec) {
+      const { game } = this;
+      const pad = this.readGamepad();
+
+      // Gamepad: borda de subida/descida, igual pointerdown/pointerup
+      const padFire = pad?.fire ?? false;
+      const padBack = pad?.back ?? false;
+      const firePressed = padFire && !this.padFire;
+      const backPressed = padBack && !this.padBack;
+
+      if (game.isOverlayVisible()) {
+        // Em TV/kiosk o overlay também precisa ser operável pelo controle
+        if (firePressed) game.reset();
+        else if (backPressed) game.exit();
+      } else if (firePressed) {
+        this.padFiring = true;
+        this.setScheme("gamepad");
+      }
+      if (!padFire) this.padFiring = false;
+
+      this.padFire = padFire;
+      this.padBack = padBack;
+
+      const p = this.getPlayer();
+      if (!p) return;
+
+      let dir = (this.keyRight ? 1 : 0) - (this.keyLeft ? 1 : 0);
+      if (pad && pad.axis !== 0) {
+        dir = pad.axis;
+        this.setScheme("gamepad");
+      }
+      if (dir === 0) return;
+
+      const speed = game.width * CONFIG.keyboardSpeed;
+      p.targetX = clamp(p.targetX + dir * speed * dtSec, p.w / 2, game.width - p.w / 2);
+    }
+  }
+
+  /* --------------------------------------------------------------------------
+     Replay: a partida é determinística (passo fixo + RNG com semente), então
+     basta gravar a semente, o viewport e, nos passos em que mudam, o alvo e o
+     gatilho de cada nave. O log vira JSON (arquivo) ou base64url (#replay=… /
+     ?replay=…), e a reprodução passa pelo mesmo Game.update().
+     -------------------------------------------------------------------------- */
+
+  const REPLAY_VERSION = 1;
+  const REPLAY_SPEEDS = [1, 2, 4];
+
+  /**
+   * @typedef {object} ReplayLog
+   * @property {number} v                  versão do formato
+   * @property {string} code
+   * @property {number} level
+   * @property {string} difficulty
+   * @property {number} players
+   * @property {string[] | null} powerUps
+   * @property {boolean} reducedMotion
+   * @property {string} skin               hitbox e saída da bala mudam a simulação
+   * @property {number} seed
+   * @property {[number, number]} viewport largura × altura em CSS px
+   * @property {number} pieces             peças geradas (confere se o glyph bateu na reprodução)
+   * @property {number} steps              passos até o fim da partida
+   * @property {boolean} won
+   * @property {number} score
+   * @property {[number, number, number, number][]} events
+   *   [passos desde o evento anterior, nave, alvo x, gatilho 0/1]
+   */
+
+  class ReplayRecorder {
+    constructor(header) {
+      this.header = header;
+      this.events = [];
+      this.last = []; // último [x, gatilho] gravado por nave
+      this.lastStep = 0;
+    }
+
+    // A cada passo, antes do step(): só entra o que mudou
+    capture(step, players) {
+      for (const p of players) {
+        // Alvo em décimos de px também no jogo ao vivo: a reprodução vê o mesmo número
+        p.targetX = Math.round(p.targetX * 10) / 10;
+        const fire = p.trigger ? 1 : 0;
+        const last = this.last[p.index];
+        if (last && last[0] === p.targetX && last[1] === fire) continue;
+
+        this.last[p.index] = [p.targetX, fire];
+        this.events.push([step - this.lastStep, p.index, p.targetX, fire]);
+        this.lastStep = step;
+      }
+    }
+
+    /** @returns {ReplayLog} */
+    finish(summary) {
+      return { ...this.header, ...summary, events: this.events };
+    }
+  }
+
+  /**
+   * Valida um log (objeto ou JSON) antes de reproduzir.
+   * @returns {ReplayLog}
+   */
+  function parseReplay(value) {
+    const log = typeof value === "string" ? JSON.parse(value) : value;
+    const isNumber = (n) => typeof n === "number" && Number.isFinite(n);
+
+    if (log?.v !== REPLAY_VERSION) throw new Error("versão de replay não suportada");
+    if (!Number.isInteger(log.seed)) throw new Error("replay sem semente");
+    if (!Array.isArray(log.viewport) || log.viewport.length !== 2 || !log.viewport.every((n) => isNumber(n) && n > 0)) {
+      throw new Error("replay sem viewport");
+    }
+    if (!Array.isArray(log.events) || !log.events.every((e) => Array.isArray(e) && e.length === 4 && e.every(isNumber))) {
+      throw new Error("eventos do replay inválidos");
+    }
+
+    return {
+      ...log,
+      level: Math.max(1, Math.floor(Number(log.level) || 1)),
+      difficulty: log.difficulty === "hard" ? "hard" : "normal",
+      players: log.players === 2 ? 2 : 1,
+      powerUps: Array.isArray(log.powerUps) ? log.powerUps.map(String) : null,
+      reducedMotion: Boolean(log.reducedMotion),
+      // Logs de antes das skins: a nave clássica
+      skin: typeof log.skin === "string" ? log.skin : "classic"
+    };
+  }
+
+  // base64url do JSON em UTF-8: vai no fragmento/parâmetro da URL sem escapar
+  function encodeReplay(log) {
+    const bytes = new TextEncoder().encode(JSON.stringify(log));
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  /** @returns {ReplayLog} */
+  function decodeReplay(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return parseReplay(new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0))));
+  }
+
+  // ?replay=… ou #replay=… (o formato do link exportado, que não vai para o servidor)
+  function readReplayParam() {
+    const { search, hash } = window.location;
+    return new URLSearchParams(search).get("replay") ?? new URLSearchParams(hash.slice(1)).get("replay");
+  }
+
+  /**
+   * Log a partir de um objeto, JSON, payload base64url ou URL de um .json.
+   * @returns {Promise<ReplayLog>}
+   */
+  async function loadReplay(source) {
+    if (typeof source !== "string") return parseReplay(source);
+
+    const text = source.trim();
+    if (text.startsWith("{")) return parseReplay(text);
+
+    if (/^(https?:|\.{0,2}\/)|\.json$/i.test(text)) {
+      // Só da origem da página, como o retry e as sugestões: link compartilhado não busca fora
+      const url = new URL(text, window.location.href);
+      if (url.origin !== window.location.origin) throw new Error(`replay de outra origem: ${url.origin}`);
+
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`replay não encontrado (HTTP ${res.status})`);
+      return parseReplay(await res.json());
+    }
+
+    return decodeReplay(text);
+  }
+
+  class Game {
+    /**
+     * @param {{ root: HTMLElement, canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D,
+     *   overlay: HTMLElement | null, hint: HTMLElement | null,
+     *   restartBtn: HTMLButtonElement | null, nextBtn: HTMLButtonElement | null,
+     *   homeBtn: HTMLButtonElement | null, liveRegion?: HTMLElement | null }} view
+     * @param {ReturnType<typeof resolveOptions>} options
+     */
+    constructor(view, options) {
+      this.root = view.root;
+      this.canvas = view.canvas;
+      this.ctx = view.ctx;
+      this.overlay = view.overlay;
+      this.hint = view.hint;
+      this.restartBtn = view.restartBtn;
+      this.nextBtn = view.nextBtn ?? null;
+      this.homeBtn = view.homeBtn;
+      this.liveRegion = view.liveRegion ?? null;
+
+      this.options = options;
+      this.seedRun();
+      this.analytics = options.analytics ? new Analytics(options.analytics, analyticsBase(options)) : null;
+      this.errorCode = options.code;
+      this.text = options.text;
+      this.glyphSpec = options.glyph ?? readGlyphOptions(view.root, options.text);
+      // null enquanto imagem/webfont carregam (sem peças, sem vitória)
+      this.glyph = glyphNeedsLoading(this.glyphSpec) ? null : textGlyph(this.glyphSpec);
+      this.isHardMode = options.difficulty === "hard";
+      this.coop = options.players === 2;
+      this.thumbs = options.controls === "thumbs";
+      this.a11y = { autoAim: false, highContrast: false, reducedMotion: false, ...options.accessibility };
+      this.reducedMotion = this.a11y.reducedMotion;
+      this.waves = options.waves ?? WAVES;
+      this.level = options.level ?? 1;
+      this.wave = getWave(this.waves, this.level);
+      this.locale = options.locale;
+      this.t = createTranslator(options.locale, options.code);
+
+      // Guarda a cópia de vitória para alternar com a variante de derrota
+      this.overlayTitle = this.overlay?.querySelector(".overlay__title") ?? null;
+      this.overlayText = this.overlay?.querySelector(".overlay__text") ?? null;
+      this.victoryCopy = {
+        title: this.overlayTitle?.textContent ?? "",
+        text: this.overlayText?.textContent ?? "",
+        restart: this.restartBtn?.textContent ?? ""
+      };
+
+      // Assets por instância (cada mount pode apontar para outro assetsBase)
+      this.skin = SKINS.get(options.skin) ?? SKINS.get("classic");
+      this.skinImages = new Map(); // src → Image, carregada na primeira vez que a skin aparece
+      this.skinImage();
+      this.hitSoundUrl = `${options.assetsBase}sound/bubble.mp3`;
+      this.audio = getAudioEngine();
+      this.audio.preload(this.hitSoundUrl);
+
+      // Replay: gravação da partida ao vivo, ou reprodução de um log (playback)
+      this.recorder = null;
+      this.lastReplay = null; // log da última partida encerrada
+      this.playback = null;
+      this.replayPending = false; // log ainda carregando (?replay=<url>)
+      this.replayControl = null; // barra/botões do mount
+      this.skinPicker = null; // seletor de skin no overlay (mount)
+      // Sugestões do 404 (rankSuggestions): links no overlay e peças marcadas que revelam uma delas
+      this.suggestions = [];
+      this.revealedSuggestions = new Set();
+      this.suggestionView = null;
+      this.stepCount = 0;
+
+      // Qualidade do render: "low" = menos estrelas, teto de partículas e DPR 1.
+      // Em "auto" o FPS medido rebaixa (high → low → cartão estático do mount)
+      this.quality = options.quality === "low" ? "low" : "high";
+      this.qualityReasons = [];
+      this.fpsMonitor = options.quality === "auto" ? new FpsMonitor() : null;
+      this.onFallback = null;
+
+      // dimensões em CSS px
+      this.width = 0;
+      this.height = 0;
+      this.dpr = 1;
+      this.measure();
+
+      // estado do jogo: players[0] é o jogador 1 (player aponta para ele); players[1] só no co-op
+      this.players = [];
+      this.player = null;
+      this.stars = [];
+      this.pieces = [];
+      this.bullets = [];
+      this.particles = [];
+      this.enemyBullets = [];
+      this.debris = [];
+      this.fallen = []; // destruídas que podem regenerar (onda com regen)
+      this.initialPieceCount = 0;
+
+      // Movimento da onda: deslocamento do grupo todo (peças guardam a posição de origem)
+      this.waveOffset = { x: 0, y: 0 };
+      this.lastRegenAt = -Infinity;
+
+      // Auto-mira (acessibilidade) e progresso anunciado no aria-live
+      this.autoTarget = null;
+      this.autoFiring = false;
+      this.announcedPercent = 0;
+      this.lastAnnounceAt = -Infinity;
+
+      // Power-ups: itens caindo e efeitos ativos (id → { def, until })
+      this.powerUpsAllowed = options.powerUps ?? null; // null = todos; [] = desligados
+      this.items = [];
+      this.powerUps = new Map();
+      this.lastDropAt = -Infinity;
+
+      // Colisão: grade reconstruída no próximo update quando piecesChanged
+      this.pieceGrid = new SpatialGrid(CONFIG.piece.gridCellSize);
+      this.piecesChanged = false;
+
+      // Render: tema em cache + camadas pré-renderizadas (null = refazer no próximo frame).
+      // Tema em JSON (setTheme, data-theme, temporada) vai inline no container, por cima do CSS
+      this.themeSpec = options.themeSpec ?? null;
+      this.themeVarNames = [];
+      this.applyThemeSpec();
+      this.theme = readTheme(this.root);
+      this.layers = null;
+      this.themeObserver = typeof MutationObserver === "function" ? new MutationObserver(() => this.refreshTheme()) : null;
+      this.colorSchemeQuery = globalThis.matchMedia?.("(prefers-color-scheme: dark)") ?? null;
+      this.frameStats = options.debug ? new FrameStats() : null;
+
+      // Ponteiros ativos: pointerId → { player, steer, fire, scale }
+      this.pointers = new Map();
+
+      this.globalTime = 0;
+      this.lastFrameAt = now();
+      this.stepAccumulator = 0; // tempo de frame ainda não simulado (< stepMs)
+
+      // shake
+      this.shakeMs = 0;
+      this.shakeDurationMs = CONFIG.shakeDurationMs;
+      this.shakeIntensity = 0;
+
+      this.resetScore();
+      this.resetHardMode();
+
+      // Sessão (não zera no reset): telemetria de engajamento
+      this.hasShot = false;
+      this.wins = 0;
+
+      this.rafId = 0;
+      this.overlayTimer = 0;
+      this.isRunning = false;
+      this.isPaused = false;
+      this.isGameOver = false;
+
+      // binds
+      this.onResize = this.onResize.bind(this);
+      this.onRestartClick = this.onRestartClick.bind(this);
+      this.onNextClick = this.onNextClick.bind(this);
+      this.onHomeClick = this.onHomeClick.bind(this);
+      this.onOverlayKeyDown = this.onOverlayKeyDown.bind(this);
+      this.onVisibilityChange = this.onVisibilityChange.bind(this);
+      this.loop = this.loop.bind(this);
+      this.onPointerMove = this.onPointerMove.bind(this);
+      this.onPointerDown = this.onPointerDown.bind(this);
+      this.onPointerUp = this.onPointerUp.bind(this);
+      this.refreshTheme = this.refreshTheme.bind(this);
+
+      this.input = new InputController(this);
+    }
+
+    start() {
+      this.isRunning = true;
+      this.isPaused = false;
+      this.isGameOver = false;
+
+      this.setOverlayVisible(false);
+      this.applyA11y();
+
+      this.setupCanvas();
+      this.createStars();
+      this.createPlayers();
+      if (this.glyph) this.create404Pieces();
+      else this.loadGlyph();
+
+      // Replay do link: o aviso já sai no announce, a rejeição não tem quem ouça
+      if (this.options.replay) this.loadPlayback(this.options.replay).catch(() => {});
+      else this.startRecording();
+
+      if (this.fpsMonitor) {
+        isBatterySaving().then((saving) => {
+          if (saving && this.isRunning && this.quality === "high") this.degrade("battery");
+        });
+      }
+
+      this.attachEvents();
+
+      this.lastFrameAt = now();
+      this.rafId = requestAnimationFrame(this.loop);
+
+      this.track("game_start", { reason: "mount" });
+    }
+
+    stop() {
+      this.isRunning = false;
+      if (this.rafId) cancelAnimationFrame(this.rafId);
+      this.rafId = 0;
+      window.clearTimeout(this.overlayTimer);
+      this.overlayTimer = 0;
+      this.detachEvents();
+    }
+
+    pause() {
+      if (!this.isRunning || this.isPaused) return;
+
+      this.isPaused = true;
+      if (this.rafId) cancelAnimationFrame(this.rafId);
+      this.rafId = 0;
+
+      // Sem keyup durante a pausa: evita voltar atirando sozinho
+      this.releasePointers();
+      this.input.release();
+    }
+
+    resume() {
+      if (!this.isRunning || !this.isPaused) return;
+
+      this.isPaused = false;
+      if (document.hidden) return; // visibilitychange retoma quando a aba voltar
+
+      this.fpsMonitor?.reset();
+      this.lastFrameAt = now();
+      this.rafId = requestAnimationFrame(this.loop);
+    }
+
+    /**
+     * Semente da partida: a do replay em reprodução; options.seed repete
+     * sempre o mesmo jogo; sem nenhuma, uma nova a cada reset.
+     */
+    seedRun(seed = this.playback?.log.seed ?? this.options.seed ?? randomSeed()) {
+      this.seed = seed >>> 0;
+      this.random = createRng(this.seed);
+    }
+
+    /** Recomeça o nível atual (ou `level`, para avançar) sem reload. */
+    reset(level = this.level) {
+      const reason = level === this.level ? "restart" : "next_level";
+      if (reason === "restart") this.track("restart", { outcome: this.result ? (this.result.won ? "win" : "lose") : "playing" });
+
+      // reset “limpo” sem reload — fica mais profissional
+      window.clearTimeout(this.overlayTimer);
+      this.overlayTimer = 0;
+
+      this.level = level;
+      this.wave = getWave(this.waves, level);
+
+      this.players = [];
+      this.player = null;
+      this.stars = [];
+      this.pieces = [];
+      this.bullets = [];
+      this.particles = [];
+      this.enemyBullets = [];
+      this.debris = [];
+      this.fallen = [];
+      this.waveOffset = { x: 0, y: 0 };
+      this.lastRegenAt = -Infinity;
+      this.items = [];
+      this.clearPowerUps();
+      this.lastDropAt = -Infinity;
+      this.autoTarget = null;
+      this.autoFiring = false;
+      this.announcedPercent = 0;
+      this.lastAnnounceAt = -Infinity;
+
+      this.releasePointers();
+      this.input.release();
+
+      this.globalTime = 0;
+      this.lastFrameAt = now();
+      this.stepAccumulator = 0;
+      this.stepCount = 0;
+      this.seedRun();
+
+      this.shakeMs = 0;
+      this.shakeIntensity = 0;
+
+      this.resetScore();
+      this.resetHardMode();
+
+      this.isGameOver = false;
+
+      this.setupCanvas();
+      this.createStars();
+      this.createPlayers();
+      this.create404Pieces();
+      this.setOverlayVisible(false);
+      this.setOverlayOutcome("win");
+
+      // Reprodução recomeça do primeiro evento; ao vivo, uma gravação nova
+      if (this.playback) this.rewindPlayback();
+      else this.startRecording();
+
+      this.track("game_start", { reason });
+    }
+
+    nextLevel() {
+      // Da reprodução, o próximo nível já é jogo de verdade
+      if (this.playback) this.stopPlayback(this.level + 1);
+      else this.reset(this.level + 1);
+    }
+
+    startRecording() {
+      this.recorder = new ReplayRecorder({
+        v: REPLAY_VERSION,
+        code: this.errorCode,
+        level: this.level,
+        difficulty: this.isHardMode ? "hard" : "normal",
+        players: this.coop ? 2 : 1,
+        powerUps: this.powerUpsAllowed,
+        reducedMotion: this.reducedMotion,
+        skin: this.skin.id,
+        seed: this.seed,
+        viewport: [this.width, this.height]
+      });
+    }
+
+    // ?replay=<url> busca o JSON: até chegar a simulação espera (step() não avança).
+    // Log inválido avisa, começa uma partida normal e rejeita (playReplay)
+    async loadPlayback(source) {
+      this.replayPending = true;
+      try {
+        const log = await loadReplay(source);
+        if (this.isRunning) this.beginPlayback(log);
+      } catch (err) {
+        debugWarn("ErrorGame: replay inválido, começando uma partida normal", err);
+        this.announce(this.t("replay.invalid"));
+        this.startRecording();
+        throw err;
+      } finally {
+        this.replayPending = false;
+      }
+    }
+
+    /**
+     * Troca a partida atual pela reprodução do log: mesmas opções que mudam a
+     * simulação (nível, dificuldade, co-op, power-ups, movimento reduzido),
+     * mesma semente e o viewport da gravação.
+     * @param {ReplayLog} log
+     */
+    beginPlayback(log) {
+      const live = this.playback?.live ?? {
+        level: this.level,
+        isHardMode: this.isHardMode,
+        coop: this.coop,
+        powerUpsAllowed: this.powerUpsAllowed,
+        skin: this.skin
+      };
+
+      this.recorder = null;
+      this.playback = { log, live, speed: this.playback?.speed ?? 1, cursor: 0, nextStep: 0, checked: false, diverged: false };
+      this.isHardMode = log.difficulty === "hard";
+      this.coop = log.players === 2;
+      this.powerUpsAllowed = log.powerUps;
+      this.reducedMotion = log.reducedMotion;
+      this.skin = SKINS.get(log.skin) ?? SKINS.get("classic");
+
+      // O canvas simula no tamanho gravado e é encaixado no container sem distorcer
+      this.canvas.style.objectFit = "contain";
+      this.measure();
+      this.reset(log.level);
+
+      this.input.refreshHint();
+      this.replayControl?.render();
+    }
+
+    /** Sai da reprodução: partida nova ao vivo (e gravando) com as opções da página. */
+    stopPlayback(level = this.playback?.live.level) {
+      if (!this.playback) return;
+
+      const { live } = this.playback;
+      this.playback = null;
+      this.isHardMode = live.isHardMode;
+      this.coop = live.coop;
+      this.powerUpsAllowed = live.powerUpsAllowed;
+      this.reducedMotion = this.a11y.reducedMotion;
+      this.skin = live.skin;
+
+      this.canvas.style.objectFit = "";
+      this.measure();
+      this.reset(level);
+
+      this.input.refreshHint();
+      this.replayControl?.render();
+    }
+
+    rewindPlayback() {
+      const { playback } = this;
+      playback.cursor = 0;
+      playback.nextStep = playback.log.events[0]?.[0] ?? Infinity;
+      playback.checked = false;
+      playback.diverged = false;
+    }
+
+    setReplaySpeed(speed) {
+      if (this.playback && REPLAY_SPEEDS.includes(speed)) this.playback.speed = speed;
+    }
+
+    // Eventos gravados até este passo: alvo e gatilho de cada nave
+    applyReplayInput() {
+      const { playback } = this;
+      const { events } = playback.log;
+
+      // Peças vêm do glyph rasterizado (fonte, tamanho): se a contagem não bate, a reprodução diverge.
+      // Skin que esta página não tem também (hitbox e saída da bala são outras)
+      if (!playback.checked && this.glyph) {
+        playback.checked = true;
+        playback.diverged = this.initialPieceCount !== playback.log.pieces || this.skin.id !== playback.log.skin;
+        if (playback.diverged) {
+          debugWarn("ErrorGame: as peças ou a skin do replay não batem com as desta página", playback.log, this.initialPieceCount);
+          this.announce(this.t("replay.diverged"));
+          this.replayControl?.render();
+        }
+      }
+
+      while (playback.cursor < events.length && playback.nextStep <= this.stepCount) {
+        const [, index, x, fire] = events[playback.cursor++];
+        const p = this.players[index];
+        if (p) {
+          p.targetX = x;
+          p.trigger = fire === 1;
+        }
+        playback.nextStep += events[playback.cursor]?.[0] ?? Infinity;
+      }
+    }
+
+    /**
+     * Liga/desliga opções de acessibilidade em tempo real (painel ♿ ou
+     * handle.setAccessibility). persist guarda a escolha para as próximas visitas.
+     */
+    setA11y(changes, { persist = false } = {}) {
+      Object.assign(this.a11y, changes);
+      if (persist) saveA11ySettings(changes);
+      this.applyA11y();
+    }
+
+    applyA11y() {
+      const { autoAim, highContrast, reducedMotion } = this.a11y;
+
+      // Alto contraste é CSS ([data-contrast="high"]): relê as variáveis e refaz as camadas
+      if (highContrast) this.root.dataset.contrast = "high";
+      else delete this.root.dataset.contrast;
+      this.refreshTheme();
+
+      // Movimento reduzido muda a simulação (explosões, onda): a gravação em curso deixa de valer
+      if (this.recorder && reducedMotion !== this.recorder.header.reducedMotion) this.recorder = null;
+      this.reducedMotion = this.playback ? this.playback.log.reducedMotion : reducedMotion;
+      if (this.reducedMotion) this.waveOffset = { x: 0, y: 0 };
+
+      if (!autoAim) {
+        this.autoTarget = null;
+        this.autoFiring = false;
+      }
+      this.input.refreshHint();
+    }
+
+    /** Texto para leitores de tela (região aria-live="polite"). */
+    announce(text) {
+      if (!this.liveRegion) return;
+      // Mesmo texto de novo não seria relido: o NBSP torna a mudança perceptível
+      this.liveRegion.textContent = this.liveRegion.textContent === text ? `${text}\u00a0` : text;
+    }
+
+    // "40% do 404 destruído", em degraus de announceStep e no máximo a cada announceIntervalMs
+    updateProgressAnnouncement() {
+      if (this.initialPieceCount === 0) return;
+
+      const { announceStep, announceIntervalMs } = CONFIG.a11y;
+      const destroyed = 1 - this.pieces.length / this.initialPieceCount;
+      const percent = Math.floor((destroyed * 100) / announceStep) * announceStep;
+      if (percent <= this.announcedPercent || percent >= 100) return;
+      if (this.globalTime - this.lastAnnounceAt < announceIntervalMs) return;
+
+      this.announcedPercent = percent;
+      this.lastAnnounceAt = this.globalTime;
+      this.announce(this.t("a11y.progress", { percent, code: this.errorCode }));
+    }
+
+    // Auto-mira: leva a nave até a coluna da peça mais próxima e atira quando alinhada
+    updateAutoAim() {
+      const p = this.player;
+      const ox = this.waveOffset.x;
+
+      if (!this.autoTarget || this.autoTarget.destroyed) {
+        this.autoTarget = null;
+        let best = Infinity;
+        for (const piece of this.pieces) {
+          const distance = Math.abs(piece.x + ox - p.x);
+          if (distance < best) {
+            best = distance;
+            this.autoTarget = piece;
+          }
+        }
+      }
+
+      const target = this.autoTarget;
+      if (!target) {
+        this.autoFiring = false;
+        return;
+      }
+
+      p.targetX = target.x + ox;
+      this.autoFiring = Math.abs(p.x - p.targetX) <= target.r + CONFIG.bulletRadius;
+    }
+
+    /** Skip link: mostra as ações do overlay (jogar ou voltar) sem jogar. */
+    skip() {
+      if (!this.isOverlayVisible()) {
+        window.clearTimeout(this.overlayTimer);
+        this.overlayTimer = 0;
+
+        // Partida encerrada sem resultado: nada atira nem conta pontos atrás do overlay
+        this.isGameOver = true;
+        this.releasePointers();
+        this.input.release();
+        this.enemyBullets = [];
+        this.debris = [];
+        this.items = [];
+        this.clearPowerUps();
+        this.result = null;
+
+        const results = this.overlay?.querySelector(".overlay__results");
+        if (results) results.innerHTML = "";
+
+        this.setOverlayOutcome("skip");
+        this.setOverlayVisible(true);
+      }
+
+      this.homeBtn?.focus();
+    }
+
+    resetScore() {
+      this.score = 0;
+      this.shots = 0;
+      this.hits = 0;
+      this.combo = 0;
+      this.maxCombo = 0;
+      this.lastHitAt = -Infinity;
+      this.runTimeMs = 0;
+      this.result = null;
+    }
+
+    resetHardMode() {
+      this.lives = CONFIG.hard.lives;
+      this.invulnerableUntil = 0;
+      this.enemyFireCooldown = CONFIG.hard.fireIntervalMs * 1.5; // respiro no começo
+    }
+
+    getEnemyFireInterval() {
+      const { fireIntervalMs, referencePieces, maxIntervalScale } = CONFIG.hard;
+      const scale = clamp(Math.sqrt(this.initialPieceCount / referencePieces), 1, maxIntervalScale);
+      return fireIntervalMs * scale;
+    }
+
+    isInvulnerable() {
+      return this.globalTime < this.invulnerableUntil;
+    }
+
+    spawnEnemyBullet() {
+      if (!this.player || this.pieces.length === 0) return;
+
+      // Peça aleatória mira na posição atual da nave (no co-op, de uma das duas)
+      const piece = this.pieces[Math.floor(this.random() * this.pieces.length)];
+      const target = this.players.length > 1 ? this.players[Math.floor(this.random() * this.players.length)] : this.player;
+      const from = { x: piece.x + this.waveOffset.x, y: piece.y + this.waveOffset.y };
+      const dx = target.x - from.x;
+      const dy = target.y - from.y;
+      const dist = Math.hypot(dx, dy) || 1;
+      const speed = this.height * CONFIG.hard.enemyBulletSpeedFactor;
+
+      this.enemyBullets.push({
+        x: from.x,
+        y: from.y,
+        vx: (dx / dist) * speed,
+        vy: (dy / dist) * speed,
+        r: CONFIG.hard.enemyBulletRadius,
+        color: piece.color
+      });
+    }
+
+    updateEnemyFire(dt, dtSec) {
+      this.enemyFireCooldown -= dt;
+
+      if (this.enemyFireCooldown <= 0) {
+        if (this.enemyBullets.length < CONFIG.hard.maxEnemyBullets) this.spawnEnemyBullet();
+        // Jitter para o ritmo não ficar previsível
+        this.enemyFireCooldown = this.getEnemyFireInterval() * (0.6 + this.random() * 0.8);
+      }
+
+      for (let i = this.enemyBullets.length - 1; i >= 0; i--) {
+        const eb = this.enemyBullets[i];
+        eb.x += eb.vx * dtSec;
+        eb.y += eb.vy * dtSec;
+
+        if (eb.y - eb.r > this.height || eb.x + eb.r < 0 || eb.x - eb.r > this.width) {
+          this.enemyBullets.splice(i, 1);
+          continue;
+        }
+
+        const ship = this.isInvulnerable() ? null : this.shipAt(eb.x, eb.y, eb.r);
+        if (ship) {
+          this.enemyBullets.splice(i, 1);
+          if (this.absorbHit(eb.x, eb.y)) continue;
+          this.hitPlayer(ship);
+          if (this.isGameOver) return;
+        }
+      }
+    }
+
+    // Vidas e invulnerabilidade são do time: no co-op, qualquer nave atingida gasta uma
+    hitPlayer(p = this.player) {
+      this.lives--;
+      this.invulnerableUntil = this.globalTime + CONFIG.hard.invulnerableMs;
+      this.combo = 0;
+
+      this.spawnExplosion(p.x, p.y, "#f8fafc");
+      this.triggerShake();
+      if (this.lives > 0) this.announce(this.t("a11y.hit", { lives: this.lives }));
+
+      if (this.lives <= 0) {
+        this.isGameOver = true;
+        this.releasePointers();
+        this.enemyBullets = [];
+        this.debris = [];
+        this.items = [];
+        this.clearPowerUps();
+        this.finishRun(false);
+        this.scheduleOverlay("lose");
+      }
+    }
+
+    getMultiplier() {
+      const { comboStep, maxMultiplier } = CONFIG.score;
+      return Math.min(maxMultiplier, 1 + Math.floor(Math.max(0, this.combo - 1) / comboStep));
+    }
+
+    getAccuracy() {
+      return this.shots > 0 ? this.hits / this.shots : 0;
+    }
+
+    // countsForAccuracy: só o 1º acerto de cada bala (o laser atravessa várias peças)
+    registerHit(countsForAccuracy = true) {
+      // Combo só continua se o acerto veio dentro da janela
+      this.combo = this.globalTime - this.lastHitAt <= CONFIG.score.comboWindowMs ? this.combo + 1 : 1;
+      this.maxCombo = Math.max(this.maxCombo, this.combo);
+      this.lastHitAt = this.globalTime;
+
+      if (countsForAccuracy) this.hits++;
+      this.score += CONFIG.score.pointsPerPiece * this.getMultiplier();
+    }
+
+    registerMiss() {
+      this.combo = 0;
+      this.score = Math.max(0, this.score - CONFIG.score.missPenalty);
+    }
+
+    /** Evento de telemetria com o nível atual; sem analytics (opt-out/DNT) não faz nada. */
+    track(type, data, options) {
+      if (this.playback) return; // reprodução não é sessão de jogo
+      this.analytics?.track(type, { level: this.level, ...data }, options);
+    }
+
+    // Cada nível tem o próprio ranking (e o co-op, o seu); o do nível 1 solo mantém a chave original
+    getLeaderboardId() {
+      const id = this.level > 1 ? `${this.errorCode}:${this.level}` : this.errorCode;
+      return this.coop ? `${id}:coop` : id;
+    }
+
+    finishRun(won = true) {
+      this.runTimeMs = this.globalTime;
+
+      const entry = {
+        score: this.score,
+        accuracy: this.getAccuracy(),
+        timeMs: Math.round(this.runTimeMs),
+        maxCombo: this.maxCombo,
+        at: Date.now()
+      };
+
+      // Derrota não entra no ranking, mas o overlay mostra o ranking atual
+      const boardId = this.getLeaderboardId();
+      // Nem a reprodução: o ranking é de quem jogou
+      const { entries, rank } = won && !this.playback ? recordScore(boardId, entry) : { entries: loadLeaderboard(boardId), rank: 0 };
+
+      // Co-op: quanto cada jogador destruiu (peças da bomba não têm dono)
+      const credits = this.coop ? this.players.map(({ index, color, destroyed }) => ({ index, color, destroyed })) : null;
+
+      // Vitória de verdade conta para liberar skins
+      const unlocked = won && !this.playback ? recordSkinWin() : [];
+
+      this.result = { ...entry, won, rank, entry, entries, credits, unlocked };
+
+      if (this.recorder) {
+        this.lastReplay = this.recorder.finish({ pieces: this.initialPieceCount, steps: this.stepCount, won, score: this.score });
+        this.recorder = null;
+      }
+    }
+
+    scheduleOverlay(outcome) {
+      // pequena “pausa” antes do modal (feedback melhor)
+      this.overlayTimer = window.setTimeout(() => {
+        this.overlayTimer = 0;
+        this.setOverlayOutcome(outcome);
+        this.renderResults();
+        this.replayControl?.render();
+        this.skinPicker?.render();
+        this.setOverlayVisible(true);
+
+        const unlocked = this.result?.unlocked ?? [];
+        if (unlocked.length > 0) {
+          this.announce(this.t("skins.unlocked", { names: unlocked.map((id) => this.skinLabel(SKINS.get(id))).join(", ") }));
+        }
+
+        if (outcome === "win" && !this.playback) {
+          const { score, accuracy, timeMs, maxCombo, rank } = this.result;
+          this.options.onWin?.({ code: this.errorCode, level: this.level, score, accuracy, timeMs, maxCombo, rank });
+        }
+      }, CONFIG.victoryDelayMs);
+    }
+
+    setOverlayOutcome(outcome) {
+      const vars = { code: this.errorCode, homeUrl: this.options.homeUrl };
+      let copy = this.victoryCopy;
+      if (outcome === "lose") {
+        copy = { title: this.t("gameOver.title", vars), text: this.t("gameOver.text", vars), restart: this.t("gameOver.restart", vars) };
+      } else if (outcome === "skip") {
+        copy = { title: this.t("skip.title", vars), text: this.t("skip.text", vars), restart: this.t("skip.play", vars) };
+      }
+
+      this.overlay?.setAttribute("data-outcome", outcome);
+      if (this.overlayTitle) this.overlayTitle.textContent = copy.title;
+      if (this.overlayText) this.overlayText.textContent = copy.text;
+      if (this.restartBtn) this.restartBtn.textContent = copy.restart;
+      // Só quem venceu avança; na derrota o caminho é tentar de novo
+      if (this.nextBtn) this.nextBtn.hidden = outcome !== "win" || Boolean(this.playback);
+    }
+
+    renderResults() {
+      const el = this.overlay?.querySelector(".overlay__results");
+      if (!el || !this.result) return;
+
+      const { score, accuracy, timeMs, maxCombo, won, rank, entry, entries, credits } = this.result;
+      const t = (key, vars) => escapeHtml(this.t(key, { code: this.errorCode, ...vars }));
+
+      const rows = entries
+        .map((e, i) => {
+          const current = e === entry ? ' class="is-current" aria-current="true"' : "";
+          return `<li${current}><span>#${i + 1}</span> <strong>${e.score}</strong> ${t("leaderboard.points")} · ${formatAccuracy(e.accuracy)} · ${formatTime(e.timeMs)}</li>`;
+        })
+        .join("");
+
+      let rankText = t("results.lost");
+      if (this.playback) rankText = t("results.replay");
+      else if (won) rankText = rank > 0 ? t("results.rank", { rank }) : t("results.outOfTop", { size: CONFIG.leaderboardSize });
+
+      el.innerHTML = `
+        <dl class="results">
+          <div><dt>${t("results.score")}</dt><dd>${score}</dd></div>
+          <div><dt>${t("results.accuracy")}</dt><dd>${formatAccuracy(accuracy)}</dd></div>
+          <div><dt>${t("results.time")}</dt><dd>${formatTime(timeMs)}</dd></div>
+          <div><dt>${t("results.maxCombo")}</dt><dd>${maxCombo}</dd></div>
+          ${this.level > 1 ? `<div><dt>${t("results.level")}</dt><dd>${this.level}</dd></div>` : ""}
+        </dl>
+        ${credits ? this.renderCredits(credits) : ""}
+        <p class="results__rank">${rankText}</p>
+        <ol class="leaderboard" aria-label="${t("leaderboard.label")}">${rows}</ol>`;
+    }
+
+    renderCredits(credits) {
+      const total = credits.reduce((sum, c) => sum + c.destroyed, 0);
+      const items = credits
+        .map(({ index, color, destroyed }) => {
+          const player = this.t("coop.player", { n: index + 1 });
+          const percent = total > 0 ? Math.round((destroyed / total) * 100) : 0;
+          const text = escapeHtml(this.t("results.credit", { player, percent, count: destroyed }));
+          return `<li><span class="results__swatch" style="background:${color}" aria-hidden="true"></span> ${text}</li>`;
+        })
+        .join("");
+
+      return `<ul class="results__credits" aria-label="${escapeHtml(this.t("results.credits"))}">${items}</ul>`;
+    }
+
+    isOverlayVisible() {
+      return this.overlay?.classList.contains("is-visible") ?? false;
+    }
+
+    setOverlayVisible(isVisible) {
+      const { overlay } = this;
+      if (!overlay) return;
+
+      overlay.classList.toggle("is-visible", isVisible);
+      overlay.setAttribute("aria-hidden", String(!isVisible));
+
+      // inert tira os botões do Tab enquanto o modal está escondido
+      overlay.inert = !isVisible;
+
+      // Move foco para o modal quando abrir
+      if (isVisible) {
+        overlay.focus();
+        this.restartBtn?.focus();
+      } else if (overlay.contains(document.activeElement)) {
+        // Devolve o foco para o jogo ao fechar (teclado continua funcionando)
+        this.canvas.focus({ preventScroll: true });
+      }
+    }
+
+    exit() {
+      const { homeUrl, onExit } = this.options;
+      this.track("home_click", { homeUrl });
+
+      // Em SPA quem decide a navegação é o host (router)
+      if (onExit) {
+        onExit({ code: this.errorCode, homeUrl });
+        return;
+      }
+
+      window.location.href = homeUrl;
+    }
+
+    attachEvents() {
+      window.addEventListener("resize", this.onResize, { passive: true });
+      document.addEventListener("visibilitychange", this.onVisibilityChange, { passive: true });
+
+      // Pointer Events unifica mouse + touch
+      this.canvas.addEventListener("pointermove", this.onPointerMove, { passive: true });
+      this.canvas.addEventListener("pointerdown", this.onPointerDown, { passive: false });
+      this.canvas.addEventListener("pointerup", this.onPointerUp, { passive: true });
+      this.canvas.addEventListener("pointercancel", this.onPointerUp, { passive: true });
+      this.canvas.addEventListener("pointerleave", this.onPointerUp, { passive: true });
+
+      // Ações do overlay
+      this.restartBtn?.addEventListener("click", this.onRestartClick);
+      this.nextBtn?.addEventListener("click", this.onNextClick);
+      this.homeBtn?.addEventListener("click", this.onHomeClick);
+      window.addEventListener("keydown", this.onOverlayKeyDown);
+
+      // Tema: troca de data-error/classe no container ou do esquema de cores do sistema
+      this.themeObserver?.observe(this.root, { attributes: true, attributeFilter: ["data-error", "data-color-scheme", "class", "style"] });
+      this.colorSchemeQuery?.addEventListener?.("change", this.refreshTheme);
+
+      this.input.attach();
+    }
+
+    detachEvents() {
+      window.removeEventListener("resize", this.onResize);
+      document.removeEventListener("visibilitychange", this.onVisibilityChange);
+
+      this.canvas.removeEventListener("pointermove", this.onPointerMove);
+      this.canvas.removeEventListener("pointerdown", this.onPointerDown);
+      this.canvas.removeEventListener("pointerup", this.onPointerUp);
+      this.canvas.removeEventListener("pointercancel", this.onPointerUp);
+      this.canvas.removeEventListener("pointerleave", this.onPointerUp);
+
+      this.restartBtn?.removeEventListener("click", this.onRestartClick);
+      this.nextBtn?.removeEventListener("click", this.onNextClick);
+      this.homeBtn?.removeEventListener("click", this.onHomeClick);
+      window.removeEventListener("keydown", this.onOverlayKeyDown);
+
+      this.themeObserver?.disconnect();
+      this.colorSchemeQuery?.removeEventListener?.("change", this.refreshTheme);
+
+      this.input.detach();
+    }
+
+    refreshTheme() {
+      this.applyThemeSpec();
+      this.theme = readTheme(this.root);
+      for (const p of [...this.pieces, ...this.fallen]) {
+        if (p.tone !== null && p.tone !== undefined) p.color = this.pieceColorFor(p.tone);
+      }
+      this.layers = null;
+    }
+
+    // Alto contraste vence qualquer tema; a variante clara segue prefers-color-scheme.
+    // Tema sem `light` é só escuro: data-theme-scheme="dark" desliga o claro do game.css
+    applyThemeSpec() {
+      const spec = this.a11y.highContrast ? null : this.themeSpec;
+      this.themeVarNames = applyThemeVars(this.root, spec ? themeToVars(themeForScheme(spec, colorSchemeOf(this.root))) : {}, this.themeVarNames);
+
+      if (spec && !spec.light) this.root.dataset.themeScheme = "dark";
+      else delete this.root.dataset.themeScheme;
+    }
+
+    /**
+     * Troca o tema em tempo real: id registrado (registerTheme), objeto
+     * GameTheme, id só do CSS ([data-error="…"]) ou null para voltar ao tema
+     * do mount.
+     * @param {string | GameTheme | null} theme
+     */
+    setTheme(theme) {
+      if (theme === null || theme === undefined) {
+        this.root.dataset.error = this.options.theme ?? this.options.code;
+        this.themeSpec = this.options.themeSpec ?? null;
+      } else if (typeof theme === "string") {
+        // Id registrado vai por cima do CSS do mount; id desconhecido é só CSS ([data-error="…"])
+        this.root.dataset.error = THEMES.has(theme) ? (this.options.theme ?? this.options.code) : theme;
+        this.themeSpec = THEMES.get(theme) ?? null;
+      } else {
+        this.themeSpec = theme;
+      }
+      this.refreshTheme();
+    }
+
+    measure() {
+      // Tamanho do container (fullscreen nas páginas estáticas); sem layout, usa a janela
+      const rect = this.root.getBoundingClientRect();
+      this.width = rect.width || window.innerWidth;
+      this.height = rect.height || window.innerHeight;
+      // Reprodução: simula no viewport da gravação (o canvas é encaixado com object-fit)
+      if (this.playback) [this.width, this.height] = this.playback.log.viewport;
+
+      // HiDPI (a qualidade reduzida desenha em 1×)
+      this.dpr = this.quality === "low" ? 1 : Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+    }
+
+    onResize() {
+      this.measure();
+      this.setupCanvas();
+      this.refreshTheme(); // media queries podem mudar as variáveis
+
+      // Reprodução: o viewport é o da gravação, a simulação não muda
+      if (this.playback) return;
+      // Estrelas e peças sorteadas de novo: a partida gravada deixa de ser reproduzível
+      this.recorder = null;
+
+      // Reposiciona nave e recria fundo/404 para ficar proporcional
+      for (const p of this.players) p.y = this.height * 0.85;
+      this.createStars();
+      this.create404Pieces();
+    }
+
+    onVisibilityChange() {
+      if (document.hidden) {
+        // pausa “real”: evita dt gigante quando volta
+        if (this.isRunning) cancelAnimationFrame(this.rafId);
+      } else if (this.isRunning && !this.isPaused) {
+        this.fpsMonitor?.reset();
+        this.lastFrameAt = now();
+        this.rafId = requestAnimationFrame(this.loop);
+      }
+    }
+
+    onRestartClick() {
+      this.reset();
+    }
+
+    onNextClick() {
+      this.nextLevel();
+    }
+
+    onHomeClick() {
+      this.exit();
+    }
+
+    onOverlayKeyDown(e) {
+      // Atalho: Enter/Espaço no overlay reinicia (no "Próximo nível", avança), Esc volta pra home.
+      // Nos outros links e botões (voltar, sugestões, replay, skins), Enter/Espaço são do próprio controle
+      if (!this.isOverlayVisible()) return;
+
+      // Ignora auto-repeat: quem segurava Espaço para atirar não reinicia sem querer
+      if (e.repeat) return;
+
+      // Com várias instâncias, só reage ao overlay que tem o foco (ou à página sem foco)
+      const target = e.target;
+      if (target instanceof Element && target !== document.body && !this.root.contains(target)) return;
+
+      if (e.key === "Enter" || e.key === " ") {
+        const control = target instanceof Element ? target.closest("a[href], button") : null;
+        if (control && control !== this.restartBtn && control !== this.nextBtn) return;
+        e.preventDefault();
+        if (target === this.nextBtn && !this.nextBtn.hidden) this.nextLevel();
+        else this.reset();
+      }
+
+      if (e.key === "Escape") {
+        this.exit();
+      }
+    }
+
+    getCanvasRelativeX(clientX) {
+      const rect = this.canvas.getBoundingClientRect();
+      return clientX - rect.left;
+    }
+
+    /**
+     * Nave e papel de um ponteiro novo. Co-op no toque: cada metade da tela é
+     * de um jogador (o mouse é sempre o jogador 1). Layout de polegares: a
+     * metade esquerda pilota, a direita atira. Nos outros casos só o primeiro
+     * dedo de cada nave pilota e os demais atiram (antes o 2º tomava a nave).
+     */
+    assignPointer(e, x) {
+      const touch = e.pointerType !== "mouse";
+      const left = x < this.width / 2;
+
+      if (this.thumbs && !this.coop && touch) {
+        // O polegar cobre só meia tela: o deslocamento vale em dobro
+        return { player: 0, steer: left, fire: !left, scale: 2 };
+      }
+
+      const player = this.coop && touch && !left ? 1 : 0;
+      const steering = [...this.pointers.values()].some((ptr) => ptr.player === player && ptr.steer);
+      return { player, steer: !steering, fire: true, scale: 1 };
+    }
+
+    steerWith(ptr, x) {
+      const p = this.players[ptr.player];
+      if (p && ptr.steer) p.targetX = x * ptr.scale;
+    }
+
+    // Cada nave atira enquanto houver um ponteiro de tiro dela pressionado
+    updatePointerFire() {
+      for (const p of this.players) p.firing = false;
+      for (const ptr of this.pointers.values()) {
+        if (ptr.fire && this.players[ptr.player]) this.players[ptr.player].firing = true;
+      }
+    }
+
+    releasePointers() {
+      this.pointers.clear();
+      this.updatePointerFire();
+    }
+
+    onPointerMove(e) {
+      if (this.playback) return; // na reprodução as naves seguem o log
+
+      const x = this.getCanvasRelativeX(e.clientX);
+      // Mouse/caneta sem pressionar (hover) também pilotam o jogador 1
+      this.steerWith(this.pointers.get(e.pointerId) ?? { player: 0, steer: true, scale: 1 }, x);
+      this.input.setScheme("pointer");
+    }
+
+    onPointerDown(e) {
+      // Evita scroll em mobile
+      e.preventDefault();
+      this.audio.unlock();
+      if (this.playback) return;
+
+      const x = this.getCanvasRelativeX(e.clientX);
+      const ptr = this.assignPointer(e, x);
+      this.pointers.set(e.pointerId, ptr);
+      this.steerWith(ptr, x);
+      this.updatePointerFire();
+      this.input.setScheme("pointer");
+
+      // Captura o ponteiro para garantir eventos mesmo se sair do canvas
+      try {
+        this.canvas.setPointerCapture(e.pointerId);
+      } catch (_) {
+        // não crítico
+      }
+    }
+
+    onPointerUp(e) {
+      const ptr = this.pointers.get(e.pointerId);
+      this.pointers.delete(e.pointerId);
+
+      // O dedo que pilotava saiu: outro dedo da mesma nave assume (no layout de polegares, não)
+      if (ptr?.steer && ptr.scale === 1) {
+        const next = [...this.pointers.values()].find((other) => other.player === ptr.player);
+        if (next) next.steer = true;
+      }
+      this.updatePointerFire();
+
+      // Em toque o navegador só considera gesto o pointerup (o pointerdown não libera áudio)
+      this.audio.unlock();
+    }
+
+    setupCanvas() {
+      // set tamanho real do buffer (HiDPI), mantendo tamanho CSS via CSS
+      this.canvas.width = Math.floor(this.width * this.dpr);
+      this.canvas.height = Math.floor(this.height * this.dpr);
+
+      // desenhar em “CSS pixels”
+      this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    }
+
+    createStars() {
+      const count = Math.floor((this.width * this.height) / CONFIG.backgroundStarDensity);
+      this.stars = Array.from({ length: count }, () => ({
+        x: this.random() * this.width,
+        y: this.random() * this.height,
+        r: this.random() * 1.5 + 0.3,
+        tw: this.random() * Math.PI * 2
+      }));
+      this.layers = null;
+      if (this.quality === "low") this.thinStars();
+    }
+
+    // Sorteia todas e descarta depois: a sequência do RNG (e o replay) não muda com a qualidade
+    thinStars() {
+      this.stars = this.stars.filter((_, i) => i % CONFIG.quality.starStride === 0);
+      this.layers = null;
+    }
+
+    /**
+     * Um degrau abaixo: de "high" para o renderer leve; já no leve, o mount
+     * troca o jogo pelo cartão estático (onFallback). Só o desenho muda,
+     * a simulação continua a mesma.
+     * @param {...string} reasons  "saveData", "reducedData", "battery", "fps"…
+     */
+    degrade(...reasons) {
+      for (const reason of reasons) {
+        if (!this.qualityReasons.includes(reason)) this.qualityReasons.push(reason);
+      }
+
+      if (this.quality === "low") {
+        this.onFallback?.(this.qualityReasons);
+        return;
+      }
+
+      this.quality = "low";
+      this.fpsMonitor?.reset();
+      this.measure();
+      this.setupCanvas();
+      this.thinStars();
+    }
+
+    // Uma nave, ou duas lado a lado no co-op
+    createPlayers() {
+      const count = this.coop ? 2 : 1;
+
+      this.players = Array.from({ length: count }, (_, index) => {
+        const { color, bullet, x } = CONFIG.coop.players[index];
+        const startX = this.coop ? this.width * x : this.width / 2;
+
+        return {
+          index,
+          color,
+          bulletColor: bullet,
+          x: startX,
+          y: this.height * 0.85,
+          w: Math.max(50, this.width * 0.05),
+          h: Math.max(18, this.height * 0.025),
+          targetX: startX,
+          firing: false, // ponteiro segurando o tiro
+          trigger: false, // gatilho resolvido da entrada, lido pelo step()
+          lastShotAt: -Infinity,
+          destroyed: 0 // créditos no overlay do co-op
+        };
+      });
+      this.player = this.players[0];
+      this.pointers.clear();
+    }
+
+    // Nave atingida por um círculo (projétil, destroço ou item); null = nenhuma
+    shipAt(x, y, r) {
+      return this.players.find((p) => circleHitsRect(x, y, r, this.shipHitbox(p))) ?? null;
+    }
+
+    // Retângulo de colisão da skin (fração de w × h a partir do centro da nave)
+    shipHitbox(p) {
+      const { w, h, x, y } = this.skin.hitbox;
+      return { x: p.x + x * p.w, y: p.y + y * p.h, w: p.w * w, h: p.h * h };
+    }
+
+    /**
+     * Troca a skin da nave. Hitbox e saída da bala mudam a simulação: a
+     * gravação da partida em curso deixa de valer. Na reprodução, vale para
+     * a partida ao vivo que vem depois.
+     * @returns {boolean} false se o id não está registrado
+     */
+    setSkin(id) {
+      const skin = SKINS.get(id);
+      if (!skin) return false;
+
+      if (this.playback) {
+        this.playback.live.skin = skin;
+      } else if (skin !== this.skin) {
+        this.skin = skin;
+        if (!this.isGameOver) this.recorder = null;
+      }
+      this.skinImage(skin);
+      return true;
+    }
+
+    skinLabel(skin) {
+      const key = `skin.${skin.id}`;
+      return skin.label ?? (this.t(key) === key ? skin.id : this.t(key));
+    }
+
+    // Imagem da skin (null = nave desenhada); cada src é baixado uma vez por instância
+    skinImage(skin = this.skin) {
+      if (!skin.src) return null;
+
+      let img = this.skinImages.get(skin.src);
+      if (!img) {
+        img = new Image();
+        img.src = skinImageUrl(skin.src, this.options.assetsBase);
+        this.skinImages.set(skin.src, img);
+      }
+      return img;
+    }
+
+    async loadGlyph() {
+      let glyph;
+      try {
+        glyph = await loadGlyph(this.glyphSpec);
+      } catch (err) {
+        // Imagem/SVG que não carrega não pode deixar a tela sem jogo
+        debugWarn("ErrorGame: glyph não carregou, usando o texto", err);
+        glyph = textGlyph(this.glyphSpec);
+      }
+
+      if (!this.isRunning) return;
+      this.glyph = glyph;
+      this.create404Pieces();
+    }
+
+    /**
+     * Desenha o glyph centralizado num canvas fora da tela.
+     * @returns {{ data: Uint8ClampedArray, x: number, y: number, width: number, height: number } | null}
+     *   pixels da caixa ocupada, em CSS px
+     */
+    sampleGlyph(glyph) {
+      const spec = this.glyphSpec;
+      const off = createLayer(Math.floor(this.width), Math.floor(this.height));
+      const offCtx = off.ctx;
+      if (!offCtx) return null;
+
+      const minSide = Math.min(this.width, this.height);
+      const maxW = this.width * CONFIG.glyph.maxWidth;
+      const maxH = this.height * CONFIG.glyph.maxHeight;
+      const cx = this.width / 2;
+      const cy = this.height * 0.45;
+      let boxW;
+      let boxH;
+
+      offCtx.clearRect(0, 0, off.canvas.width, off.canvas.height);
+
+      if (glyph.kind === "image") {
+        const { image } = glyph;
+        const ratio = (image.naturalWidth || image.width) / (image.naturalHeight || image.height) || 1;
+
+        boxH = minSide * (spec.scale ?? CONFIG.glyph.imageScale);
+        boxW = boxH * ratio;
+        const fit = Math.min(1, maxW / boxW, maxH / boxH);
+        boxW *= fit;
+        boxH *= fit;
+
+        offCtx.drawImage(image, cx - boxW / 2, cy - boxH / 2, boxW, boxH);
+      } else {
+        const { lines } = glyph;
+        const font = (size) => `${spec.weight} ${size}px ${spec.font}`;
+
+        // Várias linhas ou texto longo: a fonte encolhe até caber
+        let fontSize = minSide * (spec.scale ?? CONFIG.glyph.textScale);
+        offCtx.font = font(fontSize);
+        const widest = Math.max(...lines.map((line) => offCtx.measureText(line).width));
+        const fit = Math.min(1, maxW / widest, maxH / (lines.length * fontSize * CONFIG.glyph.lineHeight));
+        fontSize *= fit;
+
+        const lineHeight = fontSize * CONFIG.glyph.lineHeight;
+        boxW = widest * fit;
+        boxH = (lines.length - 1) * lineHeight + fontSize * 0.9;
+
+        offCtx.fillStyle = spec.color;
+        offCtx.textAlign = "center";
+        offCtx.textBaseline = "middle";
+        offCtx.font = font(fontSize);
+        lines.forEach((line, i) => {
+          offCtx.fillText(line, cx, cy + (i - (lines.length - 1) / 2) * lineHeight);
+        });
+      }
+
+      const x = Math.max(0, Math.floor(cx - boxW / 2));
+      const y = Math.max(0, Math.floor(cy - boxH / 2));
+      const width = Math.min(Math.floor(this.width), Math.ceil(cx + boxW / 2)) - x;
+      const height = Math.min(Math.floor(this.height), Math.ceil(cy + boxH / 2)) - y;
+      if (width <= 0 || height <= 0) return null;
+
+      const img = offCtx.getImageData(x, y, width, height);
+      return { data: img.data, x, y, width: img.width, height: img.height };
+    }
+
+    create404Pieces() {
+      this.pieces = [];
+      this.initialPieceCount = 0;
+      this.piecesChanged = true;
+      if (!this.glyph) return; // ainda carregando: loadGlyph() chama de novo
+
+      let sample;
+      try {
+        sample = this.sampleGlyph(this.glyph);
+      } catch (err) {
+        // Imagem de outra origem sem CORS "suja" o canvas (getImageData falha): usa o texto
+        if (this.glyph.kind === "text") throw err;
+        debugWarn("ErrorGame: não foi possível ler os pixels do glyph, usando o texto", err);
+        this.glyph = textGlyph(this.glyphSpec);
+        sample = this.sampleGlyph(this.glyph);
+      }
+      if (!sample) return;
+
+      const { data, width: w } = sample;
+      const { step, colorMode } = this.glyphSpec;
+      const { armored } = this.wave;
+      // Peças acompanham a densidade (step 9 → raio 3–5 px)
+      const sizeScale = step / CONFIG.piece.step;
+
+      for (let y = 0; y < sample.height; y += step) {
+        for (let x = 0; x < w; x += step) {
+          const idx = (y * w + x) * 4;
+          const alpha = data[idx + 3];
+
+          if (alpha > CONFIG.piece.alphaThreshold) {
+            const px = sample.x + x;
+            const py = sample.y + y;
+            const size = this.random(); // 0 = menor peça, 1 = maior
+            const radius = (CONFIG.piece.radiusMin + size * CONFIG.piece.radiusRand) * sizeScale;
+
+            let color;
+            let tone = null;
+            if (colorMode === "source") {
+              // Cor do próprio pixel (logo colorido)
+              color = `rgb(${data[idx]}, ${data[idx + 1]}, ${data[idx + 2]})`;
+            } else {
+              // Tom sorteado uma vez; a cor sai da faixa do tema e acompanha as trocas de tema
+              tone = this.random();
+              color = this.pieceColorFor(tone);
+            }
+
+            // Tom do acerto: peças menores mais agudas, com leve variação
+            const pitch = lerp(CONFIG.audio.pitchMax, CONFIG.audio.pitchMin, size) * (0.95 + this.random() * 0.1);
+
+            // Blindada: pede vários acertos (anéis no desenho)
+            const hp = armored && this.random() < armored.ratio ? armored.hits : 1;
+
+            this.pieces.push({
+              x: px + (this.random() - 0.5) * 2,
+              y: py + (this.random() - 0.5) * 2,
+              r: radius,
+              color,
+              tone,
+              pitch,
+              hp,
+              maxHp: hp
+            });
+          }
+        }
+      }
+
+      // Base para escalar a dificuldade do modo difícil
+      this.initialPieceCount = this.pieces.length;
+      this.fallen = [];
+      this.markSuggestionPieces();
+    }
+
+    // Faixa de matiz (hue) do tema; min > max faz wrap (ex.: vermelho 340 → 20)
+    pieceColorFor(tone) {
+      const { hueMin, hueMax, pieceLightness } = this.theme;
+      const range = hueMin > hueMax ? 360 - hueMin + hueMax : hueMax - hueMin;
+      return `hsl(${(hueMin + tone * range) % 360}, 90%, ${pieceLightness}%)`;
+    }
+
+    spawnBullet(player = this.player) {
+      if (!player) return;
+
+      const speed = 0.9 * Math.max(CONFIG.bulletSpeedMin, this.height * CONFIG.bulletSpeedFactor);
+      const { muzzle } = this.skin;
+      let shots = [
+        {
+          x: player.x + muzzle.x * player.w,
+          y: player.y + muzzle.y * player.h,
+          vx: 0,
+          vy: -speed,
+          r: CONFIG.bulletRadius,
+          owner: player.index
+        }
+      ];
+
+      // Power-ups ativos transformam o disparo (leque, laser…)
+      for (const { def } of this.powerUps.values()) {
+        if (def.shoot) shots = def.shoot(shots, this);
+      }
+
+      this.bullets.push(...shots);
+      this.shots += shots.length;
+
+      if (!this.hasShot) {
+        this.hasShot = true;
+        this.track("first_shot");
+      }
+      this.audio.playShoot(this.panAt(player.x));
+    }
+
+    getShootInterval() {
+      let intervalMs = CONFIG.shootIntervalMs;
+      for (const { def } of this.powerUps.values()) {
+        if (def.fireInterval) intervalMs = def.fireInterval(intervalMs, this);
+      }
+      return intervalMs;
+    }
+
+    spawnExplosion(x, y, baseColor, count = 12 + this.random() * 10) {
+      // Movimento reduzido: um brilho parado que apaga, sem estilhaços voando
+      if (this.reducedMotion) {
+        this.particles.push({ x, y, vx: 0, vy: 0, life: CONFIG.a11y.fadeLife, age: 0, alpha: 1, color: baseColor, still: true });
+        return;
+      }
+
+      const maxParticles = this.quality === "low" ? CONFIG.quality.maxParticles : Infinity;
+
+      for (let i = 0; i < count; i++) {
+        const angle = this.random() * Math.PI * 2;
+        const speed = 50 + this.random() * 200;
+        const life = 0.4 + this.random() * 0.5;
+        // Acima do teto a partícula não entra, mas os sorteios acontecem (mesma sequência)
+        if (this.particles.length >= maxParticles) continue;
+
+        this.particles.push({
+          x,
+          y,
+          vx: Math.cos(angle) * speed,
+          vy: Math.sin(angle) * speed,
+          life,
+          age: 0,
+          alpha: 1,
+          color: baseColor
+        });
+      }
+    }
+
+    // -1 (esquerda) … 1 (direita) a partir do x no canvas
+    panAt(x) {
+      if (this.width <= 0) return 0;
+      return clamp((x / this.width) * 2 - 1, -1, 1) * CONFIG.audio.pan;
+    }
+
+    playHitSound(piece, rate = piece.pitch) {
+      this.audio.playSample(this.hitSoundUrl, {
+        pan: this.panAt(piece.x + this.waveOffset.x),
+        rate,
+        gain: CONFIG.audio.hitGain
+      });
+    }
+
+    /**
+     * Tira a peça do jogo (a remoção do array fica para compactPieces(), uma
+     * vez por frame) com os efeitos da onda e a chance de soltar um power-up.
+     */
+    destroyPiece(p, { drops = true } = {}) {
+      const x = p.x + this.waveOffset.x;
+      const y = p.y + this.waveOffset.y;
+
+      this.pieceGrid.remove(p);
+      p.destroyed = true;
+
+      if (this.wave.regen) this.fallen.push(p);
+      if (this.wave.debris && this.random() < this.wave.debris.chance) this.spawnDebris(x, y, p.color);
+      if (drops) this.maybeDropPowerUp(x, y);
+
+      // Peça marcada: revela um "você quis dizer…" (só interface, a simulação não muda)
+      if (p.suggestion !== undefined) {
+        this.revealSuggestion(p.suggestion);
+        delete p.suggestion;
+      }
+
+      this.spawnExplosion(x, y, p.color);
+      this.track("piece_destroyed", { total: this.initialPieceCount }, { sampled: true });
+    }
+
+    compactPieces() {
+      this.pieces = this.pieces.filter((p) => !p.destroyed);
+    }
+
+    /** Sugestões ranqueadas (rankSuggestions): marca as peças que as revelam e põe os links no overlay. */
+    setSuggestions(list) {
+      this.suggestions = list;
+      this.revealedSuggestions.clear();
+      this.markSuggestionPieces();
+      this.suggestionView?.render();
+    }
+
+    // Uma peça por sugestão ainda escondida, espalhadas pelo glyph pela ordem (sem o RNG: replays não mudam)
+    markSuggestionPieces() {
+      for (const p of this.pieces) delete p.suggestion;
+
+      const hidden = this.suggestions.map((_, i) => i).filter((i) => !this.revealedSuggestions.has(i));
+      const count = Math.min(hidden.length, this.pieces.length);
+      for (let k = 0; k < count; k++) {
+        this.pieces[Math.floor(((k + 0.5) * this.pieces.length) / count)].suggestion = hidden[k];
+      }
+    }
+
+    revealSuggestion(index) {
+      const suggestion = this.suggestions[index];
+      // Reprodução mostra a partida de outra pessoa: não revela nada
+      if (!suggestion || this.playback || this.revealedSuggestions.has(index)) return;
+
+      this.revealedSuggestions.add(index);
+      this.track("suggestion_reveal", { url: suggestion.url });
+      this.suggestionView?.reveal(suggestion);
+    }
+
+    maybeDropPowerUp(x, y) {
+      const { dropChance, cooldownMs, maxOnScreen } = CONFIG.powerUps;
+      if (this.items.length >= maxOnScreen || this.globalTime - this.lastDropAt < cooldownMs) return;
+      if (this.random() >= dropChance) return;
+
+      const def = pickPowerUp(this.powerUpsAllowed, this.random);
+      if (!def) return;
+
+      this.items.push({ def, x, y, vy: -CONFIG.powerUps.popSpeed, r: CONFIG.powerUps.radius });
+      this.lastDropAt = this.globalTime;
+    }
+
+    powerUpLabel(def) {
+      const key = `powerUp.${def.id}`;
+      return def.label ?? (this.t(key) === key ? def.id : this.t(key));
+    }
+
+    // Power-ups valem para o time: a nave que pega só define onde é a explosão
+    collectPowerUp(def, p = this.player) {
+      this.spawnExplosion(p.x, p.y, def.color);
+      this.announce(this.t("a11y.powerUp", { label: this.powerUpLabel(def) }));
+
+      // Timed: pegar de novo renova a duração
+      if (def.durationMs > 0) this.powerUps.set(def.id, { def, until: this.globalTime + def.durationMs });
+      def.onCollect?.(this);
+    }
+
+    updatePowerUps(dtSec) {
+      for (let i = this.items.length - 1; i >= 0; i--) {
+        const item = this.items[i];
+        item.vy += CONFIG.gravity * dtSec;
+        item.y += item.vy * dtSec;
+
+        if (item.y - item.r > this.height) {
+          this.items.splice(i, 1);
+        } else {
+          const ship = this.shipAt(item.x, item.y, item.r);
+          if (!ship) continue;
+          this.items.splice(i, 1);
+          this.collectPowerUp(item.def, ship);
+        }
+      }
+
+      for (const [id, active] of this.powerUps) {
+        if (this.globalTime < active.until) continue;
+        this.powerUps.delete(id);
+        active.def.onExpire?.(this);
+      }
+    }
+
+    // Fim da partida/reset: efeitos acabam junto (onExpire avisa os plugins)
+    clearPowerUps() {
+      const active = [...this.powerUps.values()];
+      this.powerUps.clear();
+      for (const { def } of active) def.onExpire?.(this);
+    }
+
+    // Escudo (ou outro plugin com absorbHit) segura o acerto
+    absorbHit(x, y) {
+      for (const { def } of this.powerUps.values()) {
+        if (def.absorbHit?.(this)) {
+          this.spawnExplosion(x, y, def.color, 8);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    // Deslocamento do grupo na onda atual; a grade de colisão fica nas posições de origem
+    updateWaveMotion() {
+      const { motion } = this.wave;
+      // Movimento reduzido: o grupo fica parado (a onda continua com blindagem/regeneração)
+      if (!motion || this.reducedMotion) return;
+
+      const phase = (this.globalTime / motion.periodMs) * Math.PI * 2;
+      this.waveOffset.x = Math.sin(phase) * motion.amplitude * this.width;
+      this.waveOffset.y = motion.type === "drift" ? Math.sin(phase * 2) * motion.amplitude * 0.5 * this.height : 0;
+    }
+
+    // Peças deixadas em paz voltam, a última destruída primeiro
+    updateRegen() {
+      const { regen } = this.wave;
+      if (!regen || this.fallen.length === 0) return;
+      if (this.globalTime - this.lastHitAt < regen.delayMs || this.globalTime - this.lastRegenAt < regen.intervalMs) return;
+
+      const p = this.fallen.pop();
+      p.destroyed = false;
+      p.hp = p.maxHp;
+      p.respawnAt = this.globalTime;
+
+      this.pieces.push(p);
+      this.piecesChanged = true;
+      this.lastRegenAt = this.globalTime;
+    }
+
+    spawnDebris(x, y, color) {
+      this.debris.push({
+        x,
+        y,
+        vx: (this.random() - 0.5) * 80,
+        vy: this.height * this.wave.debris.speed,
+        r: CONFIG.wave.debrisRadius,
+        angle: this.random() * Math.PI,
+        color
+      });
+    }
+
+    updateDebris(dtSec) {
+      for (let i = this.debris.length - 1; i >= 0; i--) {
+        const d = this.debris[i];
+        d.x += d.vx * dtSec;
+        d.y += d.vy * dtSec;
+        d.vy += CONFIG.gravity * dtSec;
+        d.angle += dtSec * 6;
+
+        if (d.y - d.r > this.height) {
+          this.debris.splice(i, 1);
+          continue;
+        }
+
+        const ship = this.isInvulnerable() ? null : this.shipAt(d.x, d.y, d.r);
+        if (ship) {
+          this.debris.splice(i, 1);
+          if (this.absorbHit(d.x, d.y)) continue;
+          this.hitByDebris(d, ship);
+          if (this.isGameOver) return;
+        }
+      }
+    }
+
+    hitByDebris(d, ship) {
+      if (this.isHardMode) {
+        this.hitPlayer(ship);
+        return;
+      }
+
+      // Modo normal não tem vidas: o destroço custa pontos e o combo
+      this.combo = 0;
+      this.score = Math.max(0, this.score - CONFIG.score.debrisPenalty);
+      this.invulnerableUntil = this.globalTime + CONFIG.wave.debrisInvulnerableMs;
+
+      this.spawnExplosion(d.x, d.y, d.color);
+      this.triggerShake();
+    }
+
+    triggerShake(intensity = 7, durationMs = CONFIG.shakeDurationMs) {
+      if (this.reducedMotion) return;
+
+      // Um tremor forte (bomba) não é encurtado pelos acertos comuns logo depois
+      if (this.shakeMs > 0 && this.shakeIntensity > intensity) return;
+
+      this.shakeMs = durationMs;
+      this.shakeDurationMs = durationMs;
+      this.shakeIntensity = intensity;
+    }
+
+    /**
+     * Um passo de jogo: a entrada (ponteiro, teclado, Gamepad, auto-mira)
+     * vira alvo e gatilho de cada nave, e step() avança a simulação.
+     */
+    update(dtMs) {
+      if (!this.player) return;
+
+      const dt = Math.min(dtMs, CONFIG.maxDeltaMs);
+
+      if (this.playback) {
+        this.applyReplayInput();
+        this.step(dt);
+        return;
+      }
+
+      // Teclado/Gamepad movem o alvo antes do lerp
+      this.input.update(dt / 1000);
+      if (this.a11y.autoAim && !this.isGameOver) this.updateAutoAim();
+
+      // Tiro contínuo (ponteiro, teclado/Gamepad ou auto-mira do jogador 1)
+      for (const p of this.players) {
+        p.trigger = p.firing || this.input.isFiring(p) || (p === this.player && this.autoFiring);
+      }
+
+      this.recorder?.capture(this.stepCount, this.players);
+      this.step(dt);
+    }
+
+    /**
+     * Avança a simulação em `dtMs` a partir do estado e do alvo/gatilho das
+     * naves: sem relógio nem Math.random (this.random tem semente), então a
+     * mesma sequência de passos dá o mesmo jogo.
+     */
+    step(dtMs) {
+      // Glyph ou replay carregando: a partida só começa com as peças (e o log) prontos
+      if (!this.player || !this.glyph || this.replayPending) return;
+
+      const dt = Math.min(dtMs, CONFIG.maxDeltaMs);
+      const dtSec = dt / 1000;
+
+      this.globalTime += dt;
+      this.stepCount++;
+
+      for (const p of this.players) {
+        stepShip(p, this.width);
+
+        if (!this.isGameOver && p.trigger && this.globalTime - p.lastShotAt >= this.getShootInterval()) {
+          this.spawnBullet(p);
+          p.lastShotAt = this.globalTime;
+        }
+      }
+
+      // Balas
+      const misses = stepBullets(this.bullets, dtSec, this.width);
+      if (!this.isGameOver) for (let i = 0; i < misses; i++) this.registerMiss();
+
+      this.updateWaveMotion();
+
+      // Colisão bala x peça: cada bala consulta só as células vizinhas
+      if (this.piecesChanged) {
+        this.pieceGrid.rebuild(this.pieces);
+        this.piecesChanged = false;
+      }
+
+      const offset = this.waveOffset;
+      let destroyedCount = 0;
+      collideBullets(this.bullets, this.pieceGrid, offset, (b, p, firstHit) => {
+        this.registerHit(firstHit);
+
+        // Blindada: perde um anel e continua no lugar
+        if (--p.hp > 0) {
+          this.spawnExplosion(p.x + offset.x, p.y + offset.y, "#f8fafc", 4);
+          this.playHitSound(p, p.pitch * 1.6);
+          return;
+        }
+
+        this.destroyPiece(p);
+        if (this.players[b.owner]) this.players[b.owner].destroyed++;
+        destroyedCount++;
+        this.triggerShake();
+        this.playHitSound(p); // Toca som de acerto
+      });
+
+      // Compacta uma vez por frame (a grade mantém a ordem relativa, sem rebuild)
+      if (destroyedCount > 0) this.compactPieces();
+      if (!this.isGameOver) this.updateProgressAnnouncement();
+
+      stepParticles(this.particles, dtSec, CONFIG.gravity);
+
+      // Modo difícil: peças atiram de volta
+      if (this.isHardMode && !this.isGameOver) {
+        this.updateEnemyFire(dt, dtSec);
+      }
+
+      if (!this.isGameOver) {
+        this.updatePowerUps(dtSec);
+        this.updateDebris(dtSec);
+        this.updateRegen();
+      }
+
+      // Shake
+      if (this.shakeMs > 0) {
+        this.shakeMs -= dt;
+        if (this.shakeMs < 0) this.shakeMs = 0;
+      }
+
+      // Victory (sem glyph ainda não há peças: não é vitória)
+      if (!this.isGameOver && isCleared(this.glyph, this.pieces)) {
+        this.isGameOver = true;
+        this.enemyBullets = [];
+        this.debris = [];
+        this.items = [];
+        this.clearPowerUps();
+        this.finishRun();
+        this.audio.playWin();
+        this.scheduleOverlay("win");
+
+        this.wins++;
+        const { score, accuracy, maxCombo, rank } = this.result;
+        this.track("win", { score, accuracy, maxCombo, rank, timeToWinMs: Math.round(this.runTimeMs) });
+      }
+    }
+
+    /**
+     * Camadas estáticas, refeitas só quando tema, tamanho ou estrelas mudam:
+     * fundo (gradiente), sprite da estrela e sprite da bala (antes: um arc
+     * por estrela e um gradiente novo a cada bala). Só o fundo ocupa a tela toda.
+     */
+    buildLayers() {
+      const { width, height, dpr, theme } = this;
+      const cx = width / 2;
+      const cy = height / 2;
+      const maxR = Math.sqrt(cx * cx + cy * cy);
+
+      const background = createLayer(width, height, dpr);
+      if (background.ctx) {
+        const g = background.ctx.createRadialGradient(cx, cy, 0, cx, cy, maxR);
+        g.addColorStop(0, theme.gradientStart);
+        g.addColorStop(0.4, theme.gradientMid);
+        g.addColorStop(1, theme.gradientEnd);
+        background.ctx.fillStyle = g;
+        background.ctx.fillRect(0, 0, width, height);
+      }
+
+      // Estrela carimbada com drawImage: cada uma mantém o próprio brilho, sem canvas do tamanho da tela
+      const r = CONFIG.starSpriteRadius;
+      const star = createLayer(r * 2, r * 2, dpr);
+      if (star.ctx) {
+        star.ctx.beginPath();
+        star.ctx.arc(r, r, r, 0, Math.PI * 2);
+        star.ctx.fillStyle = theme.star;
+        star.ctx.fill();
+      }
+
+      const bullet = this.createBulletSprite(CONFIG.bulletRadius);
+
+      return {
+        background,
+        nebulaRadius: maxR * 0.8,
+        star,
+        bullet,
+        // Co-op: cada jogador com a sua bala (sem cor própria, a padrão)
+        playerBullets: this.players.map((p) => (p.bulletColor ? this.createBulletSprite(CONFIG.bulletRadius, p.bulletColor) : bullet))
+      };
+    }
+
+    // Halo + núcleo da bala, desenhados uma vez (o sprite cobre 2r de raio); sem color, a do tema
+    createBulletSprite(r, color) {
+      const sprite = createLayer(r * 4, r * 4, this.dpr);
+      const { ctx } = sprite;
+      if (!ctx) return sprite;
+
+      const c = r * 2;
+      const g = ctx.createRadialGradient(c, c, 0, c, c, r * 2);
+      const { bulletCore, bulletGlow, bulletHighlight, bulletFade } = this.theme;
+      g.addColorStop(0, bulletHighlight);
+      g.addColorStop(0.5, color ?? bulletGlow);
+      g.addColorStop(1, color ? "rgba(0,0,0,0)" : bulletFade);
+
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(c, c, r * 2, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.fillStyle = color ?? bulletCore;
+      ctx.beginPath();
+      ctx.arc(c, c, r, 0, Math.PI * 2);
+      ctx.fill();
+
+      return sprite;
+    }
+
+    drawBackground() {
+      const { ctx, layers } = this;
+
+      ctx.drawImage(layers.background.canvas, 0, 0, this.width, this.height);
+
+      // Nebulosa suave com as cores do tema: o foco desliza, a borda fica no centro (parada com movimento reduzido)
+      const cx = this.width / 2;
+      const cy = this.height / 2;
+      const time = this.reducedMotion ? 0 : this.globalTime;
+      const g = ctx.createRadialGradient(
+        cx + Math.sin(time * 0.0002) * this.width * 0.15,
+        cy - Math.cos(time * 0.00025) * this.height * 0.15,
+        0,
+        cx,
+        cy,
+        layers.nebulaRadius
+      );
+      g.addColorStop(0, this.theme.nebula1);
+      g.addColorStop(0.6, this.theme.nebula2);
+      g.addColorStop(1, "rgba(15,23,42,0.0)");
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = g;
+      ctx.fillRect(0, 0, this.width, this.height);
+
+      // Estrelas, cada uma na sua fase (sem piscar com movimento reduzido)
+      const { canvas: star } = layers.star;
+      for (const s of this.stars) {
+        ctx.globalAlpha = this.reducedMotion ? 0.7 : 0.3 + 0.7 * (0.5 + 0.5 * Math.sin(this.globalTime * 0.001 + s.tw));
+        ctx.drawImage(star, s.x - s.r, s.y - s.r, s.r * 2, s.r * 2);
+      }
+
+      ctx.globalAlpha = 1;
+    }
+
+    drawErrorWatermark() {
+      const { ctx } = this;
+
+      // Desenha o código do erro no canto superior direito de forma sutil
+      const accentColor = this.theme.accent;
+
+      ctx.save();
 
       // Posição no canto superior direito
       const x = this.width - 40;
       const y = 40;
       const fontSize = Math.max(18, this.width * 0.025);
 
-      // Texto com opacidade variável (pulsa sutilmente)
-      const pulse = 0.15 + 0.1 * Math.sin(this.globalTime * 0.002);
-      ctx.globalAlpha = pulse;
+      // Texto com opacidade variável (pulsa sutilmente)
+      const pulse = this.reducedMotion ? 0.2 : 0.15 + 0.1 * Math.sin(this.globalTime * 0.002);
+      ctx.globalAlpha = pulse;
+
+      ctx.font = `700 ${fontSize}px system-ui, -apple-system, monospace`;
+      ctx.fillStyle = accentColor;
+      ctx.textAlign = "right";
+      ctx.textBaseline = "top";
+      ctx.fillText(this.errorCode, x, y);
+
+      // Adiciona um pequeno ícone/indicador ao lado
+      ctx.globalAlpha = pulse * 0.6;
+      ctx.beginPath();
+      ctx.arc(x - ctx.measureText(this.errorCode).width - 12, y + fontSize / 2, 4, 0, Math.PI * 2);
+      ctx.fillStyle = accentColor;
+      ctx.fill();
+
+      ctx.restore();
+    }
+
+    drawHud() {
+      const { ctx } = this;
+      const accentColor = this.theme.accent;
+
+      const x = 40;
+      const y = 40;
+      const fontSize = Math.max(14, this.width * 0.012);
+      const lineHeight = fontSize * 1.5;
+      const timeMs = this.isGameOver ? this.runTimeMs : this.globalTime;
+
+      ctx.save();
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+
+      ctx.globalAlpha = 0.9;
+      ctx.font = `700 ${fontSize * 1.4}px system-ui, -apple-system, monospace`;
+      ctx.fillStyle = accentColor;
+      ctx.fillText(String(this.score), x, y);
+
+      // Multiplicador só aparece enquanto o combo está vivo
+      const comboAlive = this.globalTime - this.lastHitAt <= CONFIG.score.comboWindowMs;
+      if (comboAlive && this.getMultiplier() > 1) {
+        const scoreWidth = ctx.measureText(String(this.score)).width;
+        ctx.font = `700 ${fontSize}px system-ui, -apple-system, monospace`;
+        ctx.fillText(`×${this.getMultiplier()}`, x + scoreWidth + 10, y + fontSize * 0.3);
+      }
+
+      ctx.globalAlpha = 0.6;
+      ctx.font = `600 ${fontSize}px system-ui, -apple-system, monospace`;
+      ctx.fillStyle = this.theme.text;
+      ctx.fillText(this.t("hud.accuracy", { value: formatAccuracy(this.getAccuracy()) }), x, y + lineHeight * 1.4);
+      ctx.fillText(this.t("hud.time", { value: formatTime(timeMs) }), x, y + lineHeight * 2.4);
+
+      let row = 3.4;
+
+      if (this.isHardMode) {
+        ctx.globalAlpha = 0.9;
+        ctx.fillStyle = accentColor;
+        ctx.fillText("♥".repeat(Math.max(0, this.lives)) + "♡".repeat(CONFIG.hard.lives - Math.max(0, this.lives)), x, y + lineHeight * row);
+        row++;
+      }
+
+      // Co-op: peças de cada jogador, na cor da nave
+      if (this.coop) {
+        ctx.globalAlpha = 0.9;
+        let left = x;
+        for (const p of this.players) {
+          const label = this.t("hud.player", { n: p.index + 1, count: p.destroyed });
+          ctx.fillStyle = p.color;
+          ctx.fillText(label, left, y + lineHeight * row);
+          left += ctx.measureText(label).width + fontSize;
+        }
+        row++;
+      }
+
+      // Nível só aparece depois do primeiro (o jogo de uma onda fica como era)
+      if (this.level > 1) {
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = this.theme.text;
+        ctx.fillText(this.t("hud.level", { level: this.level }), x, y + lineHeight * row);
+        row++;
+      }
+
+      // Power-ups ativos: ícone, nome e barra do tempo restante (pisca no fim)
+      for (const { def, until } of this.powerUps.values()) {
+        const remainingMs = Math.max(0, until - this.globalTime);
+        const top = y + lineHeight * row;
+        const label = this.powerUpLabel(def);
+        const expiring = remainingMs < CONFIG.powerUps.expiringMs;
+
+        ctx.globalAlpha = expiring && Math.floor(this.globalTime / 150) % 2 === 0 ? 0.35 : 0.9;
+        ctx.fillStyle = def.color;
+        ctx.fillText(`${def.icon} ${label}`, x, top);
+        ctx.fillRect(x, top + fontSize * 1.15, fontSize * 8 * (remainingMs / def.durationMs), 3);
+        row++;
+      }
+
+      ctx.restore();
+    }
+
+    drawPieces() {
+      const { ctx } = this;
+
+      ctx.save();
+      ctx.translate(this.waveOffset.x, this.waveOffset.y);
+
+      for (const p of this.pieces) {
+        // Regenerada: aparece aos poucos
+        ctx.globalAlpha = p.respawnAt === undefined ? 1 : Math.min(1, (this.globalTime - p.respawnAt) / CONFIG.wave.regenFadeMs);
+
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+        ctx.fillStyle = this.theme.pieceColor || p.color;
+        ctx.fill();
+
+        // Blindada: um anel para cada acerto que ainda falta
+        if (p.hp > 1) {
+          ctx.lineWidth = 1.25;
+          ctx.strokeStyle = "rgba(248,250,252,0.85)";
+          for (let ring = 1; ring < p.hp; ring++) {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.r + ring * 2, 0, Math.PI * 2);
+            ctx.stroke();
+          }
+        }
+
+        // Guarda uma sugestão: anel pulsando na cor de destaque (parado com movimento reduzido)
+        if (p.suggestion !== undefined) {
+          ctx.globalAlpha *= this.reducedMotion ? 0.9 : 0.6 + 0.4 * Math.sin(this.globalTime * 0.008);
+          ctx.lineWidth = 2;
+          ctx.strokeStyle = this.theme.accent;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, p.r + p.hp * 2 + 1, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+
+      ctx.restore();
+    }
+
+    drawPowerUps() {
+      const { ctx } = this;
+      if (this.items.length === 0) return;
+
+      ctx.save();
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+
+      for (const { def, x, y, r } of this.items) {
+        // Halo pulsando na cor do tipo + ícone no centro
+        ctx.globalAlpha = this.reducedMotion ? 0.3 : 0.25 + 0.15 * Math.sin(this.globalTime * 0.01);
+        ctx.fillStyle = def.color;
+        ctx.beginPath();
+        ctx.arc(x, y, r * 1.8, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = def.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.font = `700 ${r * 1.3}px system-ui, -apple-system, sans-serif`;
+        ctx.fillText(def.icon, x, y + 1);
+      }
+
+      ctx.restore();
+    }
+
+    // Ganchos de desenho dos power-ups ativos (ex.: escudo em volta da nave)
+    drawActivePowerUps() {
+      if (this.players.length === 0) return;
+
+      for (const { def, until } of this.powerUps.values()) {
+        if (!def.draw) continue;
+        this.ctx.save();
+        def.draw(this.ctx, this, until - this.globalTime);
+        this.ctx.restore();
+      }
+    }
+
+    drawDebris() {
+      const { ctx } = this;
+
+      for (const d of this.debris) {
+        ctx.save();
+        ctx.translate(d.x, d.y);
+        ctx.rotate(d.angle);
+        ctx.fillStyle = d.color;
+        ctx.fillRect(-d.r, -d.r * 0.6, d.r * 2, d.r * 1.2);
+        ctx.restore();
+      }
+    }
+
+    drawBullets() {
+      const { ctx } = this;
+      const { bullet, playerBullets } = this.layers;
+
+      for (const b of this.bullets) {
+        const sprite = (playerBullets[b.owner] ?? bullet).canvas;
+        if (b.laser) {
+          // Laser: traço alongado na cor do power-up
+          ctx.fillStyle = b.color;
+          ctx.fillRect(b.x - b.r * 0.5, b.y - b.r * 3, b.r, b.r * 6);
+          continue;
+        }
+        ctx.drawImage(sprite, b.x - b.r * 2, b.y - b.r * 2, b.r * 4, b.r * 4);
+      }
+    }
+
+    drawEnemyBullets() {
+      const { ctx } = this;
+
+      for (const eb of this.enemyBullets) {
+        // Halo avermelhado para ler como "perigo" em qualquer tema
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = "#fb7185";
+        ctx.beginPath();
+        ctx.arc(eb.x, eb.y, eb.r * 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = eb.color;
+        ctx.beginPath();
+        ctx.arc(eb.x, eb.y, eb.r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      ctx.globalAlpha = 1;
+    }
+
+    // Forma das partículas vem do tema; as paradas (marcas do efeito) ficam sempre redondas
+    drawParticles() {
+      const { ctx } = this;
+      const { particleShape, particleSize } = this.theme;
+
+      for (const pa of this.particles) {
+        const size = (pa.still ? 7 : 2 + pa.alpha * 3) * particleSize;
+        ctx.globalAlpha = pa.alpha;
+
+        if (pa.still || particleShape === "circle") {
+          ctx.beginPath();
+          ctx.arc(pa.x, pa.y, size, 0, Math.PI * 2);
+          ctx.fillStyle = pa.color;
+          ctx.fill();
+        } else if (particleShape === "square") {
+          ctx.fillStyle = pa.color;
+          ctx.fillRect(pa.x - size, pa.y - size, size * 2, size * 2);
+        } else {
+          // spark: risco na direção do movimento
+          const speed = Math.hypot(pa.vx, pa.vy) || 1;
+          ctx.strokeStyle = pa.color;
+          ctx.lineWidth = size * 0.6;
+          ctx.beginPath();
+          ctx.moveTo(pa.x, pa.y);
+          ctx.lineTo(pa.x - (pa.vx / speed) * size * 3, pa.y - (pa.vy / speed) * size * 3);
+          ctx.stroke();
+        }
+      }
+
+      ctx.globalAlpha = 1;
+    }
+
+    drawPlayers() {
+      // Pisca enquanto invulnerável (sem nave após a derrota); com movimento reduzido, só fica translúcida
+      if (this.isHardMode && this.lives <= 0) return;
+      if (this.isInvulnerable() && !this.reducedMotion && Math.floor(this.globalTime / 100) % 2 === 0) return;
+
+      for (const p of this.players) this.drawPlayer(p);
+    }
+
+    drawPlayer(p) {
+      const { ctx } = this;
+
+      ctx.save();
+      if (this.isInvulnerable() && this.reducedMotion) ctx.globalAlpha = 0.45;
+      ctx.translate(p.x, p.y);
+
+      // Co-op: halo na cor do jogador para distinguir as naves
+      if (this.coop) {
+        const alpha = ctx.globalAlpha;
+        ctx.globalAlpha = alpha * 0.35;
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.ellipse(0, p.h * 0.6, p.w * 0.6, p.h * 0.5, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = alpha;
+      }
+
+      // Inclinação pelo quanto falta até o alvo: -1 (virando à esquerda) … 1 (à direita)
+      const skin = this.skin;
+      const bank = this.reducedMotion ? 0 : clamp((p.targetX - p.x) / p.w, -1, 1);
+      const img = this.skinImage(skin);
+      if (img?.complete && img.naturalHeight !== 0) this.drawShipSprite(img, skin, p, bank);
+      else this.drawShipShape(skin, p, bank);
+
+      ctx.restore();
+    }
+
+    // Sprite sheet (ou imagem única) na escala da nave clássica: o quadro ocupa max(w, h × 2.5)
+    drawShipSprite(img, skin, p, bank) {
+      const { ctx } = this;
+      const frame = skin.frame ?? { w: img.naturalWidth, h: img.naturalHeight };
+      const width = Math.max(p.w, p.h * 2.5) * skin.scale;
+      const height = width * (frame.h / frame.w);
+      const draw = ({ sx, sy }) => ctx.drawImage(img, sx, sy, frame.w, frame.h, -width / 2, -height / 2, width, height);
+
+      ctx.imageSmoothingEnabled = false; // mantém pixel art nítida
+
+      const thruster = this.skinFrame(skin, "thruster");
+      if (thruster) draw(thruster);
+      else this.drawExhaust(skin, p);
+
+      const side = bank < -CONFIG.bankDeadzone ? "bankLeft" : bank > CONFIG.bankDeadzone ? "bankRight" : "idle";
+      draw(this.skinFrame(skin, side, Math.abs(bank)) ?? this.skinFrame(skin, "idle") ?? { sx: 0, sy: 0 });
+    }
+
+    // Quadro de uma animação da sprite sheet (null = a skin não tem): com fps pelo relógio, sem fps pela inclinação
+    skinFrame(skin, name, amount = 0) {
+      const anim = skin.animations[name];
+      if (!anim || !skin.frame) return null;
+
+      const frames = Math.max(1, anim.frames ?? 1);
+      const index =
+        anim.fps && !this.reducedMotion
+          ? Math.floor((this.globalTime / 1000) * anim.fps) % frames
+          : Math.min(frames - 1, Math.floor(amount * frames));
+      return { sx: index * skin.frame.w, sy: anim.row * skin.frame.h };
+    }
+
+    // Sem imagem (ou antes de carregar): nave geométrica, estreitando ao inclinar
+    drawShipShape(skin, p, bank) {
+      const { ctx } = this;
+      this.drawExhaust(skin, p);
+
+      ctx.save();
+      ctx.scale(1 - Math.abs(bank) * 0.25, 1);
+
+      const grd = ctx.createLinearGradient(-p.w / 2, 0, p.w / 2, 0);
+      const { start, mid, end } = skin.colors ?? { start: this.theme.shipStart, mid: this.theme.shipMid, end: this.theme.shipEnd };
+      grd.addColorStop(0, this.coop ? "#f8fafc" : start);
+      grd.addColorStop(0.5, this.coop ? p.color : mid);
+      grd.addColorStop(1, this.coop ? p.color : end);
+
+      ctx.fillStyle = grd;
+      ctx.beginPath();
+      ctx.moveTo(0, -p.h * 0.9);
+      ctx.lineTo(p.w / 2, p.h * 0.8);
+      ctx.lineTo(-p.w / 2, p.h * 0.8);
+      ctx.closePath();
+      ctx.fill();
+
+      // Cockpit
+      ctx.fillStyle = "rgba(248,250,252,0.9)";
+      ctx.beginPath();
+      ctx.ellipse(bank * p.w * 0.06, -p.h * 0.1, p.w * 0.18, p.h * 0.4, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // Chama atrás da nave nas cores da bala do tema; tremula pelo relógio (não gasta o RNG da partida)
+    drawExhaust(skin, p) {
+      if (!skin.exhaust) return;
+
+      const { ctx } = this;
+      const x = skin.exhaust.x * p.w;
+      const y = skin.exhaust.y * p.h;
+      const flicker = this.reducedMotion ? 1 : 0.8 + 0.2 * Math.sin(this.globalTime * 0.05);
+      const length = p.h * (p.trigger ? 1.1 : 0.8) * flicker;
+      const half = p.w * 0.08;
+
+      const grd = ctx.createLinearGradient(0, y, 0, y + length);
+      grd.addColorStop(0, this.theme.bulletHighlight);
+      grd.addColorStop(0.4, this.theme.bulletGlow);
+      grd.addColorStop(1, this.theme.bulletFade);
+
+      ctx.fillStyle = grd;
+      ctx.beginPath();
+      ctx.moveTo(x - half, y);
+      ctx.lineTo(x + half, y);
+      ctx.lineTo(x, y + length);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    applyShake() {
+      if (this.shakeMs <= 0) return;
+
+      const t = this.shakeMs / this.shakeDurationMs;
+      const intensity = this.shakeIntensity * t;
+
+      const ox = (Math.random() - 0.5) * intensity;
+      const oy = (Math.random() - 0.5) * intensity;
+
+      this.ctx.translate(ox, oy);
+    }
+
+    render() {
+      if (!this.layers) this.layers = this.buildLayers();
+
+      // draw em CSS pixels (por causa do setTransform(dpr...))
+      this.ctx.save();
+
+      this.drawBackground();
+      this.drawErrorWatermark(); // Adiciona marca visual do erro
+      this.drawHud();
+      this.applyShake();
+
+      this.drawPieces();
+      this.drawParticles();
+      this.drawPowerUps();
+      this.drawPlayers();
+      this.drawActivePowerUps();
+      this.drawBullets();
+      this.drawEnemyBullets();
+      this.drawDebris();
+
+      this.ctx.restore();
+
+      if (this.frameStats) this.drawFrameStats();
+    }
+
+    drawFrameStats() {
+      const { ctx } = this;
+      const fontSize = 12;
+
+      ctx.save();
+      ctx.font = `600 ${fontSize}px ui-monospace, monospace`;
+      ctx.textAlign = "left";
+      ctx.textBaseline = "bottom";
+
+      const text = `${this.frameStats.text || "…"} · ${this.quality}`;
+      const w = ctx.measureText(text).width + 12;
+      ctx.fillStyle = "rgba(2,6,23,0.75)";
+      ctx.fillRect(8, this.height - fontSize - 16, w, fontSize + 8);
+      ctx.fillStyle = "#a3e635";
+      ctx.fillText(text, 14, this.height - 12);
+
+      ctx.restore();
+    }
+
+    loop(ts) {
+      if (!this.isRunning) return;
+
+      const dt = ts - this.lastFrameAt;
+      this.lastFrameAt = ts;
+
+      // Passo fixo: o tempo do frame acumula e a simulação avança em fatias de
+      // stepMs (em 144 Hz alguns frames só redesenham; travou, limita em maxDeltaMs)
+      this.stepAccumulator += Math.min(dt, CONFIG.maxDeltaMs) * (this.playback?.speed ?? 1);
+
+      const workStart = now();
+      while (this.stepAccumulator >= CONFIG.stepMs) {
+        this.update(CONFIG.stepMs);
+        this.stepAccumulator -= CONFIG.stepMs;
+      }
+      this.render();
+      this.frameStats?.record(dt, now() - workStart);
+
+      // Lento demais: renderer leve ou, já nele, o cartão estático (que para o jogo)
+      if (this.fpsMonitor?.record(dt)) {
+        this.degrade("fps");
+        if (!this.isRunning) return;
+      }
+
+      this.rafId = requestAnimationFrame(this.loop);
+    }
+  }
+
+  /* --------------------------------------------------------------------------
+     Contexto do servidor: <script type="application/json" id="error-context">
+     ou data-* (data-request-id, data-timestamp, data-path, data-message,
+     data-retry-after). O JSON tem prioridade sobre os atributos.
+     -------------------------------------------------------------------------- */
+
+  const CONTEXT_FIELDS = [
+    { key: "message", label: "context.message" },
+    { key: "requestId", label: "context.requestId" },
+    { key: "timestamp", label: "context.timestamp" },
+    { key: "path", label: "context.path" }
+  ];
+
+  const CONTEXT_DATA_ATTRS = ["requestId", "timestamp", "path", "message", "retryAfter"];
+
+  // "requestId" → "request-id" (nome do data-attribute)
+  const toKebab = (key) => key.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`);
+
+  function readErrorContext(container, explicit) {
+    const context = {};
+
+    for (const key of CONTEXT_DATA_ATTRS) {
+      const value = container.closest(`[data-${toKebab(key)}]`)?.dataset[key];
+      if (value) context[key] = value;
+    }
+
+    const script = container.querySelector('script[type="application/json"].error-context') ?? document.getElementById("error-context");
+    if (script?.textContent?.trim()) {
+      try {
+        Object.assign(context, JSON.parse(script.textContent));
+      } catch (_) {
+        // JSON inválido: segue só com os data-*
+      }
+    }
+
+    if (explicit) Object.assign(context, explicit);
+    return context;
+  }
+
+  /**
+   * Retry-After aceita segundos ("120") ou data HTTP ("Wed, 21 Oct 2026 07:28:00 GMT").
+   * @returns {number | null} ms até a nova tentativa
+   */
+  function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const at = Date.parse(String(value));
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+  }
+
+  // A URL original é o path informado pelo servidor (ou a própria página).
+  // Só vale na mesma origem: "//evil.com/x" no path não pode virar o destino do retry.
+  function getOriginalUrl(context) {
+    if (!context.path) return window.location.href;
+    try {
+      const url = new URL(context.path, window.location.href);
+      return url.origin === window.location.origin ? url.href : window.location.href;
+    } catch (_) {
+      return window.location.href;
+    }
+  }
+
+  function navigateTo(url) {
+    if (url === window.location.href) window.location.reload();
+    else window.location.replace(url);
+  }
+
+  function formatTimestamp(value, locale) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString(locale);
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (_) {
+      // Fallback para contextos sem Clipboard API (http, iframes)
+      const area = document.createElement("textarea");
+      area.value = text;
+      area.setAttribute("readonly", "");
+      area.style.position = "fixed";
+      area.style.opacity = "0";
+      document.body.append(area);
+      area.select();
+      const ok = document.execCommand?.("copy") ?? false;
+      area.remove();
+      return ok;
+    }
+  }
+
+  /**
+   * Painel recolhível com o contexto da requisição + linha de contexto no
+   * overlay. Com retryAfter, faz a contagem e tenta a URL original ao zerar.
+   */
+  class ErrorContextView {
+    constructor(root, overlay, context, { code, locale, t, onRetry }) {
+      this.root = root;
+      this.overlay = overlay;
+      this.context = context;
+      this.code = code;
+      this.locale = locale;
+      this.t = t;
+      this.onRetry = onRetry;
+
+      this.panel = null;
+      this.overlayLine = null;
+      this.countdownEl = null;
+      this.copyBtn = null;
+
+      this.retryAt = 0;
+      this.tickId = 0;
+      this.copyResetId = 0;
+
+      this.onCopyClick = this.onCopyClick.bind(this);
+      this.tick = this.tick.bind(this);
+    }
+
+    hasContent() {
+      return CONTEXT_FIELDS.some(({ key }) => this.context[key]) || parseRetryAfter(this.context.retryAfter) !== null;
+    }
+
+    attach() {
+      if (!this.hasContent()) return;
+
+      const fields = CONTEXT_FIELDS.filter(({ key }) => this.context[key])
+        .map(({ key, label }) => {
+          const value = key === "timestamp" ? formatTimestamp(this.context[key], this.locale) : this.context[key];
+          return `<div><dt>${escapeHtml(this.t(label))}</dt><dd>${escapeHtml(value)}</dd></div>`;
+        })
+        .join("");
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <details class="error-context">
+          <summary>
+            ${escapeHtml(this.t("context.summary", { code: this.code }))}
+            <span class="error-context__countdown" role="timer"></span>
+          </summary>
+          <dl class="error-context__fields">${fields}</dl>
+          <button class="btn btn--secondary" type="button" data-action="copy-diagnostics">${escapeHtml(this.t("context.copy"))}</button>
+          <p class="error-context__status" aria-live="polite"></p>
+        </details>`;
+
+      this.panel = /** @type {HTMLElement} */ (template.content.firstElementChild);
+      this.countdownEl = this.panel.querySelector(".error-context__countdown");
+      this.copyBtn = this.panel.querySelector('[data-action="copy-diagnostics"]');
+      this.copyBtn.addEventListener("click", this.onCopyClick);
+      this.root.append(this.panel);
+
+      // Linha resumida no overlay (o painel fica atrás do modal)
+      const actions = this.overlay?.querySelector(".overlay__actions");
+      if (actions) {
+        this.overlayLine = document.createElement("p");
+        this.overlayLine.className = "overlay__context";
+        actions.before(this.overlayLine);
+      }
+
+      const retryMs = parseRetryAfter(this.context.retryAfter);
+      if (retryMs !== null) {
+        this.retryAt = Date.now() + retryMs;
+        this.tick();
+        this.tickId = window.setInterval(this.tick, 1000);
+      } else {
+        this.renderOverlayLine("");
+      }
+    }
+
+    destroy() {
+      window.clearInterval(this.tickId);
+      window.clearTimeout(this.copyResetId);
+      this.copyBtn?.removeEventListener("click", this.onCopyClick);
+      this.panel?.remove();
+      this.overlayLine?.remove();
+      this.panel = null;
+      this.overlayLine = null;
+    }
+
+    renderOverlayLine(countdown) {
+      if (!this.overlayLine) return;
+
+      const parts = [];
+      if (this.context.message) parts.push(this.context.message);
+      if (this.context.requestId) parts.push(`${this.t("context.requestId")}: ${this.context.requestId}`);
+      if (countdown) parts.push(countdown);
+      this.overlayLine.textContent = parts.join(" · ");
+    }
+
+    tick() {
+      const remainingSec = Math.ceil((this.retryAt - Date.now()) / 1000);
+
+      if (remainingSec > 0) {
+        const label = this.t("context.retryIn", { seconds: remainingSec });
+        this.countdownEl.textContent = `· ${label}`;
+        this.renderOverlayLine(label);
+        return;
+      }
+
+      window.clearInterval(this.tickId);
+      this.tickId = 0;
+      this.countdownEl.textContent = `· ${this.t("context.retrying")}`;
+      this.renderOverlayLine(this.t("context.retrying"));
+      this.retry();
+    }
+
+    retry() {
+      const url = getOriginalUrl(this.context);
+
+      if (this.onRetry) {
+        this.onRetry({ code: this.code, url });
+        return;
+      }
+
+      navigateTo(url);
+    }
+
+    getDiagnostics() {
+      const { t } = this;
+      const lines = [`${t("context.error")}: ${this.code}`];
+      for (const { key, label } of CONTEXT_FIELDS) {
+        if (this.context[key]) lines.push(`${t(label)}: ${this.context[key]}`);
+      }
+      if (this.context.retryAfter) lines.push(`Retry-After: ${this.context.retryAfter}`);
+      lines.push(`${t("context.url")}: ${window.location.href}`);
+      lines.push(`${t("context.browser")}: ${navigator.userAgent}`);
+      return lines.join("\n");
+    }
+
+    async onCopyClick() {
+      const ok = await copyText(this.getDiagnostics());
+      const status = this.panel?.querySelector(".error-context__status");
+      if (!status) return;
+
+      status.textContent = this.t(ok ? "context.copied" : "context.copyFailed");
+      window.clearTimeout(this.copyResetId);
+      this.copyResetId = window.setTimeout(() => {
+        status.textContent = "";
+      }, 3000);
+    }
+  }
+
+  /* --------------------------------------------------------------------------
+     Health-check: configurado no overlay como o data-home-url
+       data-health-url="/health"          endpoint consultado
+       data-health-interval="5000"        intervalo inicial (ms)
+       data-health-max-interval="60000"   teto do backoff (ms)
+       data-health-method="HEAD"          HEAD (padrão) ou GET
+       data-health-redirect="true"        redireciona sozinho ao voltar
+     -------------------------------------------------------------------------- */
+
+  const HEALTH_DEFAULTS = {
+    intervalMs: 5000,
+    maxIntervalMs: 60000,
+    timeoutMs: 8000,
+    method: "HEAD"
+  };
+
+  function readHealthOptions(overlay, explicit) {
+    const data = overlay?.dataset ?? {};
+    const health = {
+      url: data.healthUrl,
+      intervalMs: data.healthInterval,
+      maxIntervalMs: data.healthMaxInterval,
+      method: data.healthMethod,
+      redirect: data.healthRedirect === "" || data.healthRedirect === "true",
+      ...explicit
+    };
+
+    if (!health.url) return null;
+
+    const intervalMs = Number(health.intervalMs) || HEALTH_DEFAULTS.intervalMs;
+    return {
+      url: String(health.url),
+      intervalMs,
+      maxIntervalMs: Math.max(intervalMs, Number(health.maxIntervalMs) || HEALTH_DEFAULTS.maxIntervalMs),
+      method: String(health.method || HEALTH_DEFAULTS.method).toUpperCase() === "GET" ? "GET" : "HEAD",
+      redirect: Boolean(health.redirect)
+    };
+  }
+
+  /**
+   * Consulta o endpoint com backoff exponencial até responder 2xx.
+   * Não depende do DOM além de document.hidden: fetch e timers são injetáveis
+   * para testar contra um servidor stub local (ver tools/stub-server.js).
+   */
+  class RecoveryPoller {
+    /**
+     * @param {{ url: string, intervalMs?: number, maxIntervalMs?: number, method?: string,
+     *   timeoutMs?: number, fetch?: typeof fetch, onRecover: () => void }} options
+     */
+    constructor(options) {
+      this.url = options.url;
+      this.intervalMs = options.intervalMs ?? HEALTH_DEFAULTS.intervalMs;
+      this.maxIntervalMs = options.maxIntervalMs ?? HEALTH_DEFAULTS.maxIntervalMs;
+      this.method = options.method ?? HEALTH_DEFAULTS.method;
+      this.timeoutMs = options.timeoutMs ?? HEALTH_DEFAULTS.timeoutMs;
+      this.fetch = options.fetch ?? ((...args) => window.fetch(...args));
+      this.onRecover = options.onRecover;
+
+      this.delayMs = this.intervalMs;
+      this.timerId = 0;
+      this.isActive = false;
+      this.isChecking = false;
+      this.attempts = 0;
+
+      this.check = this.check.bind(this);
+      this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    }
+
+    start() {
+      if (this.isActive) return;
+      this.isActive = true;
+
+      document.addEventListener("visibilitychange", this.onVisibilityChange, { passive: true });
+      if (!document.hidden) this.schedule(this.delayMs);
+    }
+
+    stop() {
+      this.isActive = false;
+      window.clearTimeout(this.timerId);
+      this.timerId = 0;
+      document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    }
+
+    schedule(delayMs) {
+      window.clearTimeout(this.timerId);
+      this.timerId = window.setTimeout(this.check, delayMs);
+    }
+
+    onVisibilityChange() {
+      // Mesmo critério do loop do jogo: aba escondida não consulta nada
+      if (document.hidden) {
+        window.clearTimeout(this.timerId);
+        this.timerId = 0;
+      } else if (this.isActive && !this.isChecking) {
+        // Voltou para a aba: checa logo, o usuário provavelmente quer saber agora
+        this.delayMs = this.intervalMs;
+        this.schedule(0);
+      }
+    }
+
+    async check() {
+      this.timerId = 0;
+      if (!this.isActive || this.isChecking) return false;
+
+      this.isChecking = true;
+      this.attempts++;
+
+      const controller = typeof AbortController === "function" ? new AbortController() : null;
+      const abortId = controller ? window.setTimeout(() => controller.abort(), this.timeoutMs) : 0;
+
+      let ok = false;
+      try {
+        const res = await this.fetch(this.url, {
+          method: this.method,
+          cache: "no-store",
+          credentials: "same-origin",
+          redirect: "follow",
+          signal: controller?.signal
+        });
+        ok = res.ok;
+      } catch (_) {
+        ok = false; // rede fora / timeout: conta como falha
+      } finally {
+        window.clearTimeout(abortId);
+        this.isChecking = false;
+      }
+
+      if (!this.isActive) return ok;
+
+      if (ok) {
+        this.stop();
+        this.onRecover();
+        return true;
+      }
+
+      // Backoff exponencial até o teto configurado
+      this.delayMs = Math.min(this.delayMs * 2, this.maxIntervalMs);
+      if (!document.hidden) this.schedule(this.delayMs);
+      return false;
+    }
+  }
+
+  /** Toast não bloqueante de "serviço voltou", com botão para retornar. */
+  class RecoveryToast {
+    constructor(root, { t, onReturn }) {
+      this.root = root;
+      this.t = t;
+      this.onReturn = onReturn;
+      this.el = null;
+
+      this.onClick = this.onClick.bind(this);
+    }
+
+    show() {
+      if (this.el) return;
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <div class="toast" role="status">
+          <span class="toast__text">${escapeHtml(this.t("toast.text"))}</span>
+          <button class="btn" type="button" data-action="recover">${escapeHtml(this.t("toast.return"))}</button>
+          <button class="toast__close" type="button" data-action="dismiss" aria-label="${escapeHtml(this.t("toast.dismiss"))}">×</button>
+        </div>`;
+
+      this.el = /** @type {HTMLElement} */ (template.content.firstElementChild);
+      this.el.addEventListener("click", this.onClick);
+      this.root.append(this.el);
+    }
+
+    hide() {
+      this.el?.removeEventListener("click", this.onClick);
+      this.el?.remove();
+      this.el = null;
+    }
+
+    onClick(e) {
+      const action = e.target instanceof Element ? e.target.closest("[data-action]")?.getAttribute("data-action") : null;
+      if (action === "recover") this.onReturn();
+      if (action === "dismiss") this.hide();
+    }
+  }
+
+  /* --------------------------------------------------------------------------
+     Sugestões ("você quis dizer…"): URLs candidatas da página, num
+     <script type="application/json" id="error-suggestions"> ou num
+     sitemap.json da mesma origem (data-suggestions="/sitemap.json"),
+     comparadas com o path que falhou. O ranking é puro (rankSuggestions);
+     o overlay mostra as melhores e peças marcadas revelam uma delas no meio
+     da partida.
+     -------------------------------------------------------------------------- */
+
+  function decodePath(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (_) {
+      return value;
+    }
+  }
 
-      ctx.font = `700 ${fontSize}px system-ui, -apple-system, monospace`;
-      ctx.fillStyle = accentColor;
-      ctx.textAlign = "right";
-      ctx.textBaseline = "top";
-      ctx.fillText(errorCode, x, y);
+  // Só o path, decodificado: "/a%20b?x=1#y" → "/a b"
+  function pathnameOf(url) {
+    try {
+      return decodePath(new URL(url, "http://localhost/").pathname);
+    } catch (_) {
+      return String(url);
+    }
+  }
 
-      // Adiciona um pequeno ícone/indicador ao lado
-      ctx.globalAlpha = pulse * 0.6;
-      ctx.beginPath();
-      ctx.arc(x - ctx.measureText(errorCode).width - 12, y + fontSize / 2, 4, 0, Math.PI * 2);
-      ctx.fillStyle = accentColor;
-      ctx.fill();
+  // "/Docs/Getting_Started.html?x=1" → ["docs", "getting-started"]; index e extensão somem
+  function pathSegments(url) {
+    return pathnameOf(url)
+      .toLowerCase()
+      .split("/")
+      .map((segment) => segment.replace(/\.(html?|php|aspx?)$/, "").replace(/[\s_+]+/g, "-"))
+      .filter((segment) => segment !== "" && segment !== "index");
+  }
 
-      ctx.restore();
+  // 1 - distância de Levenshtein / tamanho da maior (1 = iguais, 0 = nada em comum)
+  function similarity(a, b) {
+    a = a.slice(0, CONFIG.suggestions.maxLength);
+    b = b.slice(0, CONFIG.suggestions.maxLength);
+    if (a === b) return 1;
+    if (a.length === 0 || b.length === 0) return 0;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = row;
     }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+  }
 
-    drawPieces() {
-      const { ctx } = this;
+  /**
+   * Quão perto `candidate` está de `path` (0–1). Vale o melhor de dois jeitos:
+   * segmento a segmento (cada um com o mais parecido da candidata, o último
+   * pesando o dobro; segmentos sobrando tiram pouco) e o caminho inteiro
+   * (pega barra a mais ou a menos: /docsinstall → /docs/install).
+   */
+  function scoreSuggestion(path, candidate) {
+    const wanted = pathSegments(path);
+    const offered = pathSegments(candidate);
+    if (wanted.length === 0 || offered.length === 0) return 0;
+
+    let total = 0;
+    let weights = 0;
+    wanted.forEach((segment, i) => {
+      const weight = i === wanted.length - 1 ? 2 : 1;
+      total += weight * Math.max(...offered.map((other) => similarity(segment, other)));
+      weights += weight;
+    });
+
+    const coverage = Math.min(wanted.length, offered.length) / Math.max(wanted.length, offered.length);
+    const bySegment = (total / weights) * (0.75 + 0.25 * coverage);
+    return Math.max(bySegment, similarity(wanted.join("/"), offered.join("/")));
+  }
 
-      for (const p of this.pieces) {
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
-        ctx.fillStyle = p.color;
-        ctx.fill();
+  // Strings ou { url (ou loc, como no sitemap), title }; aceita também { urls: [...] }
+  function normalizeCandidates(list) {
+    const entries = Array.isArray(list) ? list : Array.isArray(list?.urls) ? list.urls : [];
+
+    return entries
+      .map((entry) =>
+        typeof entry === "string"
+          ? { url: entry, title: null }
+          : { url: entry?.url ?? entry?.loc, title: typeof entry?.title === "string" ? entry.title : null }
+      )
+      .filter((entry) => typeof entry.url === "string" && entry.url !== "");
+  }
+
+  /**
+   * Candidatas mais parecidas com o path que falhou, da melhor para a pior
+   * (empate: a ordem da lista). O próprio path (entrada velha do sitemap),
+   * repetidas (mesmos segmentos) e as abaixo de minScore ficam de fora. Sem
+   * DOM: dá para usar no servidor e nos testes.
+   * @param {string} path
+   * @param {Array<string | { url: string, title?: string }> | { urls: Array }} candidates
+   * @param {{ limit?: number, minScore?: number }} [options]
+   * @returns {Array<{ url: string, title: string | null, score: number }>}
+   */
+  function rankSuggestions(path, candidates, { limit = CONFIG.suggestions.limit, minScore = CONFIG.suggestions.minScore } = {}) {
+    const failed = pathnameOf(path);
+    const seen = new Set();
+    const ranked = [];
+
+    for (const entry of normalizeCandidates(candidates)) {
+      const key = pathSegments(entry.url).join("/");
+      if (pathnameOf(entry.url) === failed || seen.has(key)) continue;
+      seen.add(key);
+
+      const score = scoreSuggestion(path, entry.url);
+      if (score >= minScore) ranked.push({ ...entry, score });
+    }
+
+    return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * suggestions: false (ou data-suggestions="false") desliga; senão, lista de
+   * URLs, URL de um sitemap.json ou { urls, src, limit }. data-suggestions com
+   * a URL do sitemap e o #error-suggestions (lista ou { urls, limit }) somam-se.
+   * @returns {{ urls: Array<{ url: string, title: string | null }>, src: string | null, limit: number } | null}
+   */
+  function readSuggestionOptions(container, explicit) {
+    const attr = container.closest("[data-suggestions]")?.dataset.suggestions;
+    if (explicit === false || attr === "false") return null;
+
+    const config = Array.isArray(explicit) ? { urls: explicit } : typeof explicit === "string" ? { src: explicit } : (explicit ?? {});
+
+    let inline = {};
+    const script = container.querySelector('script[type="application/json"].error-suggestions') ?? document.getElementById("error-suggestions");
+    if (script?.textContent?.trim()) {
+      try {
+        const parsed = JSON.parse(script.textContent);
+        inline = Array.isArray(parsed) ? { urls: parsed } : (parsed ?? {});
+      } catch (err) {
+        debugWarn("ErrorGame: #error-suggestions com JSON inválido", err);
       }
     }
 
-    drawBullets() {
-      const { ctx } = this;
+    const urls = [...normalizeCandidates(config.urls), ...normalizeCandidates(inline.urls)];
+    const src = config.src || attr || inline.src || null;
+    if (urls.length === 0 && !src) return null;
 
-      for (const b of this.bullets) {
-        const g = ctx.createRadialGradient(b.x, b.y, 0, b.x, b.y, b.r * 2);
-        g.addColorStop(0, "#fef9c3");
-        g.addColorStop(0.5, "#facc15");
-        g.addColorStop(1, "rgba(245,158,11,0)");
+    return {
+      urls,
+      src: src ? String(src) : null,
+      limit: Math.max(1, Math.floor(Number(config.limit ?? inline.limit) || CONFIG.suggestions.limit))
+    };
+  }
 
-        ctx.fillStyle = g;
-        ctx.beginPath();
-        ctx.arc(b.x, b.y, b.r * 2, 0, Math.PI * 2);
-        ctx.fill();
+  const isSameOrigin = (url) => {
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (_) {
+      return false;
+    }
+  };
 
-        ctx.fillStyle = "#fde047";
-        ctx.beginPath();
-        ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
-        ctx.fill();
+  /**
+   * Candidatas do mount: as inline e, com src, as do sitemap.json. Só vale a
+   * mesma origem (sitemap e links); falha de rede fica só com as inline.
+   */
+  async function loadSuggestionCandidates({ urls, src }) {
+    let fetched = [];
+
+    if (src && !isSameOrigin(src)) {
+      debugWarn("ErrorGame: o sitemap das sugestões precisa ser da mesma origem", src);
+    } else if (src) {
+      try {
+        const res = await fetch(new URL(src, window.location.href), { credentials: "same-origin", headers: { Accept: "application/json" } });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        fetched = normalizeCandidates(await res.json());
+      } catch (err) {
+        debugWarn("ErrorGame: não foi possível carregar as sugestões", err);
       }
     }
 
-    drawParticles() {
-      const { ctx } = this;
+    return [...urls, ...fetched].filter((entry) => isSameOrigin(entry.url));
+  }
 
-      for (const pa of this.particles) {
-        ctx.globalAlpha = pa.alpha;
-        ctx.beginPath();
-        ctx.arc(pa.x, pa.y, 2 + pa.alpha * 3, 0, Math.PI * 2);
-        ctx.fillStyle = pa.color;
-        ctx.fill();
+  // Título da candidata ou, sem ele, o path legível
+  const suggestionLabel = ({ url, title }) => title ?? pathnameOf(url);
+
+  /**
+   * Sugestões na interface: links depois do "Voltar" no overlay e a linha
+   * "Você quis dizer…?" que as peças marcadas revelam durante a partida.
+   * Em SPA, o clique vai para o onExit, como o botão de voltar.
+   */
+  class SuggestionsView {
+    constructor(root, { game, t }) {
+      this.root = root;
+      this.game = game;
+      this.t = t;
+      this.links = [];
+      this.hint = null;
+
+      this.onClick = this.onClick.bind(this);
+    }
+
+    createLink(suggestion, className, text) {
+      const link = document.createElement("a");
+      link.className = className;
+      link.href = suggestion.url;
+      link.textContent = text;
+      link.addEventListener("click", this.onClick);
+      return link;
+    }
+
+    // Recria os links do overlay a cada lista nova (game.suggestions)
+    render() {
+      this.removeLinks();
+      let anchor = this.game.homeBtn;
+      if (!anchor) return;
+
+      for (const suggestion of this.game.suggestions) {
+        const text = this.t("suggestions.go", { title: suggestionLabel(suggestion) });
+        const link = this.createLink(suggestion, "btn btn--secondary overlay__suggestion", text);
+        anchor.after(link);
+        anchor = link;
+        this.links.push(link);
+      }
+    }
+
+    // Mostra a sugestão revelada (a última substitui a anterior)
+    reveal(suggestion) {
+      if (!this.hint) {
+        this.hint = document.createElement("p");
+        this.hint.className = "suggestion-hint";
+        this.hint.setAttribute("role", "status");
+        this.root.append(this.hint);
       }
 
-      ctx.globalAlpha = 1;
+      const [before, after = ""] = this.t("suggestions.didYouMean").split("{link}");
+      const link = this.createLink(suggestion, "suggestion-hint__link", suggestionLabel(suggestion));
+      this.hint.querySelector("a")?.removeEventListener("click", this.onClick);
+      this.hint.replaceChildren(before, link, after);
     }
 
-    drawPlayer() {
-      if (!this.player) return;
+    onClick(e) {
+      const url = e.currentTarget.getAttribute("href");
+      this.game.track("suggestion_click", { url });
 
-      const { ctx } = this;
-      const p = this.player;
+      const { onExit } = this.game.options;
+      if (!onExit) return;
+      e.preventDefault();
+      onExit({ code: this.game.errorCode, homeUrl: url });
+    }
 
-      ctx.save();
-      ctx.translate(p.x, p.y);
+    removeLinks() {
+      for (const link of this.links) {
+        link.removeEventListener("click", this.onClick);
+        link.remove();
+      }
+      this.links = [];
+    }
 
-      // Se a imagem da nave estiver carregada, usa ela
-      if (naveImg.complete && naveImg.naturalHeight !== 0) {
-        // Define tamanho da imagem (pixel art 48x48, escalado para caber no tamanho do player)
-        const imgSize = Math.max(p.w, p.h * 2.5); // ajusta proporção
-        ctx.imageSmoothingEnabled = false; // mantém pixel art nítida
-        ctx.drawImage(naveImg, -imgSize / 2, -imgSize / 2, imgSize, imgSize);
-      } else {
-        // Fallback: desenha nave geométrica se a imagem não carregar
-        const grd = ctx.createLinearGradient(-p.w / 2, 0, p.w / 2, 0);
-        grd.addColorStop(0, "#22d3ee");
-        grd.addColorStop(0.5, "#38bdf8");
-        grd.addColorStop(1, "#6366f1");
+    destroy() {
+      this.removeLinks();
+      this.hint?.querySelector("a")?.removeEventListener("click", this.onClick);
+      this.hint?.remove();
+      this.hint = null;
+    }
+  }
 
-        ctx.fillStyle = grd;
-        ctx.beginPath();
-        ctx.moveTo(0, -p.h * 0.9);
-        ctx.lineTo(p.w / 2, p.h * 0.8);
-        ctx.lineTo(-p.w / 2, p.h * 0.8);
-        ctx.closePath();
-        ctx.fill();
+  /* --------------------------------------------------------------------------
+     Acessibilidade: auto-mira/tiro automático, alto contraste e movimento
+     reduzido. Cada opção vem de options.accessibility / data-* (explícito),
+     da escolha salva no painel ♿ ou da preferência do sistema.
+     -------------------------------------------------------------------------- */
 
-        // Cockpit
-        ctx.fillStyle = "rgba(248,250,252,0.9)";
-        ctx.beginPath();
-        ctx.ellipse(0, -p.h * 0.1, p.w * 0.18, p.h * 0.4, 0, 0, Math.PI * 2);
-        ctx.fill();
+  const A11Y_SETTINGS_KEY = "error-pages:a11y";
+  const A11Y_KEYS = ["autoAim", "highContrast", "reducedMotion"];
+
+  const mediaMatches = (query) => globalThis.matchMedia?.(query)?.matches ?? false;
+
+  function loadA11ySettings() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(A11Y_SETTINGS_KEY) ?? "{}");
+      return saved && typeof saved === "object" ? saved : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function saveA11ySettings(changes) {
+    try {
+      window.localStorage.setItem(A11Y_SETTINGS_KEY, JSON.stringify({ ...loadA11ySettings(), ...changes }));
+    } catch (_) {
+      // não crítico: a escolha vale só nesta visita
+    }
+  }
+
+  /**
+   * accessibility: true (ou data-accessible="true") liga as três opções;
+   * data-auto-aim, data-high-contrast e data-reduced-motion ("true",
+   * "false" ou "auto") ajustam uma a uma.
+   * @returns {{ autoAim: boolean, highContrast: boolean, reducedMotion: boolean }}
+   */
+  function readA11yOptions(container, explicit) {
+    const all = explicit === true || container.closest("[data-accessible]")?.dataset.accessible === "true";
+    const config = explicit && typeof explicit === "object" ? explicit : {};
+    const saved = loadA11ySettings();
+    const detected = {
+      autoAim: false,
+      highContrast: mediaMatches("(prefers-contrast: more)") || mediaMatches("(forced-colors: active)"),
+      reducedMotion: mediaMatches("(prefers-reduced-motion: reduce)")
+    };
+
+    const result = {};
+    for (const key of A11Y_KEYS) {
+      const attr = container.closest(`[data-${toKebab(key)}]`)?.dataset[key];
+      const fromAttr = attr === undefined || attr === "auto" ? undefined : attr !== "false";
+      const value = config[key] ?? fromAttr ?? (all ? true : undefined) ?? saved[key] ?? detected[key];
+      result[key] = Boolean(value);
+    }
+    return result;
+  }
+
+  /** Painel ♿ (details/summary): as três opções como checkboxes, salvas no localStorage. */
+  class AccessibilityControl {
+    constructor(root, { game, t }) {
+      this.root = root;
+      this.game = game;
+      this.t = t;
+      this.el = null;
+
+      this.onChange = this.onChange.bind(this);
+    }
+
+    attach() {
+      const label = escapeHtml(this.t("a11y.label"));
+      const options = A11Y_KEYS.map(
+        (key) => `
+            <label class="a11y-control__option">
+              <input type="checkbox" data-setting="${key}" /> ${escapeHtml(this.t(`a11y.${key}`))}
+            </label>`
+      ).join("");
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <details class="a11y-control">
+          <summary class="a11y-control__toggle"><span aria-hidden="true">♿</span><span class="sr-only">${label}</span></summary>
+          <div class="a11y-control__panel" role="group" aria-label="${label}">${options}
+          </div>
+        </details>`;
+
+      this.el = /** @type {HTMLElement} */ (template.content.firstElementChild);
+      this.el.addEventListener("change", this.onChange);
+      this.root.append(this.el);
+      this.render();
+    }
+
+    render() {
+      for (const input of this.el.querySelectorAll("input[data-setting]")) {
+        input.checked = Boolean(this.game.a11y[input.dataset.setting]);
       }
+    }
 
-      ctx.restore();
+    onChange(e) {
+      const input = e.target;
+      if (!(input instanceof HTMLInputElement) || !input.dataset.setting) return;
+      this.game.setA11y({ [input.dataset.setting]: input.checked }, { persist: true });
     }
 
-    applyShake() {
-      if (this.shakeMs <= 0) return;
+    destroy() {
+      this.el?.removeEventListener("change", this.onChange);
+      this.el?.remove();
+      this.el = null;
+    }
+  }
 
-      const t = this.shakeMs / CONFIG.shakeDurationMs;
-      const intensity = this.shakeIntensity * t;
+  /**
+   * Replay na interface: durante a reprodução, uma barra com a velocidade e
+   * "Jogar"; no overlay de uma partida gravada, copiar o link ou baixar o JSON.
+   */
+  class ReplayControl {
+    constructor(root, { game, t }) {
+      this.root = root;
+      this.game = game;
+      this.t = t;
+      this.bar = null;
+      this.actions = null;
+      this.feedbackTimer = 0;
+
+      this.onClick = this.onClick.bind(this);
+    }
 
-      const ox = (Math.random() - 0.5) * intensity;
-      const oy = (Math.random() - 0.5) * intensity;
+    attach() {
+      const t = (key, vars) => escapeHtml(this.t(key, vars));
+      const speeds = REPLAY_SPEEDS.map(
+        (speed) => `
+            <button class="replay-bar__speed" type="button" data-replay-speed="${speed}"
+              aria-label="${t("replay.speed", { speed })}" aria-pressed="false">${speed}×</button>`
+      ).join("");
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <div class="replay-bar" role="group" aria-label="${t("replay.label")}" hidden>
+          <span class="replay-bar__label">${t("replay.label")}</span>${speeds}
+          <button class="replay-bar__play" type="button" data-action="replay-play">${t("replay.play")}</button>
+          <p class="replay-bar__warning" hidden>${t("replay.diverged")}</p>
+        </div>
+        <div class="overlay__replay" role="group" aria-label="${t("replay.label")}" hidden>
+          <button class="btn btn--secondary" type="button" data-action="replay-link">${t("replay.copyLink")}</button>
+          <button class="btn btn--secondary" type="button" data-action="replay-download">${t("replay.download")}</button>
+        </div>`;
+
+      [this.bar, this.actions] = template.content.children;
+      this.bar.addEventListener("click", this.onClick);
+      this.root.append(this.bar);
+
+      // Exportar fica junto das ações do overlay (sem overlay, só a barra)
+      const overlayActions = this.game.overlay?.querySelector(".overlay__actions");
+      if (overlayActions) {
+        this.actions.addEventListener("click", this.onClick);
+        overlayActions.after(this.actions);
+      } else {
+        this.actions = null;
+      }
 
-      this.ctx.translate(ox, oy);
+      this.render();
     }
 
     render() {
-      // draw em CSS pixels (por causa do setTransform(dpr...))
-      this.ctx.save();
+      const { playback, lastReplay, result } = this.game;
 
-      this.drawBackground();
-      this.drawErrorWatermark(); // Adiciona marca visual do erro
-      this.applyShake();
+      this.bar.hidden = !playback;
+      this.bar.querySelector(".replay-bar__warning").hidden = !playback?.diverged;
+      for (const button of this.bar.querySelectorAll("[data-replay-speed]")) {
+        button.setAttribute("aria-pressed", String(Number(button.dataset.replaySpeed) === playback?.speed));
+      }
 
-      this.drawPieces();
-      this.drawParticles();
-      this.drawPlayer();
-      this.drawBullets();
+      // Só a partida que acabou de terminar (não a anterior de um skip, nem a reprodução)
+      if (this.actions) this.actions.hidden = Boolean(playback) || !result || !lastReplay;
+    }
 
-      this.ctx.restore();
+    onClick(e) {
+      const button = e.target instanceof Element ? e.target.closest("button") : null;
+      if (!button) return;
+
+      const speed = Number(button.dataset.replaySpeed);
+      if (speed) {
+        this.game.setReplaySpeed(speed);
+        this.render();
+      } else if (button.dataset.action === "replay-play") {
+        this.game.stopPlayback();
+      } else if (button.dataset.action === "replay-link") {
+        this.copyLink(button);
+      } else if (button.dataset.action === "replay-download") {
+        this.download();
+      }
     }
 
-    loop(ts) {
-      if (!this.isRunning) return;
+    // Link no fragmento: não passa pelo servidor nem esbarra no limite de tamanho da query
+    replayUrl() {
+      const url = new URL(window.location.href);
+      url.searchParams.delete("replay");
+      url.hash = `replay=${encodeReplay(this.game.lastReplay)}`;
+      return url.href;
+    }
 
-      const dt = ts - this.lastFrameAt;
-      this.lastFrameAt = ts;
+    async copyLink(button) {
+      const link = this.replayUrl();
 
-      this.update(dt);
+      try {
+        await navigator.clipboard.writeText(link);
+      } catch (_) {
+        // Sem permissão de clipboard (ou http): o usuário copia à mão
+        window.prompt(this.t("replay.copyLink"), link);
+        return;
+      }
+
+      this.game.announce(this.t("replay.copied"));
+      button.textContent = this.t("replay.copied");
+      window.clearTimeout(this.feedbackTimer);
+      this.feedbackTimer = window.setTimeout(() => (button.textContent = this.t("replay.copyLink")), 2000);
+    }
+
+    download() {
+      const log = this.game.lastReplay;
+      const url = URL.createObjectURL(new Blob([JSON.stringify(log)], { type: "application/json" }));
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `replay-${log.code}-${log.seed}.json`;
+      document.body.append(link);
+      link.click();
+      link.remove();
+      window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    destroy() {
+      window.clearTimeout(this.feedbackTimer);
+      this.bar?.removeEventListener("click", this.onClick);
+      this.actions?.removeEventListener("click", this.onClick);
+      this.bar?.remove();
+      this.actions?.remove();
+      this.bar = null;
+      this.actions = null;
+    }
+  }
+
+  /**
+   * Seletor de skin no overlay: um botão por skin registrada (aria-pressed na
+   * atual); as bloqueadas ficam desabilitadas, com o progresso de vitórias.
+   */
+  class SkinPicker {
+    constructor(root, { game, t }) {
+      this.root = root;
+      this.game = game;
+      this.t = t;
+      this.el = null;
+
+      this.onClick = this.onClick.bind(this);
+    }
+
+    attach() {
+      const overlayActions = this.game.overlay?.querySelector(".overlay__actions");
+      if (!overlayActions || SKINS.size < 2) return;
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <div class="skin-picker" role="group" aria-label="${escapeHtml(this.t("skins.label"))}">
+          <span class="skin-picker__label">${escapeHtml(this.t("skins.label"))}</span>
+          ${[...SKINS.keys()]
+            .map((id) => `<button class="skin-picker__option" type="button" data-skin="${escapeHtml(id)}"></button>`)
+            .join("")}
+          <p class="skin-picker__status" hidden></p>
+        </div>`;
+
+      this.el = template.content.firstElementChild;
+      this.el.addEventListener("click", this.onClick);
+      // Depois dos botões de exportar o replay, se houver
+      (this.game.overlay.querySelector(".overlay__replay") ?? overlayActions).after(this.el);
       this.render();
+    }
 
-      this.rafId = requestAnimationFrame(this.loop);
+    // Atualiza os botões no lugar (o foco fica no botão clicado)
+    render() {
+      if (!this.el) return;
+
+      const { wins } = loadSkinSettings();
+      const current = this.game.playback?.live.skin ?? this.game.skin;
+      this.el.hidden = Boolean(this.game.playback);
+
+      for (const button of this.el.querySelectorAll("[data-skin]")) {
+        const skin = SKINS.get(button.dataset.skin);
+        const name = this.game.skinLabel(skin);
+        const locked = wins < skin.unlockWins;
+
+        button.disabled = locked;
+        button.setAttribute("aria-pressed", String(skin === current));
+        button.textContent = locked ? `🔒 ${name} ${wins}/${skin.unlockWins}` : name;
+        if (locked) button.setAttribute("aria-label", this.t("skins.locked", { name, progress: wins, wins: skin.unlockWins }));
+        else button.removeAttribute("aria-label");
+      }
+
+      const unlocked = this.game.result?.unlocked ?? [];
+      const status = this.el.querySelector(".skin-picker__status");
+      status.hidden = unlocked.length === 0;
+      status.textContent = unlocked.length
+        ? this.t("skins.unlocked", { names: unlocked.map((id) => this.game.skinLabel(SKINS.get(id))).join(", ") })
+        : "";
+    }
+
+    onClick(e) {
+      const button = e.target instanceof Element ? e.target.closest("button[data-skin]") : null;
+      if (!button || button.disabled) return;
+
+      if (this.game.setSkin(button.dataset.skin)) saveSkinSettings({ selected: button.dataset.skin });
+      this.render();
+    }
+
+    destroy() {
+      this.el?.removeEventListener("click", this.onClick);
+      this.el?.remove();
+      this.el = null;
     }
   }
 
-  const game = new Game(canvas, ctx);
+  /** Botão de mudo + volume. Reflete o motor compartilhado (várias instâncias ficam em sincronia). */
+  class SoundControl {
+    constructor(root, { audio, t }) {
+      this.root = root;
+      this.audio = audio;
+      this.t = t;
+      this.el = null;
+      this.unsubscribe = null;
+
+      this.onClick = this.onClick.bind(this);
+      this.onInput = this.onInput.bind(this);
+      this.render = this.render.bind(this);
+    }
+
+    attach() {
+      if (!this.audio.isSupported) return;
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <div class="sound-control" role="group" aria-label="${escapeHtml(this.t("sound.label"))}">
+          <button class="sound-control__toggle" type="button" data-action="toggle-sound"
+            aria-label="${escapeHtml(this.t("sound.mute"))}" aria-pressed="true">
+            <span aria-hidden="true"></span>
+          </button>
+          <input class="sound-control__volume" type="range" min="0" max="100" step="5"
+            aria-label="${escapeHtml(this.t("sound.volume"))}" />
+        </div>`;
+
+      this.el = /** @type {HTMLElement} */ (template.content.firstElementChild);
+      this.button = this.el.querySelector("button");
+      this.slider = /** @type {HTMLInputElement} */ (this.el.querySelector("input"));
+
+      this.button.addEventListener("click", this.onClick);
+      this.slider.addEventListener("input", this.onInput);
+      this.root.append(this.el);
+
+      this.unsubscribe = this.audio.subscribe(this.render);
+      this.render();
+    }
+
+    render() {
+      const muted = !this.audio.isAudible;
+      this.button.setAttribute("aria-pressed", String(muted));
+      this.button.firstElementChild.textContent = muted ? "🔇" : "🔊";
+      this.slider.value = String(Math.round(this.audio.volume * 100));
+    }
+
+    onClick() {
+      this.audio.toggle();
+    }
+
+    onInput() {
+      this.audio.unlock();
+      this.audio.setVolume(Number(this.slider.value) / 100);
+    }
+
+    destroy() {
+      this.unsubscribe?.();
+      this.unsubscribe = null;
+      this.button?.removeEventListener("click", this.onClick);
+      this.slider?.removeEventListener("input", this.onInput);
+      this.el?.remove();
+      this.el = null;
+    }
+  }
 
-  // UI actions
-  restartBtn?.addEventListener("click", () => game.reset());
-  homeBtn?.addEventListener("click", () => {
-    const homeUrl = overlay?.dataset?.homeUrl || "/home";
-    window.location.href = homeUrl;
+  /* --------------------------------------------------------------------------
+     Telemetria: barramento de eventos do ciclo de vida do jogo. Cada evento
+     vai para os listeners (handle.on) e para os transportes configurados
+     (sendBeacon, CustomEvent ou nenhum). Do-Not-Track / Global Privacy
+     Control e data-analytics-opt-out desligam tudo.
+     -------------------------------------------------------------------------- */
+
+  /**
+   * Transportes prontos. Um transporte é qualquer objeto com send(event).
+   * - beacon: POST text/plain com o JSON (sem preflight de CORS; sobrevive ao unload)
+   * - event: CustomEvent no window, com o evento em `detail`
+   */
+  const transports = Object.freeze({
+    beacon(endpoint) {
+      return {
+        send(event) {
+          navigator.sendBeacon?.(endpoint, JSON.stringify(event));
+        }
+      };
+    },
+    event(name = CONFIG.analytics.eventName) {
+      return {
+        send(event) {
+          window.dispatchEvent(new CustomEvent(name, { detail: event }));
+        }
+      };
+    },
+    noop: Object.freeze({ send() {} })
   });
 
-  // Atalho: Enter/Espaço no overlay reinicia, Esc volta pra home
-  window.addEventListener("keydown", (e) => {
-    const overlayVisible = overlay?.classList?.contains("is-visible");
-    if (!overlayVisible) return;
+  const hasDoNotTrack = () =>
+    navigator.doNotTrack === "1" || window.doNotTrack === "1" || navigator.globalPrivacyControl === true;
+
+  /**
+   * analytics: false, opt-out no DOM ou DNT → null (sem barramento).
+   * Transporte: options.analytics.transport ou data-analytics ("beacon",
+   * "event", "none", lista separada por vírgula); padrão: nenhum.
+   * @returns {{ transports: Array<{ send(event: object): void }>, sampleRate: number } | null}
+   */
+  function readAnalyticsOptions(container, explicit) {
+    if (explicit === false || container.closest("[data-analytics-opt-out]") || hasDoNotTrack()) return null;
+
+    const config = explicit && typeof explicit === "object" ? explicit : {};
+    const data = (key) => container.closest(`[data-${toKebab(key)}]`)?.dataset[key];
+
+    const endpoint = config.endpoint ?? data("analyticsEndpoint");
+    const spec = config.transport ?? data("analytics") ?? "none";
+    const specs = Array.isArray(spec) ? spec : typeof spec === "string" ? spec.split(",") : [spec];
+
+    const list = [];
+    for (const item of specs) {
+      const name = typeof item === "string" ? item.trim() : item;
+      if (name && typeof name.send === "function") list.push(name);
+      else if (name === "event") list.push(transports.event(config.eventName));
+      else if (name === "beacon" && endpoint) list.push(transports.beacon(endpoint));
+      else if (name === "beacon") debugWarn("ErrorGame: analytics \"beacon\" sem endpoint (data-analytics-endpoint)");
+    }
+
+    const sampleRate = Number(config.sampleRate ?? data("analyticsSampleRate"));
+
+    return {
+      transports: list.length > 0 ? list : [transports.noop],
+      sampleRate: Number.isFinite(sampleRate) ? clamp(sampleRate, 0, 1) : CONFIG.analytics.sampleRate
+    };
+  }
+
+  // Campos repetidos em todo evento: impressões por código, caminho e origem
+  function analyticsBase(options) {
+    const base = {
+      code: options.code,
+      locale: options.locale,
+      path: options.context?.path ?? window.location.pathname + window.location.search,
+      referrer: document.referrer || null
+    };
+    if (options.context?.requestId) base.requestId = options.context.requestId;
+    return base;
+  }
+
+  const createSessionId = () =>
+    globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+  class Analytics {
+    /**
+     * @param {NonNullable<ReturnType<typeof readAnalyticsOptions>>} config
+     * @param {Record<string, unknown>} base
+     */
+    constructor(config, base) {
+      this.transports = config.transports;
+      this.sampleRate = config.sampleRate;
+      this.base = base;
+      this.session = createSessionId();
+      this.startedAt = now();
+      this.listeners = new Set();
+    }
+
+    /** type "*" recebe todos. @returns {() => void} cancela a inscrição */
+    on(type, listener) {
+      const entry = { type, listener };
+      this.listeners.add(entry);
+      return () => this.listeners.delete(entry);
+    }
+
+    /**
+     * Monta e despacha o evento. sessionMs (desde o page_view) vai em todos;
+     * com sampled, só uma fração sampleRate passa e ela vai junto no evento.
+     */
+    track(type, data = {}, { sampled = false } = {}) {
+      if (sampled && Math.random() >= this.sampleRate) return;
+
+      const event = {
+        type,
+        ...this.base,
+        ...data,
+        session: this.session,
+        sessionMs: Math.round(now() - this.startedAt),
+        at: new Date().toISOString()
+      };
+      if (sampled) event.sampleRate = this.sampleRate;
+
+      // Telemetria nunca quebra o jogo
+      for (const { type: wanted, listener } of this.listeners) {
+        if (wanted !== type && wanted !== "*") continue;
+        try {
+          listener(event);
+        } catch (err) {
+          debugWarn("ErrorGame: listener de evento falhou", err);
+        }
+      }
+
+      for (const transport of this.transports) {
+        try {
+          transport.send(event);
+        } catch (_) {
+          // não crítico: beacon recusado, listener de CustomEvent com erro…
+        }
+      }
+    }
+  }
+
+  let mountCount = 0;
+
+  /**
+   * Normaliza as opções do mount. O que não vier nas opções é lido do DOM
+   * (data-error/data-error-text do body, data-home-url do overlay), então as
+   * páginas estáticas continuam configuradas só pelo HTML.
+   */
+  function resolveOptions(container, options) {
+    const code = String(options.code ?? container.closest("[data-error]")?.dataset.error ?? "404");
+    const text = String(options.text ?? container.closest("[data-error-text]")?.dataset.errorText ?? code);
+    const overlay = container.querySelector(".overlay");
+    const assetsBase = String(options.assetsBase ?? DEFAULT_ASSETS_BASE);
+
+    return {
+      ...resolveTheme(container, code, options),
+      code,
+      locale: resolveLocale(container, options.locale),
+      text,
+      homeUrl: String(options.homeUrl ?? overlay?.dataset.homeUrl ?? "/home"),
+      assetsBase: assetsBase.endsWith("/") ? assetsBase : `${assetsBase}/`,
+      difficulty: String(options.difficulty ?? container.closest("[data-difficulty]")?.dataset.difficulty ?? "normal"),
+      players: Number(options.players ?? container.closest("[data-players]")?.dataset.players) === 2 ? 2 : 1,
+      controls: String(options.controls ?? container.closest("[data-controls]")?.dataset.controls ?? "default"),
+      waves: Array.isArray(options.waves) && options.waves.length > 0 ? options.waves : WAVES,
+      level: Math.max(1, Math.floor(Number(options.level ?? container.closest("[data-level]")?.dataset.level) || 1)),
+      seed: readSeed(options.seed ?? container.closest("[data-seed]")?.dataset.seed),
+      replay: options.replay ?? readReplayParam(),
+      quality: readQuality(options.quality ?? container.closest("[data-quality]")?.dataset.quality),
+      skin: resolveSkin(container, options),
+      skinPicker: options.skinPicker !== false && container.closest("[data-skin-picker]")?.dataset.skinPicker !== "false",
+      powerUps: readPowerUpOptions(container, options.powerUps),
+      analytics: readAnalyticsOptions(container, options.analytics),
+      accessibility: readA11yOptions(container, options.accessibility),
+      onWin: typeof options.onWin === "function" ? options.onWin : null,
+      onExit: typeof options.onExit === "function" ? options.onExit : null,
+      onRetry: typeof options.onRetry === "function" ? options.onRetry : null,
+      debug: Boolean(options.debug ?? new URLSearchParams(window.location.search).get("debug") === "1"),
+      glyph: readGlyphOptions(container, text, options.glyph),
+      context: readErrorContext(container, options.context),
+      health: readHealthOptions(overlay, options.health),
+      suggestions: readSuggestionOptions(container, options.suggestions)
+    };
+  }
+
+  /**
+   * Tema do mount. `theme` é o data-error do container (tema do CSS);
+   * `themeSpec`, o tema JSON aplicado por cima. Temporada ativa (options.seasons
+   * + #error-themes) vence options.theme / data-theme. Id registrado mantém o
+   * CSS do código por baixo; id desconhecido é um tema só de CSS, como antes.
+   * @returns {{ theme: string, themeSpec: GameTheme | null }}
+   */
+  function resolveTheme(container, code, options) {
+    const config = readThemeConfig(container);
+    for (const [id, theme] of Object.entries(config.themes)) {
+      if (theme && typeof theme === "object") registerTheme(id, theme);
+    }
+
+    const seasons = [...(Array.isArray(options.seasons) ? options.seasons : []), ...config.seasons];
+    const season = pickSeason(seasons.filter((entry) => THEMES.has(entry?.theme)), new Date(), code);
+    if (season) return { theme: code, themeSpec: THEMES.get(season.theme) };
+
+    const requested = options.theme ?? container.closest("[data-theme]")?.dataset.theme;
+    if (requested && typeof requested === "object") return { theme: code, themeSpec: requested };
+    if (requested === undefined || requested === null || requested === "") return { theme: code, themeSpec: null };
+
+    const id = String(requested);
+    return THEMES.has(id) ? { theme: code, themeSpec: THEMES.get(id) } : { theme: id, themeSpec: null };
+  }
+
+  /**
+   * Skin do mount. Registra as do manifest da página (#error-skins,
+   * options.skins); a escolha salva no seletor vence a padrão da página
+   * (options.skin / data-skin) se já estiver liberada.
+   * @returns {string}
+   */
+  function resolveSkin(container, options) {
+    const script = container.querySelector('script[type="application/json"].error-skins') ?? document.getElementById("error-skins");
+    let manifest = [];
+    try {
+      manifest = script?.textContent?.trim() ? JSON.parse(script.textContent).skins ?? [] : [];
+    } catch (err) {
+      debugWarn("ErrorGame: #error-skins com JSON inválido", err);
+    }
+    for (const def of [...(Array.isArray(manifest) ? manifest : []), ...(Array.isArray(options.skins) ? options.skins : [])]) {
+      if (def && typeof def.id === "string" && def.id !== "") registerSkin(def);
+    }
+
+    const { wins, selected } = loadSkinSettings();
+    const saved = SKINS.get(selected);
+    if (saved && wins >= saved.unlockWins) return saved.id;
+
+    const requested = String(options.skin ?? container.closest("[data-skin]")?.dataset.skin ?? "classic");
+    return SKINS.has(requested) ? requested : "classic";
+  }
+
+  // "auto" (padrão) detecta e mede; os outros valores fixam a qualidade
+  const readQuality = (value) => (QUALITIES.includes(String(value)) ? String(value) : "auto");
+
+  // Inteiro de 32 bits; ausente/inválido = semente nova a cada partida
+  function readSeed(value) {
+    if (value === undefined || value === null || value === "") return undefined;
+    const seed = Number(value);
+    return Number.isFinite(seed) ? seed >>> 0 : undefined;
+  }
+
+  /**
+   * false / data-power-ups="false" desliga; lista de ids ("spread,shield")
+   * restringe os tipos. null = todos os registrados.
+   * @returns {string[] | null}
+   */
+  function readPowerUpOptions(container, explicit) {
+    const value = explicit ?? container.closest("[data-power-ups]")?.dataset.powerUps;
+    if (value === undefined || value === true || value === "true" || value === "") return null;
+    if (value === false || value === "false") return [];
+    return (Array.isArray(value) ? value : String(value).split(",")).map((id) => String(id).trim()).filter(Boolean);
+  }
+
+  // Idioma em que o markup existente foi escrito
+  const getMarkupLang = (container) => container.closest("[lang]")?.getAttribute("lang") || "";
+
+  /**
+   * Locale explícito (options.locale / data-locale) vence. Sem ele, vale o
+   * <html lang> e depois o navegador; data-locale="auto" inverte essa ordem
+   * (o navegador primeiro), para páginas estáticas servidas a qualquer público.
+   */
+  function resolveLocale(container, explicit) {
+    const requested = explicit ?? container.closest("[data-locale]")?.dataset.locale;
+    const pageLang = getMarkupLang(container);
+    const browser = navigator.languages?.length ? navigator.languages : [navigator.language];
+
+    let candidates = [pageLang, ...browser];
+    if (requested === "auto") candidates = [...browser, pageLang];
+    else if (requested) candidates = [requested];
+
+    return matchLocale(candidates) ?? DEFAULT_LOCALE;
+  }
+
+  /**
+   * Traduz o markup estático (páginas em pt-BR) quando o locale escolhido é
+   * outro. No idioma original o HTML fica como está: textos customizados por
+   * página (ex.: via CLI) não são sobrescritos.
+   */
+  function localizeMarkup(container, opts) {
+    if (matchLocale([getMarkupLang(container)]) === opts.locale) return;
+
+    const t = createTranslator(opts.locale, opts.code);
+    const vars = { code: opts.code, homeUrl: opts.homeUrl };
+    const lead = t("overlay.lead", vars);
+
+    const setText = (selector, text) => {
+      const el = container.querySelector(selector);
+      if (el) el.textContent = text;
+    };
+    const setLabel = (el, label) => el?.setAttribute("aria-label", label);
+
+    setLabel(container.matches("[aria-label]") ? container : null, t("page.label", vars));
+    setLabel(container.querySelector(".game-canvas"), t("canvas.label", vars));
+    setLabel(container.querySelector(".overlay__actions"), t("overlay.actions", vars));
+    setText(".overlay__title", t("overlay.title", vars));
+    setText(".overlay__text", t("overlay.text", { ...vars, lead }));
+    setText('[data-action="restart"]', t("action.restart", vars));
+    setText('[data-action="next"]', t("action.next", vars));
+    setText('[data-action="skip"]', t("a11y.skip", vars));
+    setText('[data-action="home"]', t("action.home", vars));
+    setText(".hint", t("hint.pointer", vars));
+  }
+
+  /* --------------------------------------------------------------------------
+     Aparelhos fracos: sem contexto 2D, o jogo vira um cartão estático; com
+     economia de dados/bateria ou FPS baixo, primeiro a qualidade reduzida
+     (menos estrelas, teto de partículas, DPR 1) e só depois o cartão.
+     -------------------------------------------------------------------------- */
+
+  const QUALITIES = ["auto", "high", "low", "fallback"];
+
+  /**
+   * Qualidade inicial. options.quality / data-quality ("high", "low",
+   * "fallback") vence a detecção; "auto" também liga a medição de FPS.
+   * Save-Data chega pelo navegador (navigator.connection) ou pelo servidor
+   * (context.saveData, ver lib/middleware.js).
+   * @returns {{ quality: "high" | "low" | "fallback", reasons: string[] }}
+   */
+  function detectCapabilities(ctx, requested = "auto", context = {}) {
+    if (!ctx) return { quality: "fallback", reasons: ["canvas"] };
+    if (requested === "fallback") return { quality: "fallback", reasons: ["option"] };
+    if (requested !== "auto") return { quality: requested, reasons: [] };
+
+    const reasons = [];
+    if (navigator.connection?.saveData || context.saveData === true) reasons.push("saveData");
+    if (mediaMatches("(prefers-reduced-data: reduce)")) reasons.push("reducedData");
+    return { quality: reasons.length > 0 ? "low" : "high", reasons };
+  }
+
+  // Bateria Status API (Chromium): descarregando e abaixo de CONFIG.quality.lowBattery
+  async function isBatterySaving() {
+    try {
+      const battery = await navigator.getBattery?.();
+      return Boolean(battery && !battery.charging && battery.level <= CONFIG.quality.lowBattery);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Cartão estático no tema da página: código, mensagem, link para a home e
+   * o motivo de o jogo estar desligado. O painel de diagnóstico
+   * (ErrorContextView) pode ser montado dentro dele (`el`).
+   */
+  class FallbackCard {
+    constructor(root, { code, homeUrl, message, reasons, t, onExit }) {
+      this.root = root;
+      this.code = code;
+      this.homeUrl = homeUrl;
+      this.message = message;
+      this.reasons = reasons;
+      this.t = t;
+      this.onExit = onExit;
+      this.el = null;
+
+      this.onHomeClick = this.onHomeClick.bind(this);
+    }
+
+    attach() {
+      const vars = { code: this.code, homeUrl: this.homeUrl };
+      const reasons = this.reasons.map((reason) => this.t(`fallback.${reason}`)).join(", ");
+
+      const template = document.createElement("template");
+      template.innerHTML = `
+        <section class="fallback-card" aria-label="${escapeHtml(this.t("fallback.label", vars))}">
+          <h2 class="fallback-card__code">${escapeHtml(this.code)}</h2>
+          <p class="fallback-card__text">${escapeHtml(this.message || this.t("fallback.text", vars))}</p>
+          <a class="btn" href="${escapeHtml(this.homeUrl)}" data-action="fallback-home">${escapeHtml(this.t("action.home", vars))}</a>
+          <p class="fallback-card__reason">${escapeHtml(this.t("fallback.reason", { reasons }))}</p>
+        </section>`;
+
+      this.el = /** @type {HTMLElement} */ (template.content.firstElementChild);
+      this.el.querySelector('[data-action="fallback-home"]').addEventListener("click", this.onHomeClick);
+      this.root.append(this.el);
+      this.root.dataset.gameQuality = "fallback";
+    }
 
-    if (e.key === "Enter" || e.key === " ") {
+    // SPA: onExit no lugar da navegação, como o botão do overlay
+    onHomeClick(e) {
+      if (!this.onExit) return;
       e.preventDefault();
-      game.reset();
+      this.onExit({ code: this.code, homeUrl: this.homeUrl });
     }
 
-    if (e.key === "Escape") {
-      const homeUrl = overlay?.dataset?.homeUrl || "/home";
-      window.location.href = homeUrl;
+    destroy() {
+      this.el?.querySelector('[data-action="fallback-home"]').removeEventListener("click", this.onHomeClick);
+      this.el?.remove();
+      this.el = null;
+      delete this.root.dataset.gameQuality;
+    }
+  }
+
+  /**
+   * Cria canvas, overlay e hint quando o container está vazio (uso em SPA).
+   * Os ids são únicos por mount para o aria-labelledby não colidir.
+   * @returns {ChildNode[]} nós criados, removidos no destroy()
+   */
+  function renderMarkup(container, opts) {
+    const uid = `error-game-${++mountCount}`;
+    const translate = createTranslator(opts.locale, opts.code);
+    const vars = { code: opts.code, homeUrl: opts.homeUrl };
+    const t = (key, extra) => escapeHtml(translate(key, { ...vars, ...extra }));
+
+    const template = document.createElement("template");
+    template.innerHTML = `
+      <a class="skip-link" href="#${uid}-overlay" data-action="skip">${t("a11y.skip")}</a>
+      <canvas class="game-canvas" role="application" tabindex="0"
+        aria-label="${t("canvas.label")}"></canvas>
+      <section id="${uid}-overlay" class="overlay" role="dialog" aria-modal="true"
+        aria-labelledby="${uid}-title" aria-describedby="${uid}-description"
+        aria-hidden="true" tabindex="-1" inert>
+        <div class="overlay__card">
+          <h2 id="${uid}-title" class="overlay__title">${t("overlay.title")}</h2>
+          <p id="${uid}-description" class="overlay__text">
+            ${t("overlay.text", { lead: translate("overlay.lead", vars) })}
+          </p>
+          <div class="overlay__results"></div>
+          <div class="overlay__actions" role="group" aria-label="${t("overlay.actions")}">
+            <button class="btn" type="button" data-action="restart">${t("action.restart")}</button>
+            <button class="btn" type="button" data-action="next" hidden>${t("action.next")}</button>
+            <button class="btn btn--secondary" type="button" data-action="home">${t("action.home")}</button>
+          </div>
+        </div>
+      </section>
+      <p class="hint" aria-live="polite">${t("hint.pointer")}</p>
+      <p class="sr-only" role="status" aria-live="polite" aria-atomic="true" data-role="announcer"></p>`;
+
+    const nodes = Array.from(template.content.children);
+    container.append(...nodes);
+    return nodes;
+  }
+
+  /**
+   * Monta o jogo dentro de `container`. Reaproveita o markup existente
+   * (.game-canvas, .overlay, .hint, [data-action]) ou cria um novo.
+   *
+   * @param {HTMLElement} container
+   * @param {{ code?: string, text?: string, homeUrl?: string, assetsBase?: string, theme?: string | GameTheme,
+   *   seasons?: Array<{ theme: string, from: string, to: string, codes?: string[] }>,
+   *   difficulty?: "normal" | "hard", locale?: string, debug?: boolean,
+   *   level?: number, waves?: Array<{ motion?: { type: "oscillate" | "drift", amplitude: number, periodMs: number },
+   *     armored?: { ratio: number, hits: number }, regen?: { delayMs: number, intervalMs: number },
+   *     debris?: { chance: number, speed: number } }>,
+   *   powerUps?: boolean | string[],
+   *   players?: 1 | 2, controls?: "default" | "thumbs",
+   *   quality?: "auto" | "high" | "low" | "fallback", replay?: string | object,
+   *   skin?: string, skins?: ShipSkin[], skinPicker?: boolean,
+   *   accessibility?: boolean | { autoAim?: boolean, highContrast?: boolean, reducedMotion?: boolean },
+   *   analytics?: false | { transport?: "beacon" | "event" | "none" | { send(event: object): void }
+   *     | Array<string | { send(event: object): void }>, endpoint?: string, eventName?: string, sampleRate?: number },
+   *   glyph?: { type?: "text" | "image" | "svg", text?: string, src?: string, svg?: string | SVGElement,
+   *     font?: string, weight?: string, color?: string, colorMode?: "hue" | "source", scale?: number, step?: number },
+   *   context?: { requestId?: string, timestamp?: string, path?: string, message?: string, retryAfter?: number | string },
+   *   onRetry?: (info: { code: string, url: string }) => void,
+   *   health?: { url: string, intervalMs?: number, maxIntervalMs?: number, method?: "HEAD" | "GET", redirect?: boolean },
+   *   suggestions?: false | string | Array<string | { url: string, title?: string }>
+   *     | { urls?: Array<string | { url: string, title?: string }>, src?: string, limit?: number },
+   *   onWin?: (result: { code: string, level: number }) => void,
+   *   onExit?: (info: { code: string, homeUrl: string }) => void }} [options]
+   * @returns {{ pause(): void, resume(): void, reset(): void, nextLevel(): void, destroy(): void,
+   *   on(type: string, listener: (event: object) => void): () => void,
+   *   setAccessibility(changes: { autoAim?: boolean, highContrast?: boolean, reducedMotion?: boolean }): void,
+   *   getReplay(): object | null, playReplay(log: object | string): Promise<void>, setReplaySpeed(speed: 1 | 2 | 4): void,
+   *   getQuality(): "high" | "low" | "fallback", setTheme(theme: string | GameTheme | null): void,
+   *   setSkin(id: string): boolean }}
+   *   sem contexto 2D, o handle de um cartão estático (controles sem efeito; playReplay rejeita)
+   */
+  function mount(container, options = {}) {
+    if (!(container instanceof HTMLElement)) {
+      throw new TypeError("ErrorGame.mount: container precisa ser um HTMLElement");
+    }
+
+    if (options.debug) debugLogging = true;
+    const opts = resolveOptions(container, options);
+    const created = container.querySelector(".game-canvas") ? [] : renderMarkup(container, opts);
+    if (created.length === 0) localizeMarkup(container, opts);
+
+    const canvas = /** @type {HTMLCanvasElement} */ (container.querySelector(".game-canvas"));
+    const ctx = canvas.getContext("2d", { alpha: false });
+    const capabilities = detectCapabilities(ctx, opts.quality, opts.context);
+
+    // Tema via CSS (mesmas variáveis de body[data-error]); restaurado no destroy()
+    const prevTheme = container.getAttribute("data-error");
+    const hadRootClass = container.classList.contains("error-game");
+    const prevLang = container.getAttribute("lang");
+    const prevContrast = container.getAttribute("data-contrast");
+    container.dataset.error = opts.theme;
+    container.classList.add("error-game");
+    container.lang = opts.locale;
+
+    const restoreContainer = () => {
+      if (prevTheme === null) container.removeAttribute("data-error");
+      else container.setAttribute("data-error", prevTheme);
+      if (!hadRootClass) container.classList.remove("error-game");
+      if (prevLang === null) container.removeAttribute("lang");
+      else container.setAttribute("lang", prevLang);
+      if (prevContrast === null) container.removeAttribute("data-contrast");
+      else container.setAttribute("data-contrast", prevContrast);
+    };
+
+    // Sem canvas (ou data-quality="fallback"): nem chega a criar o jogo
+    if (capabilities.quality === "fallback") {
+      for (const node of created) node.remove();
+      return mountFallback(container, opts, capabilities.reasons, restoreContainer);
+    }
+
+    // Markup sem o botão de próximo nível (páginas antigas): cria ao lado do reiniciar
+    const restartBtn = container.querySelector('[data-action="restart"]');
+    let nextBtn = container.querySelector('[data-action="next"]');
+    if (!nextBtn && restartBtn) {
+      nextBtn = document.createElement("button");
+      nextBtn.className = "btn";
+      nextBtn.type = "button";
+      nextBtn.dataset.action = "next";
+      nextBtn.hidden = true;
+      nextBtn.textContent = createTranslator(opts.locale, opts.code)("action.next", { code: opts.code });
+      restartBtn.after(nextBtn);
+      created.push(nextBtn);
+    }
+
+    // Idem para o skip link e a região aria-live do progresso
+    const translate = createTranslator(opts.locale, opts.code);
+    let skipLink = container.querySelector('[data-action="skip"]');
+    if (!skipLink) {
+      skipLink = document.createElement("a");
+      skipLink.className = "skip-link";
+      skipLink.href = "#";
+      skipLink.dataset.action = "skip";
+      skipLink.textContent = translate("a11y.skip", { code: opts.code });
+      container.prepend(skipLink);
+      created.push(skipLink);
+    }
+
+    let liveRegion = container.querySelector('[data-role="announcer"]');
+    if (!liveRegion) {
+      liveRegion = document.createElement("p");
+      liveRegion.className = "sr-only";
+      liveRegion.setAttribute("role", "status");
+      liveRegion.setAttribute("aria-live", "polite");
+      liveRegion.setAttribute("aria-atomic", "true");
+      liveRegion.dataset.role = "announcer";
+      container.append(liveRegion);
+      created.push(liveRegion);
+    }
+
+    const game = new Game(
+      {
+        root: container,
+        canvas,
+        ctx,
+        overlay: container.querySelector(".overlay"),
+        hint: container.querySelector(".hint"),
+        restartBtn,
+        nextBtn,
+        liveRegion,
+        homeBtn: container.querySelector('[data-action="home"]')
+      },
+      opts
+    );
+
+    const contextView = new ErrorContextView(container, game.overlay, opts.context, {
+      code: opts.code,
+      locale: opts.locale,
+      t: game.t,
+      onRetry: opts.onRetry
+    });
+    contextView.attach();
+
+    // FPS baixo mesmo no renderer leve: o jogo para e fica o cartão, com o painel de diagnóstico
+    let fallback = null;
+    game.onFallback = (reasons) => {
+      const hadFocus = container.contains(document.activeElement);
+      game.stop();
+
+      fallback = new FallbackCard(container, { ...fallbackCopy(opts), reasons, t: game.t, onExit: opts.onExit });
+      fallback.attach();
+      if (contextView.panel) fallback.el.append(contextView.panel);
+      if (hadFocus) fallback.el.querySelector('[data-action="fallback-home"]').focus();
+    };
+    // Com o cartão já ligado: um aparelho fraco pode cair nele logo nos primeiros frames.
+    // quality: "low" já nasce no renderer leve (degradar de novo seria o cartão)
+    if (capabilities.quality === "low" && game.quality === "high") game.degrade(...capabilities.reasons);
+
+    // Impressão antes do game_start; o exit fecha a sessão (pagehide ou destroy)
+    game.analytics?.track("page_view");
+    let exitTracked = false;
+    const trackExit = () => {
+      if (exitTracked) return;
+      exitTracked = true;
+      game.track("exit", { played: game.hasShot, wins: game.wins });
+    };
+    window.addEventListener("pagehide", trackExit);
+
+    game.start();
+
+    // Serviço de volta: mesma URL original do retry (onRetry em SPA)
+    const returnToService = () => {
+      const url = getOriginalUrl(opts.context);
+      if (opts.onRetry) opts.onRetry({ code: opts.code, url });
+      else navigateTo(url);
+    };
+
+    const soundControl = new SoundControl(container, { audio: game.audio, t: game.t });
+    soundControl.attach();
+
+    const a11yControl = new AccessibilityControl(container, { game, t: game.t });
+    a11yControl.attach();
+
+    const replayControl = new ReplayControl(container, { game, t: game.t });
+    replayControl.attach();
+    game.replayControl = replayControl;
+
+    const skinPicker = opts.skinPicker ? new SkinPicker(container, { game, t: game.t }) : null;
+    skinPicker?.attach();
+    game.skinPicker = skinPicker;
+
+    const onSkip = (e) => {
+      e.preventDefault();
+      game.skip();
+    };
+    skipLink.addEventListener("click", onSkip);
+
+    const toast = new RecoveryToast(container, { t: game.t, onReturn: returnToService });
+    const poller = opts.health
+      ? new RecoveryPoller({
+          ...opts.health,
+          onRecover: () => (opts.health.redirect ? returnToService() : toast.show())
+        })
+      : null;
+    poller?.start();
+
+    let destroyed = false;
+
+    // Sugestões: compara com o path que falhou (o do contexto do servidor, ou o da página)
+    const suggestionView = opts.suggestions ? new SuggestionsView(container, { game, t: game.t }) : null;
+    game.suggestionView = suggestionView;
+    if (opts.suggestions) {
+      const failedPath = new URL(opts.context.path ?? window.location.href, window.location.href).pathname;
+      loadSuggestionCandidates(opts.suggestions).then((candidates) => {
+        if (!destroyed) game.setSuggestions(rankSuggestions(failedPath, candidates, { limit: opts.suggestions.limit }));
+      });
+    }
+
+    return {
+      pause: () => game.pause(),
+      resume: () => game.resume(),
+      reset: () => game.reset(),
+      nextLevel: () => game.nextLevel(),
+      // Sem barramento (opt-out/DNT) a inscrição não recebe nada
+      on: (type, listener) => game.analytics?.on(type, listener) ?? (() => {}),
+      setAccessibility(changes) {
+        game.setA11y(changes);
+        a11yControl.render();
+      },
+      // Log da última partida encerrada (null se não terminou ou não pôde ser gravada)
+      getReplay: () => game.lastReplay,
+      playReplay: (log) => game.loadPlayback(log),
+      setReplaySpeed(speed) {
+        game.setReplaySpeed(speed);
+        replayControl.render();
+      },
+      getQuality: () => (fallback ? "fallback" : game.quality),
+      setTheme: (theme) => game.setTheme(theme),
+      setSkin(id) {
+        const changed = game.setSkin(id);
+        skinPicker?.render();
+        return changed;
+      },
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        trackExit();
+        window.removeEventListener("pagehide", trackExit);
+
+        game.stop();
+        contextView.destroy();
+        soundControl.destroy();
+        a11yControl.destroy();
+        replayControl.destroy();
+        skinPicker?.destroy();
+        suggestionView?.destroy();
+        skipLink.removeEventListener("click", onSkip);
+        poller?.stop();
+        toast.hide();
+        fallback?.destroy();
+        for (const node of created) node.remove();
+        game.themeSpec = null;
+        game.applyThemeSpec();
+        restoreContainer();
+      }
+    };
+  }
+
+  // Textos do cartão: a mensagem do servidor, se veio no contexto
+  const fallbackCopy = (opts) => ({ code: opts.code, homeUrl: opts.homeUrl, message: opts.context.message });
+
+  /**
+   * Mount sem jogo: só o cartão estático, com o painel de diagnóstico dentro.
+   * O handle tem a forma do normal, com os controles do jogo sem efeito.
+   */
+  function mountFallback(container, opts, reasons, restoreContainer) {
+    const t = createTranslator(opts.locale, opts.code);
+    // Sem Game para observar o esquema: o tema entra uma vez, na variante do momento
+    const themeSpec = opts.themeSpec ? themeForScheme(opts.themeSpec, colorSchemeOf(container)) : null;
+    let themeVars = applyThemeVars(container, themeSpec ? themeToVars(themeSpec) : {});
+    const card = new FallbackCard(container, { ...fallbackCopy(opts), reasons, t, onExit: opts.onExit });
+    card.attach();
+
+    const contextView = new ErrorContextView(card.el, null, opts.context, {
+      code: opts.code,
+      locale: opts.locale,
+      t,
+      onRetry: opts.onRetry
+    });
+    contextView.attach();
+
+    const noop = () => {};
+    let destroyed = false;
+
+    return {
+      pause: noop,
+      resume: noop,
+      reset: noop,
+      nextLevel: noop,
+      on: () => noop,
+      setAccessibility: noop,
+      getReplay: () => null,
+      playReplay: () => Promise.reject(new Error("ErrorGame.playReplay: sem jogo no modo fallback")),
+      setReplaySpeed: noop,
+      setSkin: () => false,
+      getQuality: () => "fallback",
+      setTheme(theme) {
+        const spec = typeof theme === "string" ? THEMES.get(theme) : (theme ?? opts.themeSpec);
+        themeVars = applyThemeVars(container, spec ? themeToVars(themeForScheme(spec, colorSchemeOf(container))) : {}, themeVars);
+      },
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        contextView.destroy();
+        card.destroy();
+        themeVars = applyThemeVars(container, {}, themeVars);
+        restoreContainer();
+      }
+    };
+  }
+
+  const ErrorGame = Object.freeze({
+    mount,
+    RecoveryPoller,
+    addLocale,
+    matchLocale,
+    createTranslator,
+    registerPowerUp,
+    transports,
+    encodeReplay,
+    decodeReplay,
+    registerTheme,
+    registerSkin,
+    rankSuggestions,
+    get skins() {
+      return [...SKINS.keys()];
+    },
+    get themes() {
+      return [...THEMES.keys()];
+    },
+    get locales() {
+      return Object.keys(MESSAGES);
     }
   });
 
-  // Start
-  game.start();
+  // Sempre no window, inclusive dentro de um bundler (webpack/Rollup dão `module`
+  // ao game.js importado pelo game.mjs, que lê o global)
+  if (typeof window !== "undefined") window.ErrorGame = ErrorGame;
+
+  // CommonJS: testes e tools/bench-collision.js usam os internos (Game,
+  // SpatialGrid, CONFIG) com um canvas falso; sem auto-boot (quem importa monta)
+  if (isCommonJs) {
+    module.exports = Object.freeze(
+      Object.defineProperties(
+        {
+          Game,
+          SpatialGrid,
+          CONFIG,
+          createRng,
+          stepShip,
+          stepBullets,
+          collideBullets,
+          stepParticles,
+          isCleared,
+          parseReplay,
+          FpsMonitor,
+          detectCapabilities,
+          themeToVars,
+          themeForScheme,
+          pickSeason
+        },
+        Object.getOwnPropertyDescriptors(ErrorGame)
+      )
+    );
+    return;
+  }
+
+  // Auto-boot das páginas estáticas: script clássico + markup já presente em .page.
+  // <script data-autoboot="false"> desliga (ex.: SPA que só quer a API).
+  function autoBoot() {
+    const root = document.querySelector(".page");
+    if (root?.querySelector(".game-canvas")) mount(/** @type {HTMLElement} */ (root));
+  }
+
+  if (currentScript && currentScript.dataset.autoboot !== "false") {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", autoBoot, { once: true });
+    } else {
+      autoBoot();
+    }
+  }
 })();
@@ -0,0 +1,41 @@
+/* ==========================================================================
+   Error Galaxy Shooter — ES Module
+   Mesmo runtime do script clássico (game.js), exposto como módulo:
+
+     import { mount } from "./static/js/game.mjs";
+     const handle = mount(document.querySelector("#app"), { code: "404" });
+
+   Importado como módulo o game.js não faz auto-boot; só registra a API
+   (window.ErrorGame, também num bundler). O i18n.js e o themes.js vêm antes,
+   como nas páginas.
+   ========================================================================== */
+
+import "./i18n.js";
+import "./themes.js";
+import "./game.js";
+
+const ErrorGame = globalThis.ErrorGame;
+
+// Sem currentScript, a base dos assets vem da URL deste módulo (…/static/js/ → …/static/)
+const ASSETS_BASE = new URL("../", import.meta.url).href;
+
+export function mount(container, options = {}) {
+  return ErrorGame.mount(container, { assetsBase: ASSETS_BASE, ...options });
+}
+
+export const { RecoveryPoller, addLocale, matchLocale, createTranslator, registerPowerUp, transports, encodeReplay, decodeReplay, registerTheme, registerSkin, rankSuggestions } =
+  ErrorGame;
+
+export default Object.freeze({
+  ...ErrorGame,
+  mount,
+  get locales() {
+    return ErrorGame.locales;
+  },
+  get themes() {
+    return ErrorGame.themes;
+  },
+  get skins() {
+    return ErrorGame.skins;
+  }
+});
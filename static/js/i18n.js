@@ -0,0 +1,420 @@
+/* ==========================================================================
+   Error Galaxy Shooter — i18n
+   Catálogo por locale, com sobrescritas por código de erro em `codes`.
+   Interpolação com {chave} (ex.: {code}, {homeUrl}). Chave ausente cai no
+   pt-BR, que é o idioma original das páginas.
+
+   Arquivo à parte para o build (lib/build.js) usar os textos sem carregar o
+   jogo. Nas páginas vem antes do game.js:
+
+     <script src="./static/js/i18n.js" defer></script>
+     <script src="./static/js/game.js" defer></script>
+   ========================================================================== */
+
+(() => {
+  "use strict";
+
+  const DEFAULT_LOCALE = "pt-BR";
+
+  const MESSAGES = {
+    "pt-BR": {
+      "meta.description": "Jogue um mini shooter para destruir o erro {code} e voltar para a home.",
+      "page.label": "Tela {code} com mini game",
+      "canvas.label": "Mini game para destruir o erro {code} e voltar para a home.",
+      "overlay.title": "Você destruiu o {code}!",
+      "overlay.lead": "Erro eliminado com sucesso.",
+      "overlay.text": "{lead} Quer jogar de novo ou voltar pra {homeUrl}?",
+      "overlay.actions": "Opções após vencer o jogo",
+      "action.restart": "Reiniciar",
+      "action.next": "Próximo nível",
+      "action.home": "Voltar para {homeUrl}",
+      "hint.pointer": "Mova o mouse/toque para controlar a nave \u00a0•\u00a0 Segure para atirar",
+      "hint.keyboard": "Use ←/→ ou A/D para mover \u00a0•\u00a0 Segure Espaço para atirar",
+      "hint.gamepad": "Use o analógico ou o direcional para mover \u00a0•\u00a0 Segure A para atirar",
+      "hint.autoAim": "Mira e tiro automáticos ligados \u00a0•\u00a0 Desligue no painel ♿",
+      "hint.coop": "Jogador 1: mouse ou metade esquerda \u00a0•\u00a0 Jogador 2: ← → e Espaço ou metade direita",
+      "hint.thumbs": "Polegar esquerdo move a nave \u00a0•\u00a0 Segure à direita para atirar",
+      "hint.replay": "Assistindo a um replay \u00a0•\u00a0 Jogar começa a sua partida",
+      "noscript": "Seu navegador está com JavaScript desativado. Volte para",
+      "hud.accuracy": "Precisão {value}",
+      "hud.time": "Tempo {value}",
+      "hud.level": "Nível {level}",
+      "hud.player": "J{n} {count}",
+      "powerUp.spread": "Tiro triplo",
+      "powerUp.laser": "Laser perfurante",
+      "powerUp.rapid": "Tiro rápido",
+      "powerUp.shield": "Escudo",
+      "powerUp.bomb": "Bomba",
+      "results.score": "Pontos",
+      "results.accuracy": "Precisão",
+      "results.time": "Tempo",
+      "results.maxCombo": "Maior combo",
+      "results.level": "Nível",
+      "coop.player": "Jogador {n}",
+      "results.credits": "Peças destruídas por jogador",
+      "results.credit": "{player}: {percent}% ({count} peças)",
+      "results.rank": "Posição #{rank} no ranking do {code}",
+      "results.outOfTop": "Fora do top {size}",
+      "results.lost": "Derrotas não entram no ranking",
+      "results.replay": "Replays não entram no ranking",
+      "leaderboard.label": "Ranking local do erro {code}",
+      "leaderboard.points": "pts",
+      "gameOver.title": "Sua nave foi destruída!",
+      "gameOver.text": "O {code} venceu desta vez. Quer tentar de novo ou voltar pra {homeUrl}?",
+      "gameOver.restart": "Tentar de novo",
+      "context.summary": "Detalhes do erro {code}",
+      "context.message": "Mensagem",
+      "context.requestId": "ID da requisição",
+      "context.timestamp": "Data/hora",
+      "context.path": "Caminho",
+      "context.copy": "Copiar diagnóstico",
+      "context.copied": "Diagnóstico copiado.",
+      "context.copyFailed": "Não foi possível copiar. Selecione os dados acima.",
+      "context.retryIn": "Nova tentativa em {seconds}s",
+      "context.retrying": "Tentando novamente…",
+      "context.error": "Erro",
+      "context.url": "URL",
+      "context.browser": "Navegador",
+      "toast.text": "O serviço voltou!",
+      "toast.return": "Voltar para a página",
+      "toast.dismiss": "Fechar aviso",
+      "sound.label": "Som",
+      "sound.mute": "Silenciar",
+      "sound.volume": "Volume",
+      "a11y.label": "Acessibilidade",
+      "a11y.autoAim": "Mira e tiro automáticos",
+      "a11y.highContrast": "Alto contraste",
+      "a11y.reducedMotion": "Movimento reduzido",
+      "a11y.progress": "{percent}% do {code} destruído",
+      "a11y.hit": "Nave atingida! Vidas restantes: {lives}",
+      "a11y.powerUp": "Power-up: {label}",
+      "a11y.skip": "Pular o jogo e ir para as opções",
+      "skip.title": "Para onde você quer ir?",
+      "skip.text": "O jogo é opcional: volte para {homeUrl} ou jogue uma partida.",
+      "skip.play": "Jogar",
+      "replay.label": "Replay",
+      "replay.speed": "Velocidade {speed}×",
+      "replay.play": "Jogar",
+      "replay.copyLink": "Copiar link do replay",
+      "replay.copied": "Link do replay copiado",
+      "replay.download": "Baixar replay (.json)",
+      "replay.invalid": "Replay inválido: começando uma partida normal",
+      "replay.diverged": "Este replay foi gravado com outras peças ou outra nave (fonte ou página diferente) e pode não bater",
+      "fallback.label": "Erro {code}",
+      "fallback.text": "Não foi possível abrir esta página.",
+      "fallback.reason": "O mini game foi desligado neste aparelho: {reasons}.",
+      "fallback.canvas": "o navegador não conseguiu desenhar o jogo",
+      "fallback.saveData": "economia de dados ativada",
+      "fallback.reducedData": "preferência por menos dados",
+      "fallback.battery": "bateria fraca",
+      "fallback.fps": "desempenho baixo",
+      "fallback.option": "desligado nesta página",
+      "skins.label": "Nave",
+      "skins.locked": "{name}: bloqueada, {progress} de {wins} vitórias",
+      "skins.unlocked": "Nave liberada: {names}",
+      "skin.classic": "Clássica",
+      "skin.interceptor": "Interceptadora",
+      "skin.arrow": "Flecha",
+      "suggestions.go": "Ir para {title}",
+      "suggestions.didYouMean": "Você quis dizer {link}?",
+      codes: {
+        400: { "overlay.lead": "Requisição consertada!" },
+        401: { "overlay.lead": "Credenciais aceitas!" },
+        403: { "overlay.lead": "Acesso liberado!" },
+        408: { "overlay.lead": "Tempo recuperado!" },
+        429: { "overlay.lead": "Fila liberada!" },
+        500: { "overlay.lead": "Servidor corrigido!" },
+        502: { "overlay.lead": "Gateway reconectado!" },
+        503: { "overlay.lead": "Serviço no ar de novo!" },
+        504: { "overlay.lead": "Conexão restabelecida!" },
+        offline: { "overlay.title": "Você venceu o modo offline!", "overlay.lead": "De volta à rede!" }
+      }
+    },
+
+    en: {
+      "meta.description": "Play a mini shooter to destroy the {code} error and get back home.",
+      "page.label": "{code} page with a mini game",
+      "canvas.label": "Mini game: destroy the {code} error and get back home.",
+      "overlay.title": "You destroyed the {code}!",
+      "overlay.lead": "Error eliminated.",
+      "overlay.text": "{lead} Play again or go back to {homeUrl}?",
+      "overlay.actions": "Options after winning",
+      "action.restart": "Play again",
+      "action.next": "Next level",
+      "action.home": "Back to {homeUrl}",
+      "hint.pointer": "Move the mouse/touch to steer the ship \u00a0•\u00a0 Hold to shoot",
+      "hint.keyboard": "Use ←/→ or A/D to move \u00a0•\u00a0 Hold Space to shoot",
+      "hint.gamepad": "Use the stick or d-pad to move \u00a0•\u00a0 Hold A to shoot",
+      "hint.autoAim": "Auto-aim and auto-fire on \u00a0•\u00a0 Turn it off in the ♿ panel",
+      "hint.coop": "Player 1: mouse or left half \u00a0•\u00a0 Player 2: ← → and Space or right half",
+      "hint.thumbs": "Left thumb steers \u00a0•\u00a0 Hold on the right to shoot",
+      "hint.replay": "Watching a replay \u00a0•\u00a0 Play starts your own run",
+      "noscript": "JavaScript is disabled in your browser. Go back to",
+      "hud.accuracy": "Accuracy {value}",
+      "hud.time": "Time {value}",
+      "hud.level": "Level {level}",
+      "hud.player": "P{n} {count}",
+      "powerUp.spread": "Spread shot",
+      "powerUp.laser": "Piercing laser",
+      "powerUp.rapid": "Rapid fire",
+      "powerUp.shield": "Shield",
+      "powerUp.bomb": "Bomb",
+      "results.score": "Score",
+      "results.accuracy": "Accuracy",
+      "results.time": "Time",
+      "results.maxCombo": "Best combo",
+      "results.level": "Level",
+      "coop.player": "Player {n}",
+      "results.credits": "Pieces destroyed per player",
+      "results.credit": "{player}: {percent}% ({count} pieces)",
+      "results.rank": "#{rank} on the {code} leaderboard",
+      "results.outOfTop": "Outside the top {size}",
+      "results.lost": "Losses don't count for the leaderboard",
+      "results.replay": "Replays don't count for the leaderboard",
+      "leaderboard.label": "Local leaderboard for the {code} error",
+      "leaderboard.points": "pts",
+      "gameOver.title": "Your ship was destroyed!",
+      "gameOver.text": "The {code} won this time. Try again or go back to {homeUrl}?",
+      "gameOver.restart": "Try again",
+      "context.summary": "{code} error details",
+      "context.message": "Message",
+      "context.requestId": "Request ID",
+      "context.timestamp": "Date/time",
+      "context.path": "Path",
+      "context.copy": "Copy diagnostics",
+      "context.copied": "Diagnostics copied.",
+      "context.copyFailed": "Couldn't copy. Select the details above.",
+      "context.retryIn": "Retrying in {seconds}s",
+      "context.retrying": "Retrying…",
+      "context.error": "Error",
+      "context.url": "URL",
+      "context.browser": "Browser",
+      "toast.text": "The service is back!",
+      "toast.return": "Return to the page",
+      "toast.dismiss": "Dismiss",
+      "sound.label": "Sound",
+      "sound.mute": "Mute",
+      "sound.volume": "Volume",
+      "a11y.label": "Accessibility",
+      "a11y.autoAim": "Auto-aim and auto-fire",
+      "a11y.highContrast": "High contrast",
+      "a11y.reducedMotion": "Reduced motion",
+      "a11y.progress": "{percent}% of the {code} destroyed",
+      "a11y.hit": "Ship hit! Lives left: {lives}",
+      "a11y.powerUp": "Power-up: {label}",
+      "a11y.skip": "Skip the game and go to the options",
+      "skip.title": "Where do you want to go?",
+      "skip.text": "The game is optional: go back to {homeUrl} or play a round.",
+      "skip.play": "Play",
+      "replay.label": "Replay",
+      "replay.speed": "Speed {speed}×",
+      "replay.play": "Play",
+      "replay.copyLink": "Copy replay link",
+      "replay.copied": "Replay link copied",
+      "replay.download": "Download replay (.json)",
+      "replay.invalid": "Invalid replay: starting a normal game",
+      "replay.diverged": "This replay was recorded with different pieces or another ship (another font or page) and may not match",
+      "fallback.label": "Error {code}",
+      "fallback.text": "This page couldn't be opened.",
+      "fallback.reason": "The mini game is off on this device: {reasons}.",
+      "fallback.canvas": "the browser couldn't draw the game",
+      "fallback.saveData": "data saver on",
+      "fallback.reducedData": "reduced data preference",
+      "fallback.battery": "low battery",
+      "fallback.fps": "low performance",
+      "fallback.option": "turned off on this page",
+      "skins.label": "Ship",
+      "skins.locked": "{name}: locked, {progress} of {wins} wins",
+      "skins.unlocked": "Ship unlocked: {names}",
+      "skin.classic": "Classic",
+      "skin.interceptor": "Interceptor",
+      "skin.arrow": "Arrow",
+      "suggestions.go": "Go to {title}",
+      "suggestions.didYouMean": "Did you mean {link}?",
+      codes: {
+        400: { "overlay.lead": "Request fixed!" },
+        401: { "overlay.lead": "Credentials accepted!" },
+        403: { "overlay.lead": "Access granted!" },
+        408: { "overlay.lead": "Time recovered!" },
+        429: { "overlay.lead": "Queue cleared!" },
+        500: { "overlay.lead": "Server fixed!" },
+        502: { "overlay.lead": "Gateway reconnected!" },
+        503: { "overlay.lead": "Service back online!" },
+        504: { "overlay.lead": "Connection restored!" },
+        offline: { "overlay.title": "You beat offline mode!", "overlay.lead": "Back online!" }
+      }
+    },
+
+    es: {
+      "meta.description": "Juega un mini shooter para destruir el error {code} y volver al inicio.",
+      "page.label": "Pantalla {code} con minijuego",
+      "canvas.label": "Minijuego para destruir el error {code} y volver al inicio.",
+      "overlay.title": "¡Destruiste el {code}!",
+      "overlay.lead": "Error eliminado con éxito.",
+      "overlay.text": "{lead} ¿Jugar de nuevo o volver a {homeUrl}?",
+      "overlay.actions": "Opciones después de ganar",
+      "action.restart": "Reiniciar",
+      "action.next": "Siguiente nivel",
+      "action.home": "Volver a {homeUrl}",
+      "hint.pointer": "Mueve el ratón/toca para controlar la nave \u00a0•\u00a0 Mantén pulsado para disparar",
+      "hint.keyboard": "Usa ←/→ o A/D para moverte \u00a0•\u00a0 Mantén Espacio para disparar",
+      "hint.gamepad": "Usa el joystick o la cruceta para moverte \u00a0•\u00a0 Mantén A para disparar",
+      "hint.autoAim": "Apuntado y disparo automáticos activados \u00a0•\u00a0 Desactívalo en el panel ♿",
+      "hint.coop": "Jugador 1: ratón o mitad izquierda \u00a0•\u00a0 Jugador 2: ← → y Espacio o mitad derecha",
+      "hint.thumbs": "El pulgar izquierdo mueve la nave \u00a0•\u00a0 Mantén a la derecha para disparar",
+      "hint.replay": "Viendo una repetición \u00a0•\u00a0 Jugar empieza tu partida",
+      "noscript": "Tu navegador tiene JavaScript desactivado. Vuelve a",
+      "hud.accuracy": "Precisión {value}",
+      "hud.time": "Tiempo {value}",
+      "hud.level": "Nivel {level}",
+      "hud.player": "J{n} {count}",
+      "powerUp.spread": "Disparo triple",
+      "powerUp.laser": "Láser perforante",
+      "powerUp.rapid": "Disparo rápido",
+      "powerUp.shield": "Escudo",
+      "powerUp.bomb": "Bomba",
+      "results.score": "Puntos",
+      "results.accuracy": "Precisión",
+      "results.time": "Tiempo",
+      "results.maxCombo": "Mejor combo",
+      "results.level": "Nivel",
+      "coop.player": "Jugador {n}",
+      "results.credits": "Piezas destruidas por jugador",
+      "results.credit": "{player}: {percent}% ({count} piezas)",
+      "results.rank": "Puesto #{rank} en el ranking del {code}",
+      "results.outOfTop": "Fuera del top {size}",
+      "results.lost": "Las derrotas no entran en el ranking",
+      "results.replay": "Las repeticiones no entran en el ranking",
+      "leaderboard.label": "Ranking local del error {code}",
+      "leaderboard.points": "pts",
+      "gameOver.title": "¡Tu nave fue destruida!",
+      "gameOver.text": "El {code} ganó esta vez. ¿Intentar de nuevo o volver a {homeUrl}?",
+      "gameOver.restart": "Intentar de nuevo",
+      "context.summary": "Detalles del error {code}",
+      "context.message": "Mensaje",
+      "context.requestId": "ID de la solicitud",
+      "context.timestamp": "Fecha/hora",
+      "context.path": "Ruta",
+      "context.copy": "Copiar diagnóstico",
+      "context.copied": "Diagnóstico copiado.",
+      "context.copyFailed": "No se pudo copiar. Selecciona los datos de arriba.",
+      "context.retryIn": "Nuevo intento en {seconds}s",
+      "context.retrying": "Reintentando…",
+      "context.error": "Error",
+      "context.url": "URL",
+      "context.browser": "Navegador",
+      "toast.text": "¡El servicio volvió!",
+      "toast.return": "Volver a la página",
+      "toast.dismiss": "Cerrar aviso",
+      "sound.label": "Sonido",
+      "sound.mute": "Silenciar",
+      "sound.volume": "Volumen",
+      "a11y.label": "Accesibilidad",
+      "a11y.autoAim": "Apuntado y disparo automáticos",
+      "a11y.highContrast": "Alto contraste",
+      "a11y.reducedMotion": "Movimiento reducido",
+      "a11y.progress": "{percent}% del {code} destruido",
+      "a11y.hit": "¡Nave alcanzada! Vidas restantes: {lives}",
+      "a11y.powerUp": "Power-up: {label}",
+      "a11y.skip": "Saltar el juego e ir a las opciones",
+      "skip.title": "¿Adónde quieres ir?",
+      "skip.text": "El juego es opcional: vuelve a {homeUrl} o juega una partida.",
+      "skip.play": "Jugar",
+      "replay.label": "Repetición",
+      "replay.speed": "Velocidad {speed}×",
+      "replay.play": "Jugar",
+      "replay.copyLink": "Copiar enlace de la repetición",
+      "replay.copied": "Enlace de la repetición copiado",
+      "replay.download": "Descargar repetición (.json)",
+      "replay.invalid": "Repetición no válida: empieza una partida normal",
+      "replay.diverged": "Esta repetición se grabó con otras piezas u otra nave (otra fuente o página) y puede no coincidir",
+      "fallback.label": "Error {code}",
+      "fallback.text": "No se pudo abrir esta página.",
+      "fallback.reason": "El minijuego está desactivado en este dispositivo: {reasons}.",
+      "fallback.canvas": "el navegador no pudo dibujar el juego",
+      "fallback.saveData": "ahorro de datos activado",
+      "fallback.reducedData": "preferencia por menos datos",
+      "fallback.battery": "batería baja",
+      "fallback.fps": "rendimiento bajo",
+      "fallback.option": "desactivado en esta página",
+      "skins.label": "Nave",
+      "skins.locked": "{name}: bloqueada, {progress} de {wins} victorias",
+      "skins.unlocked": "Nave desbloqueada: {names}",
+      "skin.classic": "Clásica",
+      "skin.interceptor": "Interceptora",
+      "skin.arrow": "Flecha",
+      "suggestions.go": "Ir a {title}",
+      "suggestions.didYouMean": "¿Quisiste decir {link}?",
+      codes: {
+        400: { "overlay.lead": "¡Solicitud corregida!" },
+        401: { "overlay.lead": "¡Credenciales aceptadas!" },
+        403: { "overlay.lead": "¡Acceso concedido!" },
+        408: { "overlay.lead": "¡Tiempo recuperado!" },
+        429: { "overlay.lead": "¡Cola liberada!" },
+        500: { "overlay.lead": "¡Servidor corregido!" },
+        502: { "overlay.lead": "¡Gateway reconectado!" },
+        503: { "overlay.lead": "¡Servicio en línea otra vez!" },
+        504: { "overlay.lead": "¡Conexión restablecida!" },
+        offline: { "overlay.title": "¡Venciste al modo sin conexión!", "overlay.lead": "¡De nuevo en línea!" }
+      }
+    }
+  };
+
+  /**
+   * Registra ou estende um locale (ex.: textos da marca, novo idioma).
+   * `codes` é mesclado por código, sem apagar as sobrescritas existentes.
+   */
+  function addLocale(tag, messages) {
+    const current = MESSAGES[tag] ?? { codes: {} };
+    const codes = { ...current.codes };
+
+    for (const [code, overrides] of Object.entries(messages.codes ?? {})) {
+      codes[code] = { ...codes[code], ...overrides };
+    }
+
+    MESSAGES[tag] = { ...current, ...messages, codes };
+  }
+
+  // "pt-PT" → "pt-BR", "en-US" → "en": igual primeiro, depois pelo idioma base
+  function matchLocale(candidates) {
+    const tags = Object.keys(MESSAGES);
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const lower = String(candidate).toLowerCase();
+
+      const exact = tags.find((tag) => tag.toLowerCase() === lower);
+      if (exact) return exact;
+
+      const base = lower.split("-")[0];
+      const partial = tags.find((tag) => tag.toLowerCase().split("-")[0] === base);
+      if (partial) return partial;
+    }
+
+    return null;
+  }
+
+  /**
+   * Tradutor de um locale + código. Ordem: sobrescrita do código no locale,
+   * chave do locale, sobrescrita do código no pt-BR, chave do pt-BR.
+   * @returns {(key: string, vars?: Record<string, string | number>) => string}
+   */
+  function createTranslator(locale, code) {
+    const lookup = (key) => {
+      for (const messages of [MESSAGES[locale], MESSAGES[DEFAULT_LOCALE]]) {
+        const value = messages?.codes?.[code]?.[key] ?? messages?.[key];
+        if (typeof value === "string") return value;
+      }
+      return key;
+    };
+
+    return (key, vars = {}) =>
+      lookup(key).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  }
+
+  const i18n = { DEFAULT_LOCALE, MESSAGES, addLocale, matchLocale, createTranslator };
+
+  // CommonJS (build, testes, bundlers) ou global do script clássico, lido pelo game.js
+  if (typeof module === "object" && module.exports) module.exports = i18n;
+  else globalThis.ErrorGameI18n = i18n;
+})();
@@ -0,0 +1,36 @@
+/* ==========================================================================
+   Error Pages — registro do Service Worker
+   Vai no layout da aplicação (não só nas páginas de erro): o worker precisa
+   estar instalado antes de a rede ou a origem cair.
+
+     <script src="/errors/static/js/sw-register.js" defer
+       data-sw-url="/errors/sw.js" data-scope="/"></script>
+
+   - data-sw-url: o sw.js gerado pelo build (padrão: ../../sw.js a partir deste script)
+   - data-scope: prefixo das URLs protegidas; acima da pasta do sw.js o
+     servidor precisa mandar o header "Service-Worker-Allowed"
+   ========================================================================== */
+
+(() => {
+  "use strict";
+
+  const script = document.currentScript;
+  if (!script || !("serviceWorker" in navigator)) return;
+
+  // Service Worker exige contexto seguro (https ou localhost)
+  if (!window.isSecureContext) return;
+
+  const swUrl = new URL(script.dataset.swUrl || "../../sw.js", script.src).href;
+  const scope = script.dataset.scope ? new URL(script.dataset.scope, window.location.href).href : undefined;
+
+  function register() {
+    navigator.serviceWorker.register(swUrl, scope ? { scope } : undefined).catch((err) => {
+      // Não crítico: sem worker as páginas de erro do servidor continuam valendo (o motivo só com ?debug=1)
+      if (new URLSearchParams(window.location.search).get("debug") === "1") console.warn("error-pages: service worker não registrado", err);
+    });
+  }
+
+  // Depois do load, para não disputar banda com a página
+  if (document.readyState === "complete") register();
+  else window.addEventListener("load", register, { once: true });
+})();
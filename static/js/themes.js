@@ -0,0 +1,210 @@
+/* ==========================================================================
+   Error Galaxy Shooter — temas
+   Temas em JSON (GameTheme) e a tradução deles para as variáveis CSS. Uma
+   fonte só para o runtime (game.js aplica inline, por cima do CSS) e para o
+   build (lib/theme.js gera o themes.css). Um tema parcial só troca o que
+   define; `light` é a variante para prefers-color-scheme: light.
+
+   Embutidos: 403, 404 e 500 (os temas originais; o 404 também é a paleta
+   padrão) e as skins de temporada holiday e halloween. Nas páginas vem antes
+   do game.js:
+
+     <script src="./static/js/themes.js" defer></script>
+     <script src="./static/js/game.js" defer></script>
+   ========================================================================== */
+
+(() => {
+  "use strict";
+
+  /**
+   * @typedef {object} GameTheme
+   * @property {string} [accent]          cor principal (#rgb ou #rrggbb); botões e nebulosa derivam dela
+   * @property {string} [accent2]
+   * @property {string} [nebula2]         cor da borda da nebulosa (padrão: accent2)
+   * @property {string} [bg]              fundo da página (padrão: gradient.end)
+   * @property {string} [panel]
+   * @property {string} [surface]         fundo das pílulas (hint, controles)
+   * @property {string} [text]
+   * @property {string} [muted]
+   * @property {{ bg?: string, border?: string }} [button]    em vez dos derivados do accent
+   * @property {{ inner?: string, outer?: string }} [nebula]  em vez dos derivados do accent/nebula2
+   * @property {{ start: string, mid: string, end: string }} [gradient]
+   * @property {{ min: number, max: number }} [pieceHue]  min > max faz wrap (ex.: 320 → 20)
+   * @property {number} [pieceLightness]  luminosidade das peças (0–100)
+   * @property {string} [stars]
+   * @property {{ core?: string, glow?: string, highlight?: string }} [bullet]
+   * @property {{ start?: string, mid?: string, end?: string }} [ship]  nave desenhada quando o sprite não carrega
+   * @property {{ shape?: "circle" | "square" | "spark", size?: number }} [particles]
+   * @property {Omit<GameTheme, "light">} [light]
+   */
+
+  const PARTICLE_SHAPES = ["circle", "square", "spark"];
+
+  // Tema da paleta padrão (:root e esquema claro de quem não tem variante própria)
+  const DEFAULT_THEME = "404";
+
+  // Base clara dos temas embutidos: fundo e painel claros, com o texto claro do game.css
+  const LIGHT_SURFACES = { bg: "#f8fafc", panel: "rgba(255, 255, 255, 0.88)" };
+
+  /** @type {Record<string, GameTheme>} */
+  const BUILTIN_THEMES = {
+    // Azul
+    404: {
+      accent: "#38bdf8",
+      accent2: "#6366f1",
+      nebula2: "#4f46e5",
+      bg: "#02030a",
+      panel: "rgba(2, 6, 23, 0.82)",
+      gradient: { start: "#020617", mid: "#020617", end: "#000814" },
+      pieceHue: { min: 180, max: 300 },
+      light: {
+        ...LIGHT_SURFACES,
+        accent: "#0284c7",
+        accent2: "#4f46e5",
+        button: { bg: "rgba(2, 132, 199, 0.12)", border: "rgba(2, 132, 199, 0.4)" },
+        nebula: { inner: "rgba(56, 189, 248, 0.35)", outer: "rgba(99, 102, 241, 0.0)" },
+        gradient: { start: "#f0f9ff", mid: "#f8fafc", end: "#e0e7ff" }
+      }
+    },
+
+    // Laranja/amarelo
+    403: {
+      accent: "#fbbf24",
+      accent2: "#f59e0b",
+      bg: "#0a0602",
+      panel: "rgba(23, 12, 2, 0.82)",
+      gradient: { start: "#1a0f02", mid: "#0f0802", end: "#140a00" },
+      pieceHue: { min: 10, max: 70 },
+      light: {
+        ...LIGHT_SURFACES,
+        accent: "#b45309",
+        accent2: "#d97706",
+        button: { bg: "rgba(180, 83, 9, 0.12)", border: "rgba(180, 83, 9, 0.4)" },
+        nebula: { inner: "rgba(251, 191, 36, 0.35)", outer: "rgba(245, 158, 11, 0.0)" },
+        gradient: { start: "#fffbeb", mid: "#fefce8", end: "#ffedd5" }
+      }
+    },
+
+    // Vermelho
+    500: {
+      accent: "#f87171",
+      accent2: "#dc2626",
+      bg: "#0a0202",
+      panel: "rgba(23, 2, 2, 0.82)",
+      gradient: { start: "#1a0505", mid: "#0f0202", end: "#140000" },
+      pieceHue: { min: 320, max: 20 },
+      light: {
+        ...LIGHT_SURFACES,
+        accent: "#dc2626",
+        accent2: "#b91c1c",
+        button: { bg: "rgba(220, 38, 38, 0.12)", border: "rgba(220, 38, 38, 0.4)" },
+        nebula: { inner: "rgba(248, 113, 113, 0.35)", outer: "rgba(220, 38, 38, 0.0)" },
+        gradient: { start: "#fef2f2", mid: "#fff1f2", end: "#fee2e2" }
+      }
+    },
+
+    // Temporadas: a página só agenda (seasons) ou chama setTheme("holiday")
+    holiday: {
+      accent: "#ef4444",
+      accent2: "#22c55e",
+      gradient: { start: "#052e16", mid: "#03170c", end: "#020a05" },
+      pieceHue: { min: 345, max: 15 },
+      stars: "#fef9c3",
+      bullet: { core: "#fef08a", glow: "#facc15", highlight: "#ffffff" },
+      ship: { start: "#f8fafc", mid: "#ef4444", end: "#16a34a" },
+      particles: { shape: "square", size: 0.9 },
+      light: {
+        accent: "#dc2626",
+        gradient: { start: "#f0fdf4", mid: "#fef2f2", end: "#dcfce7" },
+        stars: "#86efac",
+        bullet: { core: "#dc2626", glow: "#f87171", highlight: "#fff1f2" }
+      }
+    },
+
+    halloween: {
+      accent: "#fb923c",
+      accent2: "#a855f7",
+      gradient: { start: "#1e0b2e", mid: "#12061c", end: "#07020b" },
+      pieceHue: { min: 20, max: 40 },
+      stars: "#e9d5ff",
+      bullet: { core: "#d8b4fe", glow: "#a855f7", highlight: "#f5f3ff" },
+      ship: { start: "#fdba74", mid: "#fb923c", end: "#7e22ce" },
+      particles: { shape: "spark", size: 1.2 },
+      light: {
+        accent: "#c2410c",
+        gradient: { start: "#fff7ed", mid: "#faf5ff", end: "#ffedd5" },
+        stars: "#c4b5fd"
+      }
+    }
+  };
+
+  // "#38bdf8" → "rgba(56, 189, 248, 0.18)"; cor não-hex não deriva nada
+  function hexAlpha(color, alpha) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color))?.[1];
+    if (!hex) return null;
+
+    const full = hex.length === 3 ? [...hex].map((ch) => ch + ch).join("") : hex;
+    const n = parseInt(full, 16);
+    return `rgba(${[(n >> 16) & 255, (n >> 8) & 255, n & 255].join(", ")}, ${Number.isInteger(alpha) ? alpha.toFixed(1) : alpha})`;
+  }
+
+  /**
+   * Tema → { "--accent": "#…", … }. Só entra o que o tema define (ou deriva:
+   * botões e nebulosa do accent).
+   * @param {GameTheme} theme
+   * @returns {Record<string, string>}
+   */
+  function themeToVars(theme) {
+    const vars = {};
+    const set = (name, value) => {
+      if (value !== undefined && value !== null && value !== "") vars[name] = String(value);
+    };
+
+    const accent2 = theme.accent2 ?? theme.accent;
+    set("--bg", theme.bg ?? theme.gradient?.end);
+    set("--panel", theme.panel);
+    set("--surface", theme.surface);
+    set("--text", theme.text);
+    set("--muted", theme.muted);
+
+    set("--accent", theme.accent);
+    set("--accent2", accent2);
+    set("--btn-bg", theme.button?.bg ?? hexAlpha(theme.accent, 0.18));
+    set("--btn-border", theme.button?.border ?? hexAlpha(theme.accent, 0.35));
+    set("--nebula-color1", theme.nebula?.inner ?? hexAlpha(theme.accent, 0.9));
+    set("--nebula-color2", theme.nebula?.outer ?? hexAlpha(theme.nebula2 ?? accent2, 0));
+
+    set("--bg-gradient-start", theme.gradient?.start);
+    set("--bg-gradient-mid", theme.gradient?.mid);
+    set("--bg-gradient-end", theme.gradient?.end);
+
+    set("--piece-hue-min", theme.pieceHue?.min);
+    set("--piece-hue-max", theme.pieceHue?.max);
+    set("--piece-lightness", theme.pieceLightness);
+    set("--star-color", theme.stars);
+
+    set("--bullet-core", theme.bullet?.core);
+    set("--bullet-glow", theme.bullet?.glow);
+    set("--bullet-highlight", theme.bullet?.highlight);
+    set("--bullet-fade", hexAlpha(theme.bullet?.glow, 0));
+
+    set("--ship-gradient-start", theme.ship?.start);
+    set("--ship-gradient-mid", theme.ship?.mid);
+    set("--ship-gradient-end", theme.ship?.end);
+
+    if (PARTICLE_SHAPES.includes(theme.particles?.shape)) set("--particle-shape", theme.particles.shape);
+    set("--particle-size", theme.particles?.size);
+
+    return vars;
+  }
+
+  // Variante clara por cima do tema (prefers-color-scheme: light)
+  const themeForScheme = (theme, scheme) =>
+    scheme === "light" && theme.light ? { ...theme, ...theme.light, light: undefined } : theme;
+
+  const themes = { BUILTIN_THEMES, DEFAULT_THEME, PARTICLE_SHAPES, hexAlpha, themeToVars, themeForScheme };
+
+  // CommonJS (build, testes, bundlers) ou global do script clássico, lido pelo game.js
+  if (typeof module === "object" && module.exports) module.exports = themes;
+  else globalThis.ErrorGameThemes = themes;
+})();
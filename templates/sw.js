@@ -0,0 +1,123 @@
+/* ==========================================================================
+   Error Pages — Service Worker (gerado por error-pages build)
+   - Pré-cacheia as páginas de erro e os assets do jogo (css, js, img, som)
+   - Navegações no escopo: rede primeiro; falha de rede vira a página
+     "offline" e resposta 5xx vira a página temática do mesmo código
+   - Cache versionado pelo conteúdo: build novo → sw.js novo → cache novo,
+     e o antigo é apagado no activate
+   ========================================================================== */
+
+"use strict";
+
+/**
+ * @type {{ version: string, scope: string, offlineStatus: number,
+ *   pages: Record<string, string>, assets: string[] }}
+ */
+const MANIFEST = __MANIFEST__;
+
+const CACHE_PREFIX = "error-pages-";
+const CACHE_NAME = `${CACHE_PREFIX}${MANIFEST.version}`;
+
+// URLs do manifest são relativas ao sw.js
+const toUrl = (path) => new URL(path, self.location.href).href;
+const PAGES_BASE = toUrl("./");
+const ASSET_URLS = new Set(MANIFEST.assets.map(toUrl));
+const SCOPE = new URL(MANIFEST.scope || "./", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  const urls = [...Object.values(MANIFEST.pages), ...MANIFEST.assets].map(toUrl);
+
+  // cache: "reload" evita guardar uma cópia velha do cache HTTP
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(urls.map((url) => new Request(url, { cache: "reload" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    if (request.url.startsWith(SCOPE)) event.respondWith(navigate(request));
+    return;
+  }
+
+  // Assets pré-cacheados (as páginas de erro precisam deles justamente sem rede)
+  if (ASSET_URLS.has(request.url)) {
+    event.respondWith(caches.match(request, { cacheName: CACHE_NAME }).then((cached) => cached ?? fetch(request)));
+  }
+});
+
+async function navigate(request) {
+  let response;
+
+  try {
+    response = await fetch(request);
+  } catch (_) {
+    return (await errorPage("offline", MANIFEST.offlineStatus, request)) ?? Response.error();
+  }
+
+  if (response.status < 500) return response;
+  return (await errorPage(String(response.status), response.status, request, response)) ?? response;
+}
+
+/**
+ * Página temática do código (ou a 500 como genérica para outros 5xx).
+ * O status da resposta é o que o servidor devolveu, ou offlineStatus sem rede.
+ */
+async function errorPage(code, status, request, original) {
+  const path = MANIFEST.pages[code] ?? (status >= 500 && code !== "offline" ? MANIFEST.pages["500"] : undefined);
+  if (!path) return null;
+
+  const cached = await caches.match(toUrl(path), { cacheName: CACHE_NAME });
+  if (!cached) return null;
+
+  const html = injectContext(await cached.text(), request, original);
+
+  return new Response(html, {
+    status,
+    statusText: original?.statusText ?? "",
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Error-Pages": "service-worker"
+    }
+  });
+}
+
+/**
+ * A página é servida na URL que falhou (/pedidos/42): <base> aponta os assets
+ * relativos (./static/…) para onde foram pré-cacheados. O contexto da
+ * requisição alimenta o painel de diagnóstico e o Retry-After do jogo.
+ */
+function injectContext(html, request, original) {
+  const url = new URL(request.url);
+  const context = {
+    path: url.pathname + url.search,
+    timestamp: new Date().toISOString()
+  };
+
+  const requestId = original?.headers.get("X-Request-Id");
+  const retryAfter = original?.headers.get("Retry-After");
+  if (requestId) context.requestId = requestId;
+  if (retryAfter) context.retryAfter = retryAfter;
+
+  // "<" escapado: o JSON não pode fechar o <script>
+  const json = JSON.stringify(context).replace(/</g, "\\u003c");
+
+  return html
+    .replace(/<head>/i, `<head>\n  <base href="${PAGES_BASE}" />`)
+    .replace(/<\/body>/i, `  <script type="application/json" id="error-context">${json}</script>\n</body>`);
+}
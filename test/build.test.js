@@ -0,0 +1,106 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+
+const { build } = require("../lib/build");
+const { PRESETS } = require("../lib/presets");
+
+const ROOT = path.join(__dirname, "..");
+const CLI = path.join(ROOT, "bin", "error-pages.js");
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "error-pages-"));
+
+// CLI num processo à parte; status e saídas para conferir
+function runCli(args, cwd = ROOT) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: "utf8", timeout: 30000 });
+  return { status, stdout, stderr };
+}
+
+describe("build()", () => {
+  let outDir;
+
+  before(() => {
+    outDir = tmpDir();
+    build({ serviceWorker: false }, { outDir, codes: ["403", "404", "500"] });
+  });
+
+  after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  test("as páginas da raiz e o themes.css versionado são a saída do build padrão", () => {
+    for (const file of ["403.html", "404.html", "500.html"]) {
+      assert.equal(fs.readFileSync(path.join(ROOT, file), "utf8"), fs.readFileSync(path.join(outDir, file), "utf8"), file);
+    }
+    assert.equal(
+      fs.readFileSync(path.join(ROOT, "static", "css", "themes.css"), "utf8"),
+      fs.readFileSync(path.join(outDir, "static", "css", "themes.css"), "utf8")
+    );
+  });
+
+  test("página com código, textos do catálogo e theme-color do tema", () => {
+    const html = fs.readFileSync(path.join(outDir, "403.html"), "utf8");
+
+    assert.match(html, /^<!doctype html>/);
+    assert.match(html, /data-error="403"/);
+    assert.match(html, /<meta name="theme-color" content="#0a0602" \/>/);
+    assert.match(html, /data-home-url="\/home"/);
+    assert.ok(fs.existsSync(path.join(outDir, "static", "js", "game.js")));
+    assert.equal(fs.existsSync(path.join(outDir, "sw.js")), false);
+  });
+
+  test("config inválida não gera nada", () => {
+    const dir = tmpDir();
+    try {
+      assert.throws(
+        () => build({ presets: false, errors: { 418: { theme: { accent: "azul" } } } }, { outDir: path.join(dir, "out") }),
+        /erro 418: title é obrigatório\ntema do 418: accent precisa ser hex/
+      );
+      assert.throws(() => build({}, { outDir: path.join(dir, "out"), codes: ["999"] }), /códigos sem preset\/config: 999/);
+      assert.equal(fs.existsSync(path.join(dir, "out")), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("CLI", () => {
+  test("presets lista os códigos com título", () => {
+    const { status, stdout } = runCli(["presets"]);
+
+    assert.equal(status, 0);
+    assert.deepEqual(stdout.trim().split("\n"), Object.entries(PRESETS).map(([code, preset]) => `${code}  ${preset.title}`));
+  });
+
+  test("build --out --codes gera só os códigos pedidos", () => {
+    const dir = tmpDir();
+    try {
+      const { status, stdout } = runCli(["build", "--out", "dist", "--codes", "404, 503"], dir);
+
+      assert.equal(status, 0);
+      assert.equal(stdout, "2 páginas geradas em dist: 404, 503\n");
+      assert.deepEqual(fs.readdirSync(path.join(dir, "dist")).sort(), ["404.html", "503.html", "static", "sw.js"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("--help, sem comando, comando desconhecido e erro do build", () => {
+    const help = runCli(["--help"]);
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Uso: error-pages <comando>/);
+
+    assert.equal(runCli([]).status, 1);
+
+    const unknown = runCli(["deploy"]);
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /^comando desconhecido: deploy\n/);
+
+    const failed = runCli(["build", "--config", "nao-existe.json"]);
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /^error-pages: não foi possível ler nao-existe\.json/);
+  });
+});
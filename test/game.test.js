@@ -0,0 +1,359 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+
+const { installGlobals, createHeadlessGame, countListeners } = require("../tools/headless");
+
+const browser = installGlobals();
+const { CONFIG, SpatialGrid, createRng, stepShip, stepBullets, collideBullets, stepParticles, isCleared } = require("../static/js/game.js");
+
+// Jogo pronto para step(), sem RAF nem listeners (o start() fica para os testes do loop)
+function createGame(options) {
+  const game = createHeadlessGame(options);
+  game.setupCanvas();
+  game.createStars();
+  game.createPlayers();
+  game.create404Pieces();
+  return game;
+}
+
+// Bala parada em cima da peça: acerta no próximo passo
+function shootAt(game, piece, extra = {}) {
+  game.bullets.push({ x: piece.x, y: piece.y, vx: 0, vy: 0, r: CONFIG.bulletRadius, owner: 0, ...extra });
+}
+
+const snapshot = (game) => ({
+  pieces: game.pieces.map(({ x, y, r, hp }) => [x, y, r, hp]),
+  bullets: game.bullets.map(({ x, y }) => [x, y]),
+  score: game.score,
+  shots: game.shots,
+  hits: game.hits
+});
+
+describe("simulação pura", () => {
+  test("createRng repete a sequência para a mesma semente", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const values = Array.from({ length: 5 }, () => a());
+
+    assert.deepEqual(values, Array.from({ length: 5 }, () => b()));
+    assert.ok(values.every((v) => v >= 0 && v < 1));
+    assert.notDeepEqual(values, Array.from({ length: 5 }, createRng(43)));
+  });
+
+  test("stepShip segue o alvo sem sair da tela", () => {
+    const ship = { x: 100, targetX: 200, w: 50 };
+    stepShip(ship, 800);
+    assert.equal(ship.x, 100 + 100 * CONFIG.playerLerp);
+
+    ship.targetX = -500;
+    for (let i = 0; i < 100; i++) stepShip(ship, 800);
+    assert.equal(ship.x, 25);
+  });
+
+  test("stepBullets só conta como erro a bala que sai sem ter acertado", () => {
+    const bullets = [
+      { x: 10, y: 5, vx: 0, vy: -600, r: 4 },
+      { x: 20, y: 5, vx: 0, vy: -600, r: 4, hasHit: true },
+      { x: 30, y: 500, vx: 0, vy: -600, r: 4 }
+    ];
+
+    assert.equal(stepBullets(bullets, 0.1, 800), 1);
+    assert.equal(bullets.length, 1);
+    assert.equal(bullets[0].y, 440);
+  });
+
+  test("collideBullets: bala comum some, laser atravessa", () => {
+    const pieces = [
+      { x: 100, y: 100, r: 4 },
+      { x: 200, y: 100, r: 4 }
+    ];
+    const grid = new SpatialGrid(CONFIG.piece.gridCellSize);
+    grid.rebuild(pieces);
+
+    const bullets = [
+      { x: 100, y: 100, r: 4 },
+      { x: 200, y: 100, r: 4, pierce: 2 },
+      { x: 400, y: 400, r: 4 }
+    ];
+    const hits = [];
+    collideBullets(bullets, grid, { x: 0, y: 0 }, (b, p, firstHit) => hits.push([p.x, firstHit]));
+
+    assert.deepEqual(hits.sort(), [[100, true], [200, true]]);
+    assert.equal(bullets.length, 2);
+    assert.equal(bullets.find((b) => b.x === 200).pierce, 1);
+  });
+
+  test("collideBullets: laser passa pela blindada sem gastar tudo nela", () => {
+    const armored = { x: 100, y: 100, r: 4, hp: 3 };
+    const behind = { x: 100, y: 80, r: 4, hp: 1 };
+    const grid = new SpatialGrid(CONFIG.piece.gridCellSize);
+    grid.rebuild([behind, armored]);
+
+    const laser = { x: 100, y: 108, vx: 0, vy: -600, r: 4, pierce: 2 };
+    const bullets = [laser];
+    const hits = [];
+    for (let step = 0; step < 6 && bullets.length > 0; step++) {
+      collideBullets(bullets, grid, { x: 0, y: 0 }, (b, p) => {
+        hits.push(p === armored ? "armored" : "behind");
+        p.hp--;
+      });
+      stepBullets(bullets, 1 / 120, 800);
+    }
+
+    assert.deepEqual(hits, ["armored", "behind"]);
+    assert.equal(armored.hp, 2);
+    assert.equal(laser.pierce, 0);
+    assert.equal(bullets.length, 1);
+  });
+
+  test("stepParticles envelhece, apaga e respeita as partículas paradas", () => {
+    const particles = [
+      { x: 0, y: 0, vx: 10, vy: 0, life: 1, age: 0, alpha: 1 },
+      { x: 0, y: 0, vx: 10, vy: 0, life: 1, age: 0, alpha: 1, still: true },
+      { x: 0, y: 0, vx: 0, vy: 0, life: 0.1, age: 0.05, alpha: 1 }
+    ];
+    stepParticles(particles, 0.5, 100);
+
+    assert.equal(particles.length, 2);
+    assert.equal(particles[0].x, 5);
+    assert.equal(particles[0].vy, 50);
+    assert.equal(particles[1].x, 0);
+    assert.equal(particles[1].alpha, 0.5);
+  });
+
+  test("isCleared exige o glyph carregado", () => {
+    assert.equal(isCleared(null, []), false);
+    assert.equal(isCleared({ kind: "text" }, []), true);
+    assert.equal(isCleared({ kind: "text" }, [{}]), false);
+  });
+});
+
+describe("Game", () => {
+  test("quantidade de peças depende do glyph, não da semente", () => {
+    const a = createGame({ seed: 1 });
+    const b = createGame({ seed: 1 });
+    const c = createGame({ seed: 2 });
+
+    assert.ok(a.pieces.length > 100);
+    assert.equal(a.initialPieceCount, a.pieces.length);
+    assert.deepEqual(snapshot(a).pieces, snapshot(b).pieces);
+    assert.equal(c.pieces.length, a.pieces.length);
+    assert.notDeepEqual(snapshot(c).pieces, snapshot(a).pieces);
+
+    // Passo maior na amostragem (data-glyph-step), menos peças
+    const sparse = createGame({ seed: 1, dataset: { glyphStep: "18" } }).pieces.length;
+    assert.ok(sparse > 0 && sparse < a.pieces.length);
+  });
+
+  test("mesma semente e mesma entrada dão o mesmo jogo", () => {
+    const play = () => {
+      const game = createGame({ seed: 7, difficulty: "hard" });
+      for (let frame = 0; frame < 240; frame++) {
+        game.player.targetX = 400 + Math.sin(frame / 20) * 300;
+        game.player.firing = frame % 60 < 40;
+        game.update(CONFIG.stepMs);
+      }
+      clearTimeout(game.overlayTimer);
+      return { ...snapshot(game), enemyBullets: game.enemyBullets.length, particles: game.particles.length };
+    };
+
+    const first = play();
+    assert.ok(first.hits > 0);
+    assert.deepEqual(play(), first);
+  });
+
+  test("acerto destrói a peça, pontua e solta partículas", () => {
+    const game = createGame({ seed: 3 });
+    const target = game.pieces[0];
+    target.hp = 1;
+    shootAt(game, target);
+
+    game.step(CONFIG.stepMs);
+
+    assert.ok(!game.pieces.includes(target));
+    assert.equal(game.pieces.length, game.initialPieceCount - 1);
+    assert.equal(game.hits, 1);
+    assert.equal(game.score, CONFIG.score.pointsPerPiece);
+    assert.equal(game.player.destroyed, 1);
+    assert.equal(game.bullets.length, 0);
+    assert.ok(game.particles.length > 0);
+  });
+
+  test("peça blindada perde um anel por acerto", () => {
+    const game = createGame({ seed: 3 });
+    const target = game.pieces[0];
+    target.hp = target.maxHp = 3;
+    shootAt(game, target);
+
+    game.step(CONFIG.stepMs);
+
+    assert.ok(game.pieces.includes(target));
+    assert.equal(target.hp, 2);
+    assert.equal(game.hits, 1);
+  });
+
+  test("tiro que sai da tela conta como erro e zera o combo", () => {
+    const game = createGame({ seed: 3 });
+    game.score = 50;
+    game.combo = 4;
+    game.bullets.push({ x: 10, y: 1, vx: 0, vy: -1000, r: 4, owner: 0 });
+
+    game.step(CONFIG.stepMs);
+
+    assert.equal(game.bullets.length, 0);
+    assert.equal(game.score, 50 - CONFIG.score.missPenalty);
+    assert.equal(game.combo, 0);
+  });
+
+  test("última peça destruída encerra a partida com vitória", () => {
+    const game = createGame({ seed: 5 });
+    const last = game.pieces[0];
+    last.hp = 1;
+    game.pieces = [last];
+    game.piecesChanged = true;
+    shootAt(game, last);
+
+    game.step(CONFIG.stepMs);
+
+    assert.equal(game.isGameOver, true);
+    assert.equal(game.result.won, true);
+    assert.equal(game.wins, 1);
+    assert.notEqual(game.overlayTimer, 0);
+
+    // Depois da vitória a nave não atira mais
+    const shots = game.shots;
+    game.player.trigger = true;
+    game.step(CONFIG.shootIntervalMs);
+    assert.equal(game.shots, shots);
+
+    game.stop();
+    assert.equal(game.overlayTimer, 0);
+  });
+
+  test("reset devolve um jogo limpo", () => {
+    const game = createGame({ seed: 9, difficulty: "hard" });
+    const initial = game.initialPieceCount;
+
+    game.player.firing = true;
+    for (let i = 0; i < 120; i++) game.update(CONFIG.stepMs);
+    game.items.push({ def: {}, x: 0, y: 0, vy: 0, r: 1 });
+    assert.ok(game.score > 0 && game.particles.length > 0);
+
+    game.reset();
+
+    assert.equal(game.pieces.length, initial);
+    assert.ok(game.pieces.every((p) => !p.destroyed && p.hp === p.maxHp));
+    for (const key of ["bullets", "particles", "enemyBullets", "debris", "items", "fallen"]) {
+      assert.deepEqual(game[key], [], key);
+    }
+    assert.equal(game.powerUps.size, 0);
+    assert.equal(game.score, 0);
+    assert.equal(game.shots, 0);
+    assert.equal(game.combo, 0);
+    assert.equal(game.lives, CONFIG.hard.lives);
+    assert.equal(game.globalTime, 0);
+    assert.equal(game.isGameOver, false);
+    assert.equal(game.result, null);
+    assert.equal(game.player.firing, false);
+    assert.equal(game.overlayTimer, 0);
+  });
+
+  test("A do controle segurado depois do reset não atira até soltar", () => {
+    const game = createGame({ seed: 9 });
+    const buttons = [{ pressed: true }];
+    navigator.getGamepads = () => [{ connected: true, axes: [0], buttons }];
+    try {
+      game.input.update(0);
+      assert.equal(game.input.isFiring(game.player), true);
+
+      // Reinício com o A (overlay) e o botão ainda embaixo
+      game.reset();
+      game.input.update(0);
+      assert.equal(game.input.isFiring(game.player), false);
+
+      buttons[0].pressed = false;
+      game.input.update(0);
+      buttons[0].pressed = true;
+      game.input.update(0);
+      assert.equal(game.input.isFiring(game.player), true);
+    } finally {
+      delete navigator.getGamepads;
+    }
+  });
+
+  test("reset com options.seed repete as peças; sem semente sorteia outra", () => {
+    const fixed = createGame({ seed: 11 });
+    const before = snapshot(fixed).pieces;
+    fixed.reset();
+    assert.deepEqual(snapshot(fixed).pieces, before);
+
+    const random = createGame();
+    const seed = random.seed;
+    random.reset();
+    assert.notEqual(random.seed, seed);
+  });
+});
+
+describe("loop e ciclo de vida", () => {
+  let game;
+
+  before(() => {
+    game = createHeadlessGame({ seed: 1 });
+    game.start();
+  });
+
+  after(() => game.stop());
+
+  test("a simulação avança em passos fixos, seja qual for o frame", () => {
+    browser.tick(10);
+    assert.equal(game.globalTime, 0);
+
+    browser.tick(10);
+    assert.equal(game.globalTime, CONFIG.stepMs);
+
+    // Travou: o frame longo vira no máximo maxDeltaMs de simulação
+    browser.tick(500);
+    assert.equal(game.globalTime, 3 * CONFIG.stepMs);
+  });
+
+  test("stop() solta todos os listeners e o RAF", () => {
+    assert.ok(countListeners(window) > 0);
+    assert.ok(countListeners(document) > 0);
+    assert.ok(countListeners(game.canvas) > 0);
+    assert.equal(browser.frames.size, 1);
+
+    game.stop();
+
+    assert.equal(countListeners(window), 0);
+    assert.equal(countListeners(document), 0);
+    assert.equal(countListeners(game.canvas), 0);
+    assert.equal(browser.frames.size, 0);
+    assert.equal(game.isRunning, false);
+  });
+});
+
+describe("módulos", () => {
+  test("em CommonJS (bundler) o window.ErrorGame também é registrado, com o i18n.js", () => {
+    const runtime = require("../static/js/game.js");
+    assert.equal(window.ErrorGame.mount, runtime.mount);
+    assert.equal(runtime.createTranslator, require("../static/js/i18n.js").createTranslator);
+  });
+
+  test("game.mjs com o game.js em CommonJS (como num bundler) exporta a API", async () => {
+    // Em Node o .js do pacote é CommonJS: o game.mjs importa o game.js com `module` definido
+    const esm = await import("../static/js/game.mjs");
+    assert.equal(typeof esm.mount, "function");
+    assert.equal(esm.createTranslator, require("../static/js/i18n.js").createTranslator);
+    assert.ok(esm.default.locales.includes("en"));
+  });
+
+  test("o build lê textos e temas sem carregar o jogo", () => {
+    const script = 'require("./lib/build"); console.log(Object.keys(require.cache).some((file) => file.endsWith("game.js")))';
+    const loaded = execFileSync(process.execPath, ["-e", script], { cwd: path.join(__dirname, ".."), encoding: "utf8" });
+    assert.equal(loaded.trim(), "false");
+  });
+});
@@ -0,0 +1,127 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { afterEach, describe, test } = require("node:test");
+const { performance } = require("node:perf_hooks");
+
+const { installGlobals, countListeners } = require("../tools/headless");
+const { createStubServer } = require("../tools/stub-server");
+
+installGlobals();
+// O fetch do Node precisa do performance de verdade; o poller não usa o relógio falso
+Object.defineProperty(globalThis, "performance", { value: performance, configurable: true });
+const { RecoveryPoller } = require("../static/js/game.js");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stub numa porta livre; base é a origem para montar as URLs
+async function startStub(options) {
+  const server = createStubServer(options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Poller contra o stub, com os atrasos agendados e as consultas registrados
+function createPoller(stub, options) {
+  const delays = [];
+  const requests = [];
+  const poller = new RecoveryPoller({
+    url: `${stub.base}/health`,
+    fetch: (url, init) => {
+      requests.push(init.method);
+      return fetch(url, init);
+    },
+    onRecover() {},
+    ...options
+  });
+  const schedule = poller.schedule.bind(poller);
+  poller.schedule = (delayMs) => {
+    delays.push(delayMs);
+    schedule(delayMs);
+  };
+  return { poller, delays, requests };
+}
+
+async function until(predicate, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error("timeout esperando a condição");
+    await wait(5);
+  }
+}
+
+describe("RecoveryPoller (stub server)", () => {
+  let stub;
+
+  afterEach(async () => {
+    await stub?.close();
+    stub = null;
+  });
+
+  test("503 dobra o intervalo até o teto", async () => {
+    stub = await startStub({ recoverAfterMs: 60000 });
+    const { poller, delays, requests } = createPoller(stub, { intervalMs: 5, maxIntervalMs: 20 });
+
+    poller.start();
+    await until(() => delays.length >= 5);
+    poller.stop();
+
+    assert.deepEqual(delays.slice(0, 5), [5, 10, 20, 20, 20]);
+    assert.equal(poller.attempts, 4);
+    assert.ok(requests.every((method) => method === "HEAD"));
+  });
+
+  test("2xx chama onRecover uma vez e para de consultar", async () => {
+    stub = await startStub({ recoverAfterMs: 60000 });
+    let recovered = 0;
+    const { poller, requests } = createPoller(stub, { intervalMs: 5, maxIntervalMs: 5, onRecover: () => recovered++ });
+
+    poller.start();
+    await until(() => poller.attempts >= 2);
+    // /health/toggle: o serviço volta na hora
+    await fetch(`${stub.base}/health/toggle`);
+    await until(() => recovered > 0);
+    const count = requests.length;
+    await wait(30);
+
+    assert.equal(recovered, 1);
+    assert.equal(requests.length, count);
+    assert.equal(poller.isActive, false);
+    assert.equal(poller.timerId, 0);
+  });
+
+  test("stop() (destroy) no meio da consulta não reagenda nem recupera", async () => {
+    stub = await startStub({ recoverAfterMs: 0 });
+    let recovered = 0;
+    const { poller, requests } = createPoller(stub, { intervalMs: 5, onRecover: () => recovered++ });
+    const listeners = countListeners(document);
+
+    poller.start();
+    assert.equal(countListeners(document), listeners + 1);
+    await until(() => poller.isChecking);
+    poller.stop();
+    await until(() => !poller.isChecking);
+    await wait(30);
+
+    assert.equal(requests.length, 1);
+    assert.equal(recovered, 0);
+    assert.equal(poller.timerId, 0);
+    assert.equal(countListeners(document), listeners);
+  });
+});
+
+describe("stub server", () => {
+  test("escape malformado é 400 e caminho fora do repositório é 403, sem derrubar o servidor", async () => {
+    const stub = await startStub();
+    try {
+      assert.equal((await fetch(`${stub.base}/%E0%A4%A`)).status, 400);
+      assert.equal((await fetch(`${stub.base}/..%2F..%2Fetc%2Fpasswd`)).status, 403);
+      assert.equal((await fetch(`${stub.base}/404.html`)).status, 200);
+    } finally {
+      await stub.close();
+    }
+  });
+});
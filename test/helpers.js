@@ -0,0 +1,46 @@
+"use strict";
+
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+
+const { build } = require("../lib/build");
+
+/** Build real (sem service worker) num diretório temporário. */
+function buildFixture(codes = ["404", "500", "503"]) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "error-pages-"));
+  build({ homeUrl: "/", lang: "en", serviceWorker: false }, { outDir, codes });
+  return { outDir, cleanup: () => fs.rmSync(outDir, { recursive: true, force: true }) };
+}
+
+/**
+ * Servidor http em porta livre; fetch(path) devolve a Response.
+ * @param {http.RequestListener} listener
+ */
+async function startServer(listener) {
+  const server = http.createServer(listener);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const { port } = server.address();
+  return {
+    fetch: (urlPath, init) => fetch(`http://127.0.0.1:${port}${urlPath}`, init),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Scripts do runtime, na ordem das páginas (sem <script src>: não há currentScript nem auto-boot)
+const RUNTIME_SCRIPTS = ["i18n.js", "themes.js", "game.js"].map((file) => path.join(__dirname, "..", "static", "js", file));
+
+/** Avalia o runtime numa janela do jsdom, como as páginas carregam. */
+function evalRuntime(window) {
+  for (const file of RUNTIME_SCRIPTS) window.eval(fs.readFileSync(file, "utf8"));
+}
+
+// Contexto injetado pelo handler (<script id="error-context">)
+function readContext(html) {
+  const match = /<script type="application\/json" id="error-context">(.*?)<\/script>/.exec(html);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+module.exports = { buildFixture, startServer, readContext, evalRuntime };
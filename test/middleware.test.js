@@ -0,0 +1,208 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { after, before, describe, test } = require("node:test");
+
+const { expressErrorHandler, koaErrorHandler, createErrorPages } = require("../lib/middleware");
+const { buildFixture, startServer, readContext } = require("./helpers");
+
+let fixture;
+
+before(() => {
+  fixture = buildFixture();
+});
+
+after(() => fixture.cleanup());
+
+// Erro no formato do http-errors (status, expose, headers)
+function httpError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, expose: status < 500, ...extra });
+}
+
+describe("expressErrorHandler", () => {
+  let server;
+  let nextError;
+
+  before(async () => {
+    const handler = expressErrorHandler({ dir: fixture.outDir, publicPath: "/static-errors/" });
+    const routes = {
+      "/missing": () => httpError(404, "Pedido não encontrado"),
+      "/boom": () => new Error("db password=secret"),
+      "/teapot": () => httpError(418, "short and stout"),
+      "/maintenance": () => httpError(503, "manutenção", { headers: { "Retry-After": "120" } }),
+      "/weird": () => ({ status: 302 }),
+      "/streaming": () => new Error("depois dos headers")
+    };
+
+    server = await startServer((req, res) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      req.originalUrl = req.url;
+      if (pathname === "/streaming") res.write("parcial");
+
+      handler(routes[pathname]?.() ?? httpError(404), req, res, (err) => {
+        nextError = err;
+        res.end();
+      });
+    });
+  });
+
+  after(() => server.close());
+
+  test("renderiza a página do status com status e headers sem cache", async () => {
+    const res = await server.fetch("/missing?x=1", { headers: { "X-Request-Id": "req-42" } });
+    const html = await res.text();
+
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get("content-type"), "text/html; charset=utf-8");
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assert.match(html, /<body data-error="404"/);
+    assert.match(html, /<base href="\/static-errors\/" \/>/);
+
+    const context = readContext(html);
+    assert.equal(context.path, "/missing?x=1");
+    assert.equal(context.requestId, "req-42");
+    assert.equal(context.message, "Pedido não encontrado");
+    assert.ok(!Number.isNaN(Date.parse(context.timestamp)));
+    assert.equal(context.saveData, undefined);
+  });
+
+  test("Save-Data: on vai para o contexto (renderer leve)", async () => {
+    const res = await server.fetch("/missing", { headers: { "Save-Data": "on" } });
+
+    assert.equal(readContext(await res.text()).saveData, true);
+  });
+
+  test("erro sem status vira 500 e não expõe a mensagem", async () => {
+    const res = await server.fetch("/boom");
+    const html = await res.text();
+
+    assert.equal(res.status, 500);
+    assert.match(html, /<body data-error="500"/);
+    assert.equal(readContext(html).message, undefined);
+    assert.doesNotMatch(html, /secret/);
+  });
+
+  test("código sem página usa a 500, mantendo o status", async () => {
+    const res = await server.fetch("/teapot");
+
+    assert.equal(res.status, 418);
+    assert.match(await res.text(), /<body data-error="500"/);
+  });
+
+  test("status fora de 4xx/5xx vira 500", async () => {
+    const res = await server.fetch("/weird");
+
+    assert.equal(res.status, 500);
+    await res.text();
+  });
+
+  test("repassa o Retry-After do erro no header e no contexto", async () => {
+    const res = await server.fetch("/maintenance");
+    const html = await res.text();
+
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get("retry-after"), "120");
+    assert.match(html, /<body data-error="503"/);
+    assert.equal(readContext(html).retryAfter, "120");
+  });
+
+  test("escapa o path para não fechar o <script>", async () => {
+    const res = await server.fetch("/%3C/script%3E%3Cscript%3Ealert(1)");
+    const html = await res.text();
+
+    assert.equal(res.status, 404);
+    assert.equal((html.match(/<\/script>/g) ?? []).length, (html.match(/<script/g) ?? []).length);
+    assert.equal(readContext(html).path, "/%3C/script%3E%3Cscript%3Ealert(1)");
+  });
+
+  test("com a resposta já iniciada, delega para o next", async () => {
+    nextError = null;
+    const res = await server.fetch("/streaming");
+
+    assert.equal(await res.text(), "parcial");
+    assert.equal(nextError.message, "depois dos headers");
+  });
+});
+
+describe("koaErrorHandler", () => {
+  let server;
+  const emitted = [];
+
+  // ctx mínimo no formato do Koa (status/body/set) sobre o http do Node
+  function createContext(req, res) {
+    const headers = {};
+    return {
+      req,
+      res,
+      url: req.url,
+      originalUrl: req.url,
+      state: {},
+      status: 404,
+      body: undefined,
+      app: { emit: (type, err) => emitted.push([type, err.message]) },
+      set(fields) {
+        Object.assign(headers, fields);
+      },
+      send() {
+        res.writeHead(this.status, headers);
+        res.end(this.body);
+      }
+    };
+  }
+
+  before(async () => {
+    const middleware = koaErrorHandler({ dir: fixture.outDir });
+
+    server = await startServer(async (req, res) => {
+      const ctx = createContext(req, res);
+
+      await middleware(ctx, async () => {
+        if (req.url === "/ok") {
+          ctx.status = 200;
+          ctx.body = "ok";
+        } else if (req.url === "/fail") {
+          throw httpError(503, "fora do ar");
+        }
+        // outras rotas: sem resposta → 404 implícito
+      });
+
+      ctx.send();
+    });
+  });
+
+  after(() => server.close());
+
+  test("não interfere em respostas normais", async () => {
+    const res = await server.fetch("/ok");
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "ok");
+  });
+
+  test("rota sem resposta vira a página 404", async () => {
+    const res = await server.fetch("/nada", { headers: { "X-Request-Id": "koa-1" } });
+    const html = await res.text();
+
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assert.match(html, /<body data-error="404"/);
+    assert.equal(readContext(html).requestId, "koa-1");
+  });
+
+  test("erro lançado vira a página do status e é emitido para o log do app", async () => {
+    const res = await server.fetch("/fail");
+
+    assert.equal(res.status, 503);
+    assert.match(await res.text(), /<body data-error="503"/);
+    assert.deepEqual(emitted.at(-1), ["error", "fora do ar"]);
+  });
+});
+
+describe("createErrorPages", () => {
+  test("exige o diretório do build", () => {
+    assert.throws(() => createErrorPages({}), /dir/);
+  });
+
+  test("lista os códigos com página", () => {
+    assert.deepEqual(createErrorPages({ dir: fixture.outDir }).codes.sort(), ["404", "500", "503"]);
+  });
+});
@@ -0,0 +1,251 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+const { JSDOM } = require("jsdom");
+
+const { createFakeContext } = require("../tools/headless");
+const { evalRuntime } = require("./helpers");
+
+const ROOT = path.join(__dirname, "..");
+const STEP_MS = 1000 / 60;
+
+/**
+ * Página estática real (404.html) no jsdom, com canvas falso e RAF/relógio
+ * manuais: tick() roda um frame do jogo.
+ */
+function loadPage({ url = "http://localhost/404.html" } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, "404.html"), "utf8");
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+
+  let clock = 0;
+  const frames = new Map();
+  let nextFrameId = 0;
+
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    return (this.fakeContext ??= createFakeContext());
+  };
+  window.performance.now = () => clock;
+  window.requestAnimationFrame = (callback) => {
+    frames.set(++nextFrameId, callback);
+    return nextFrameId;
+  };
+  window.cancelAnimationFrame = (id) => frames.delete(id);
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+
+  // Script avaliado sem <script src>: não há currentScript, então o auto-boot não roda
+  evalRuntime(window);
+
+  const page = window.document.querySelector(".page");
+  page.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+
+  return {
+    window,
+    document: window.document,
+    page,
+    tick() {
+      clock += STEP_MS;
+      const pending = [...frames.values()];
+      frames.clear();
+      for (const callback of pending) callback(clock);
+    }
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Frames em lotes até o overlay abrir (depois de victoryDelayMs, num timer de verdade)
+async function playUntilOverlay(env, overlay) {
+  for (let batch = 0; batch < 300 && !overlay.classList.contains("is-visible"); batch++) {
+    for (let frame = 0; frame < 60; frame++) env.tick();
+    await wait(5);
+  }
+}
+
+// Auto-mira destrói as peças sozinha; passo de amostragem alto = poucas peças
+const AUTOPLAY = { locale: "en", seed: 404, accessibility: { autoAim: true }, glyph: { step: 18 }, analytics: false };
+
+function pressKey(target, key, init = {}) {
+  const { KeyboardEvent } = target.ownerDocument.defaultView;
+  const event = new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+}
+
+describe("overlay (jsdom)", () => {
+  let env;
+  let handle;
+  let overlay;
+  const wins = [];
+  const exits = [];
+
+  before(() => {
+    env = loadPage();
+    overlay = env.document.querySelector(".overlay");
+    // Ranking adulterado no storage: o score não pode virar HTML
+    env.window.localStorage.setItem(
+      "error-pages:leaderboard:404",
+      JSON.stringify([{ score: '<img class="injected">', accuracy: 1, timeMs: 1000 }])
+    );
+
+    handle = env.window.ErrorGame.mount(env.page, {
+      ...AUTOPLAY,
+      onWin: (result) => wins.push(result),
+      onExit: (info) => exits.push(info)
+    });
+  });
+
+  after(() => {
+    handle.destroy();
+    env.window.close();
+  });
+
+  test("começa escondido e fora do Tab", () => {
+    assert.equal(overlay.getAttribute("aria-hidden"), "true");
+    assert.equal(overlay.inert, true);
+    assert.ok(!overlay.classList.contains("is-visible"));
+  });
+
+  test("na vitória abre como modal com o foco em Reiniciar", async () => {
+    await playUntilOverlay(env, overlay);
+
+    assert.equal(wins.length, 1);
+    assert.equal(overlay.getAttribute("role"), "dialog");
+    assert.equal(overlay.getAttribute("aria-modal"), "true");
+    assert.equal(overlay.getAttribute("aria-hidden"), "false");
+    assert.equal(overlay.inert, false);
+    assert.ok(overlay.classList.contains("is-visible"));
+    assert.equal(env.document.activeElement, env.document.getElementById("restartBtn"));
+    // Partida gravada: botões de exportar o replay
+    assert.equal(overlay.querySelector(".overlay__replay").hidden, false);
+    assert.ok(handle.getReplay().events.length > 0);
+    assert.equal(overlay.querySelector(".injected"), null);
+    assert.equal(overlay.querySelectorAll(".leaderboard li").length, 2);
+  });
+
+  test("Enter segurado (auto-repeat) não reinicia", () => {
+    pressKey(env.document.activeElement, "Enter", { repeat: true });
+    assert.ok(overlay.classList.contains("is-visible"));
+  });
+
+  test("Enter reinicia, esconde o overlay e devolve o foco ao jogo", () => {
+    const event = pressKey(env.document.activeElement, "Enter");
+
+    assert.equal(event.defaultPrevented, true);
+    assert.ok(!overlay.classList.contains("is-visible"));
+    assert.equal(overlay.getAttribute("aria-hidden"), "true");
+    assert.equal(overlay.inert, true);
+    assert.equal(env.document.activeElement, env.page.querySelector(".game-canvas"));
+  });
+
+  test("skip link abre as opções com o foco em Voltar; Esc sai", () => {
+    env.document.querySelector('[data-action="skip"]').click();
+
+    assert.ok(overlay.classList.contains("is-visible"));
+    assert.equal(overlay.getAttribute("aria-hidden"), "false");
+    assert.equal(env.document.getElementById("nextBtn").hidden, true);
+    assert.equal(env.document.activeElement, env.document.getElementById("homeBtn"));
+
+    pressKey(env.document.activeElement, "Escape");
+    // Objeto criado no realm do jsdom: compara uma cópia
+    assert.equal(exits.length, 1);
+    assert.deepEqual({ ...exits[0] }, { code: "404", homeUrl: "/home" });
+  });
+
+  test("Espaço com o overlay escondido não faz nada", () => {
+    handle.reset();
+    assert.ok(!overlay.classList.contains("is-visible"));
+
+    pressKey(env.document.body, " ");
+    assert.ok(!overlay.classList.contains("is-visible"));
+    assert.equal(exits.length, 1);
+  });
+});
+
+describe("seletor de skins (jsdom)", () => {
+  let env;
+  let handle;
+  let overlay;
+
+  before(async () => {
+    env = loadPage();
+    overlay = env.document.querySelector(".overlay");
+    handle = env.window.ErrorGame.mount(env.page, AUTOPLAY);
+    await playUntilOverlay(env, overlay);
+  });
+
+  after(() => {
+    handle.destroy();
+    env.window.close();
+  });
+
+  test("a primeira vitória libera a interceptadora; a flecha segue bloqueada", () => {
+    const picker = overlay.querySelector(".skin-picker");
+    assert.match(picker.querySelector(".skin-picker__status").textContent, /Interceptor/);
+    assert.equal(picker.querySelector('[data-skin="interceptor"]').disabled, false);
+    assert.equal(picker.querySelector('[data-skin="arrow"]').getAttribute("aria-label"), "Arrow: locked, 1 of 3 wins");
+  });
+
+  test("escolher uma skin liberada troca a nave e fica salvo", () => {
+    const button = overlay.querySelector('[data-skin="interceptor"]');
+    button.click();
+
+    assert.equal(button.getAttribute("aria-pressed"), "true");
+    assert.equal(overlay.querySelector('[data-skin="classic"]').getAttribute("aria-pressed"), "false");
+    assert.equal(JSON.parse(env.window.localStorage.getItem("error-pages:skins")).selected, "interceptor");
+  });
+});
+
+describe("retry do contexto (jsdom)", () => {
+  // Retry-After "0": o painel tenta de novo já no mount
+  function retryUrlFor(contextPath) {
+    const env = loadPage();
+    const retries = [];
+    const handle = env.window.ErrorGame.mount(env.page, {
+      locale: "en",
+      analytics: false,
+      context: { path: contextPath, retryAfter: "0" },
+      onRetry: (info) => retries.push(info.url)
+    });
+    handle.destroy();
+    env.window.close();
+    return retries;
+  }
+
+  test("volta para o path original da mesma origem", () => {
+    assert.deepEqual(retryUrlFor("/orders/7?x=1"), ["http://localhost/orders/7?x=1"]);
+  });
+
+  test("path de outra origem (//host, absoluto) fica na própria página", () => {
+    assert.deepEqual(retryUrlFor("//evil.example/x"), ["http://localhost/404.html"]);
+    assert.deepEqual(retryUrlFor("https://evil.example/x"), ["http://localhost/404.html"]);
+  });
+});
+
+describe("configuração inválida (jsdom)", () => {
+  // Monta com data-glyph-svg inválido e devolve o que foi para o console.warn
+  function mountWithBadSelector(url) {
+    const env = loadPage({ url });
+    const warnings = [];
+    env.window.console.warn = (...args) => warnings.push(args[0]);
+    env.page.dataset.glyphSvg = "#";
+
+    const handle = env.window.ErrorGame.mount(env.page, { locale: "en", analytics: false });
+    handle.destroy();
+    env.window.close();
+    return warnings;
+  }
+
+  test("seletor inválido em data-glyph-svg não quebra o mount nem escreve no console", () => {
+    assert.deepEqual(mountWithBadSelector(), []);
+  });
+
+  test("com ?debug=1 o motivo vai para o console", () => {
+    assert.deepEqual(mountWithBadSelector("http://localhost/404.html?debug=1"), [
+      "ErrorGame: data-glyph-svg não é um seletor válido, usando o texto"
+    ]);
+  });
+});
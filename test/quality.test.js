@@ -0,0 +1,215 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+const { JSDOM } = require("jsdom");
+
+const { installGlobals, createHeadlessGame, createFakeContext } = require("../tools/headless");
+const { evalRuntime } = require("./helpers");
+
+const browser = installGlobals();
+const { CONFIG, FpsMonitor, detectCapabilities } = require("../static/js/game.js");
+
+const ROOT = path.join(__dirname, "..");
+const { warmupMs, sampleMs, fpsThreshold } = CONFIG.quality;
+
+// Frames de frameMs até cobrir `ms` de relógio
+function runFor(ms, frameMs) {
+  for (let t = 0; t < ms; t += frameMs) browser.tick(frameMs);
+}
+
+describe("FpsMonitor", () => {
+  test("só julga depois do aquecimento, em janelas inteiras", () => {
+    const slow = new FpsMonitor();
+    const frameMs = 1000 / (fpsThreshold / 2);
+    let verdicts = 0;
+    for (let t = 0; t < warmupMs + sampleMs - frameMs; t += frameMs) verdicts += slow.record(frameMs);
+    assert.equal(verdicts, 0);
+
+    // Fecha a janela: abaixo do limite
+    let closed = false;
+    for (let i = 0; i < 3 && !closed; i++) closed = slow.record(frameMs);
+    assert.equal(closed, true);
+
+    const fast = new FpsMonitor();
+    for (let t = 0; t < warmupMs + sampleMs * 2; t += CONFIG.stepMs) assert.equal(fast.record(CONFIG.stepMs), false);
+  });
+
+  test("frame de aba travada não conta como lentidão", () => {
+    const monitor = new FpsMonitor();
+    for (let t = 0; t < warmupMs + sampleMs * 2; t += 5000) assert.equal(monitor.record(5000), false);
+    assert.equal(monitor.frames, 0);
+  });
+});
+
+describe("detectCapabilities", () => {
+  test("sem contexto 2D só resta o cartão; opção explícita vence a detecção", () => {
+    assert.deepEqual(detectCapabilities(null, "high"), { quality: "fallback", reasons: ["canvas"] });
+    assert.deepEqual(detectCapabilities({}, "fallback"), { quality: "fallback", reasons: ["option"] });
+    assert.deepEqual(detectCapabilities({}, "low"), { quality: "low", reasons: [] });
+    assert.deepEqual(detectCapabilities({}, "auto"), { quality: "high", reasons: [] });
+  });
+
+  test("Save-Data (navegador ou servidor) e prefers-reduced-data pedem o renderer leve", () => {
+    assert.deepEqual(detectCapabilities({}, "auto", { saveData: true }), { quality: "low", reasons: ["saveData"] });
+
+    Object.defineProperty(navigator, "connection", { value: { saveData: true }, configurable: true });
+    globalThis.matchMedia = (query) => ({ matches: query === "(prefers-reduced-data: reduce)" });
+    try {
+      assert.deepEqual(detectCapabilities({}, "auto"), { quality: "low", reasons: ["saveData", "reducedData"] });
+      // Qualidade fixada pela página: sem detecção
+      assert.deepEqual(detectCapabilities({}, "high"), { quality: "high", reasons: [] });
+    } finally {
+      delete navigator.connection;
+      delete globalThis.matchMedia;
+    }
+  });
+});
+
+describe("qualidade reduzida", () => {
+  test("FPS baixo: high → low (DPR 1, menos estrelas) → onFallback", () => {
+    globalThis.devicePixelRatio = 2;
+    const game = createHeadlessGame({ seed: 8, quality: "auto" });
+    const fallbacks = [];
+    game.onFallback = (reasons) => {
+      fallbacks.push([...reasons]);
+      game.stop();
+    };
+    game.start();
+
+    const stars = game.stars.length;
+    assert.equal(game.dpr, 2);
+    const slowFrameMs = 1000 / (fpsThreshold / 2);
+    runFor(warmupMs + sampleMs + slowFrameMs * 2, slowFrameMs);
+
+    assert.equal(game.quality, "low");
+    assert.equal(game.dpr, 1);
+    assert.equal(game.canvas.width, game.width);
+    assert.equal(game.stars.length, Math.ceil(stars / CONFIG.quality.starStride));
+    assert.deepEqual(fallbacks, []);
+
+    runFor(warmupMs + sampleMs + slowFrameMs * 2, slowFrameMs);
+    assert.deepEqual(fallbacks, [["fps"]]);
+    assert.equal(browser.frames.size, 0);
+    delete globalThis.devicePixelRatio;
+  });
+
+  test("teto de partículas sem mudar a sequência do RNG", () => {
+    const high = createHeadlessGame({ seed: 4 });
+    const low = createHeadlessGame({ seed: 4, quality: "low" });
+
+    for (let i = 0; i < 50; i++) {
+      high.spawnExplosion(0, 0, "#fff", 20);
+      low.spawnExplosion(0, 0, "#fff", 20);
+    }
+
+    assert.equal(high.particles.length, 1000);
+    assert.equal(low.particles.length, CONFIG.quality.maxParticles);
+    assert.equal(low.random(), high.random());
+  });
+
+  test("quality fixa não mede FPS", () => {
+    assert.equal(createHeadlessGame({ quality: "high" }).fpsMonitor, null);
+    assert.ok(createHeadlessGame({ quality: "auto" }).fpsMonitor);
+  });
+});
+
+describe("cartão estático (jsdom)", () => {
+  // 404.html real; getContext do jsdom (sem o pacote canvas) devolve null
+  function loadPage({ canvas = false } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, "404.html"), "utf8");
+    const { window } = new JSDOM(html, { url: "http://localhost/404.html", runScripts: "outside-only", pretendToBeVisual: true });
+    window.HTMLCanvasElement.prototype.getContext = canvas ? () => createFakeContext() : () => null;
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    evalRuntime(window);
+    return { window, document: window.document, page: window.document.querySelector(".page") };
+  }
+
+  test("sem canvas: cartão com código, mensagem, home e motivo; destroy restaura", async () => {
+    const { window, document, page } = loadPage();
+    const exits = [];
+    const handle = window.ErrorGame.mount(page, {
+      locale: "en",
+      context: { message: "No such order", requestId: "req-7" },
+      onExit: (info) => exits.push(info.homeUrl)
+    });
+
+    const card = page.querySelector(".fallback-card");
+    assert.equal(handle.getQuality(), "fallback");
+    assert.equal(page.dataset.gameQuality, "fallback");
+    assert.equal(card.querySelector(".fallback-card__code").textContent, "404");
+    assert.equal(card.querySelector(".fallback-card__text").textContent, "No such order");
+    assert.match(card.querySelector(".fallback-card__reason").textContent, /couldn't draw the game/);
+    // Diagnóstico dentro do cartão
+    assert.match(card.querySelector(".error-context").textContent, /req-7/);
+
+    const home = card.querySelector('[data-action="fallback-home"]');
+    assert.equal(home.getAttribute("href"), "/home");
+    home.click();
+    assert.deepEqual(exits, ["/home"]);
+    // Sem jogo não há replay: a promessa rejeita em vez de fingir que tocou
+    await assert.rejects(handle.playReplay({ v: 1 }), { message: /modo fallback/ });
+
+    handle.destroy();
+    assert.equal(page.querySelector(".fallback-card"), null);
+    assert.equal(page.dataset.gameQuality, undefined);
+    assert.ok(!page.classList.contains("error-game"));
+    assert.ok(document.getElementById("game"));
+    window.close();
+  });
+
+  test("aparelho fraco (Save-Data) que cai no cartão já nos primeiros frames", () => {
+    const { window, page } = loadPage({ canvas: true });
+    page.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+    // RAF síncrono a 5 FPS: a medição fecha ainda dentro do start() do mount
+    let clock = 0;
+    let frames = 0;
+    window.performance.now = () => clock;
+    window.requestAnimationFrame = (callback) => {
+      if (++frames <= 60) {
+        clock += 200;
+        callback(clock);
+      }
+      return frames;
+    };
+    window.cancelAnimationFrame = () => {};
+
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false, context: { saveData: true, requestId: "req-9" } });
+    const card = page.querySelector(".fallback-card");
+    assert.ok(card);
+    assert.ok(frames < 60);
+    assert.match(card.querySelector(".error-context").textContent, /req-9/);
+
+    handle.destroy();
+    assert.equal(page.querySelector(".fallback-card"), null);
+    window.close();
+  });
+
+  test("quality: \"low\" começa no renderer leve, sem ir para o cartão", () => {
+    const { window, page } = loadPage({ canvas: true });
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false, quality: "low" });
+    assert.equal(handle.getQuality(), "low");
+    assert.equal(page.querySelector(".fallback-card"), null);
+
+    handle.destroy();
+    window.close();
+  });
+
+  test("data-quality=\"fallback\" desliga o jogo mesmo com canvas", () => {
+    const { window, page } = loadPage({ canvas: true });
+    page.dataset.quality = "fallback";
+
+    const handle = window.ErrorGame.mount(page, { locale: "pt-BR" });
+    assert.equal(handle.getQuality(), "fallback");
+    assert.match(page.querySelector(".fallback-card__reason").textContent, /desligado nesta página/);
+    assert.equal(page.querySelector(".fallback-card__text").textContent, "Não foi possível abrir esta página.");
+
+    handle.destroy();
+    window.close();
+  });
+});
@@ -0,0 +1,182 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+const { JSDOM } = require("jsdom");
+
+const { installGlobals, createHeadlessGame, createFakeContext } = require("../tools/headless");
+const { evalRuntime } = require("./helpers");
+
+const browser = installGlobals();
+const { CONFIG, parseReplay, encodeReplay, decodeReplay } = require("../static/js/game.js");
+
+// Auto-mira joga sozinha; passo de amostragem alto = poucas peças, partida curta
+const PAGE = { dataset: { glyphStep: "18" } };
+
+// Roda frames de um passo até a partida acabar
+function playUntilOver(game, maxFrames = 20000) {
+  for (let frame = 0; frame < maxFrames && !game.result; frame++) browser.tick(CONFIG.stepMs);
+  assert.ok(game.result, "a partida não terminou");
+}
+
+describe("formato do replay", () => {
+  const log = {
+    v: 1,
+    code: "404 — não encontrado",
+    level: 1,
+    difficulty: "normal",
+    players: 1,
+    powerUps: null,
+    reducedMotion: false,
+    skin: "classic",
+    seed: 42,
+    viewport: [400, 300],
+    pieces: 10,
+    steps: 90,
+    won: true,
+    score: 100,
+    events: [[0, 0, 200.5, 1], [30, 0, 180, 0]]
+  };
+
+  test("encode/decode ida e volta, em base64url", () => {
+    const payload = encodeReplay(log);
+
+    assert.match(payload, /^[\w-]+$/);
+    assert.deepEqual(decodeReplay(payload), log);
+  });
+
+  test("parseReplay normaliza as opções e rejeita logs quebrados", () => {
+    const parsed = parseReplay(JSON.stringify({ ...log, level: "2", difficulty: "?", players: 3 }));
+    assert.equal(parsed.level, 2);
+    assert.equal(parsed.difficulty, "normal");
+    assert.equal(parsed.players, 1);
+    // Log de antes das skins: nave clássica
+    assert.equal(parseReplay({ ...log, skin: undefined }).skin, "classic");
+
+    assert.throws(() => parseReplay({ ...log, v: 2 }), /versão/);
+    assert.throws(() => parseReplay({ ...log, seed: "42" }), /semente/);
+    assert.throws(() => parseReplay({ ...log, viewport: [400] }), /viewport/);
+    assert.throws(() => parseReplay({ ...log, events: [[0, 0, "x", 1]] }), /eventos/);
+  });
+});
+
+describe("gravação e reprodução", () => {
+  let recorded;
+  let log;
+
+  before(() => {
+    recorded = createHeadlessGame({ width: 400, height: 300, seed: 21, accessibility: { autoAim: true }, ...PAGE });
+    recorded.start();
+    playUntilOver(recorded);
+    recorded.stop();
+    log = recorded.lastReplay;
+  });
+
+  test("a partida encerrada vira um log com semente, viewport e entrada", () => {
+    assert.equal(log.seed, 21);
+    assert.deepEqual(log.viewport, [400, 300]);
+    assert.equal(log.won, true);
+    assert.equal(log.steps, recorded.stepCount);
+    assert.equal(log.pieces, recorded.initialPieceCount);
+    assert.ok(log.events.length > 1);
+    assert.equal(recorded.recorder, null);
+  });
+
+  test("a reprodução chega ao mesmo resultado, em outra tela e sem auto-mira", () => {
+    const game = createHeadlessGame({ width: 1024, height: 768, seed: 5, ...PAGE });
+    game.start();
+    game.beginPlayback(decodeReplay(encodeReplay(log)));
+    playUntilOver(game);
+    game.stop();
+
+    assert.equal(game.width, 400);
+    assert.equal(game.stepCount, log.steps);
+    assert.equal(game.score, recorded.score);
+    assert.equal(game.shots, recorded.shots);
+    assert.equal(game.hits, recorded.hits);
+    assert.equal(game.playback.diverged, false);
+    // Fora do ranking e sem gravar a reprodução
+    assert.equal(game.result.rank, 0);
+    assert.equal(game.lastReplay, null);
+  });
+
+  test("4× roda quatro passos por frame; Jogar volta ao jogo ao vivo", () => {
+    const game = createHeadlessGame({ width: 1024, height: 768, ...PAGE });
+    game.start();
+    game.beginPlayback(log);
+    game.setReplaySpeed(4);
+    game.setReplaySpeed(3); // fora de 1×/2×/4×: ignorado
+
+    for (let frame = 0; frame < 30; frame++) browser.tick(CONFIG.stepMs);
+    assert.ok(Math.abs(game.stepCount - 120) <= 1, String(game.stepCount));
+
+    game.stopPlayback();
+    assert.equal(game.playback, null);
+    assert.equal(game.width, 1024);
+    assert.equal(game.stepCount, 0);
+    assert.ok(game.recorder);
+    game.stop();
+  });
+
+  test("resize ou troca de movimento reduzido param a gravação", () => {
+    const game = createHeadlessGame({ seed: 3, ...PAGE });
+    game.start();
+    assert.ok(game.recorder);
+
+    game.onResize();
+    assert.equal(game.recorder, null);
+
+    game.reset();
+    assert.ok(game.recorder);
+    game.setA11y({ reducedMotion: !game.reducedMotion });
+    assert.equal(game.recorder, null);
+    game.stop();
+  });
+});
+
+describe("playReplay no handle (jsdom)", () => {
+  function loadPage() {
+    const html = fs.readFileSync(path.join(__dirname, "..", "404.html"), "utf8");
+    const { window } = new JSDOM(html, { url: "http://localhost/404.html", runScripts: "outside-only", pretendToBeVisual: true });
+    window.HTMLCanvasElement.prototype.getContext = () => createFakeContext();
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+    evalRuntime(window);
+    return { window, page: window.document.querySelector(".page") };
+  }
+
+  test("log inválido rejeita, avisa e segue numa partida normal", async () => {
+    const { window, page } = loadPage();
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false });
+
+    await assert.rejects(handle.playReplay("garbage"));
+    assert.equal(page.querySelector('[data-role="announcer"]').textContent, "Invalid replay: starting a normal game");
+    assert.equal(handle.getQuality(), "high");
+
+    handle.destroy();
+    window.close();
+  });
+
+  test("URL de replay de outra origem é recusada sem fetch", async () => {
+    const { window, page } = loadPage();
+    const requested = [];
+    window.fetch = async (url) => {
+      requested.push(String(url));
+      return { ok: false, status: 404 };
+    };
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false });
+
+    await assert.rejects(handle.playReplay("https://evil.example/replay.json"), { message: /outra origem/ });
+    await assert.rejects(handle.playReplay("//evil.example/replay.json"), { message: /outra origem/ });
+    await assert.rejects(handle.playReplay("/replays/missing.json"), { message: /HTTP 404/ });
+    assert.deepEqual(requested, ["http://localhost/replays/missing.json"]);
+
+    handle.destroy();
+    window.close();
+  });
+});
+
+after(() => browser.frames.clear());
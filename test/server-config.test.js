@@ -0,0 +1,47 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { after, before, describe, test } = require("node:test");
+
+const { serverConfig, listStatusPages } = require("../lib/server-config");
+const { buildFixture } = require("./helpers");
+
+let fixture;
+
+before(() => {
+  fixture = buildFixture(["404", "500", "503", "offline"]);
+});
+
+after(() => fixture.cleanup());
+
+describe("server-config", () => {
+  test("só códigos HTTP viram páginas de status", () => {
+    assert.deepEqual(listStatusPages(fixture.outDir), [404, 500, 503]);
+  });
+
+  test("nginx: error_page por página e 5xx sem página na 500", () => {
+    const config = serverConfig("nginx", { dir: fixture.outDir, publicPath: "/errors/" });
+
+    assert.match(config, /^error_page 404 \/errors\/404\.html;$/m);
+    assert.match(config, /^error_page 500 502 504 \/errors\/500\.html;$/m);
+    assert.match(config, /^error_page 503 \/errors\/503\.html;$/m);
+    assert.match(config, new RegExp(`alias ${fixture.outDir}/;`));
+    assert.match(config, /add_header Cache-Control "no-store" always;/);
+    assert.match(config, /<base href="\/errors\/" \/>/);
+  });
+
+  test("apache: ErrorDocument por código", () => {
+    const config = serverConfig("apache", { dir: fixture.outDir, publicPath: "/e/" });
+
+    assert.match(config, /^ErrorDocument 404 \/e\/404\.html$/m);
+    assert.match(config, /^ErrorDocument 502 \/e\/500\.html$/m);
+    assert.match(config, /^ErrorDocument 503 \/e\/503\.html$/m);
+    assert.match(config, new RegExp(`Alias "/e/" "${fixture.outDir}/"`));
+    assert.doesNotMatch(config, /offline/);
+  });
+
+  test("rejeita formato e publicPath inválidos", () => {
+    assert.throws(() => serverConfig("iis", { dir: fixture.outDir }), /formato desconhecido/);
+    assert.throws(() => serverConfig("nginx", { dir: fixture.outDir, publicPath: "errors" }), /publicPath/);
+  });
+});
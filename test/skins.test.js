@@ -0,0 +1,135 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { afterEach, describe, test } = require("node:test");
+
+const { installGlobals, createHeadlessGame, createFakeContext } = require("../tools/headless");
+
+installGlobals();
+const { parseReplay, registerSkin } = require("../static/js/game.js");
+
+function createGame(options) {
+  const game = createHeadlessGame(options);
+  game.setupCanvas();
+  game.createStars();
+  game.createPlayers();
+  game.create404Pieces();
+  return game;
+}
+
+// localStorage em memória (o headless não tem)
+function installStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  globalThis.localStorage = {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+  return items;
+}
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+describe("geometria da skin", () => {
+  test("hitbox e saída da bala vêm da skin", () => {
+    const classic = createGame({ seed: 1 });
+    const arrow = createGame({ seed: 1, skin: "arrow" });
+    const p = arrow.player;
+
+    // Ponta da asa: acerta a clássica, passa ao lado da flecha (hitbox de 60% da largura)
+    const wingX = p.x + p.w * 0.4;
+    assert.equal(classic.shipAt(wingX, p.y, 1), classic.player);
+    assert.equal(arrow.shipAt(wingX, p.y, 1), null);
+
+    classic.spawnBullet();
+    arrow.spawnBullet();
+    assert.equal(classic.bullets[0].y, p.y - p.h / 2);
+    assert.equal(arrow.bullets[0].y, p.y - p.h * 0.9);
+  });
+
+  test("skin desconhecida cai na clássica; registerSkin completa os padrões", () => {
+    assert.equal(createGame({ skin: "nope" }).skin.id, "classic");
+
+    registerSkin({ id: "test-wide", hitbox: { w: 1.4 } });
+    const game = createGame({ skin: "test-wide" });
+    assert.deepEqual(game.skin.hitbox, { w: 1.4, h: 1, x: 0, y: 0 });
+    assert.deepEqual(game.skin.muzzle, { x: 0, y: -0.5 });
+    assert.throws(() => registerSkin({}), TypeError);
+  });
+});
+
+describe("sprite sheet", () => {
+  test("idle pelo relógio, inclinação pelo quanto a nave vira, chama por baixo", () => {
+    const game = createGame({ skin: "interceptor" });
+    const { skin } = game;
+
+    game.globalTime = 500; // idle a 2 fps: segundo quadro
+    assert.deepEqual(game.skinFrame(skin, "idle"), { sx: 32, sy: 0 });
+    assert.deepEqual(game.skinFrame(skin, "bankLeft", 0.3), { sx: 0, sy: 32 });
+    assert.deepEqual(game.skinFrame(skin, "bankRight", 1), { sx: 32, sy: 64 });
+    assert.equal(game.skinFrame(createGame().skin, "idle"), null);
+
+    // Imagem "carregada" e contexto que anota os drawImage
+    game.skinImages.set(skin.src, { complete: true, naturalWidth: 128, naturalHeight: 128 });
+    const calls = [];
+    const ctx = createFakeContext();
+    game.ctx = new Proxy(ctx, { get: (target, key) => (key === "drawImage" ? (...args) => calls.push(args.slice(1, 3)) : target[key]) });
+
+    game.player.targetX = game.player.x - game.player.w; // virando tudo à esquerda
+    game.drawPlayer(game.player);
+    assert.deepEqual(calls, [
+      [64, 96], // thruster a 12 fps: terceiro quadro
+      [32, 32] // bankLeft, quadro mais inclinado
+    ]);
+  });
+});
+
+describe("liberação e replay", () => {
+  test("vitórias no localStorage liberam skins; a escolha salva vale se liberada", () => {
+    const items = installStorage();
+    const game = createGame({ seed: 3 });
+
+    game.finishRun(true);
+    assert.deepEqual(game.result.unlocked, ["interceptor"]);
+    assert.deepEqual(JSON.parse(items.get("error-pages:skins")), { wins: 1, selected: null });
+
+    // Derrota e reprodução não contam
+    game.finishRun(false);
+    assert.deepEqual(game.result.unlocked, []);
+    assert.equal(JSON.parse(items.get("error-pages:skins")).wins, 1);
+  });
+
+  test("a skin vai no log; trocar no meio da partida descarta a gravação", () => {
+    const game = createGame({ seed: 5, skin: "arrow" });
+    game.startRecording();
+    assert.equal(game.recorder.header.skin, "arrow");
+
+    game.setSkin("classic");
+    assert.equal(game.recorder, null);
+    assert.equal(game.setSkin("nope"), false);
+  });
+
+  test("a reprodução usa a skin da gravação e devolve a do jogador no fim", () => {
+    const game = createGame({ seed: 5, skin: "arrow" });
+    const log = parseReplay({
+      v: 1,
+      code: "404",
+      seed: 5,
+      skin: "interceptor",
+      viewport: [800, 600],
+      pieces: game.initialPieceCount,
+      events: []
+    });
+
+    game.beginPlayback(log);
+    assert.equal(game.skin.id, "interceptor");
+
+    // Escolha feita durante a reprodução vale para depois
+    game.setSkin("classic");
+    assert.equal(game.skin.id, "interceptor");
+    game.stopPlayback();
+    assert.equal(game.skin.id, "classic");
+  });
+});
@@ -0,0 +1,152 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+const { JSDOM } = require("jsdom");
+
+const { installGlobals, createHeadlessGame, createFakeContext } = require("../tools/headless");
+const { evalRuntime } = require("./helpers");
+
+installGlobals();
+const { rankSuggestions } = require("../static/js/game.js");
+
+const ROOT = path.join(__dirname, "..");
+
+const SITEMAP = [
+  "/docs/install",
+  "/docs",
+  "/blog/my-post",
+  "/blog/other-post",
+  "/pricing",
+  { loc: "/docs/getting-started", title: "Primeiros passos" }
+];
+
+const urlsFor = (pathname, candidates = SITEMAP, options) => rankSuggestions(pathname, candidates, options).map(({ url }) => url);
+
+describe("rankSuggestions", () => {
+  test("erro de digitação, segmento a mais ou a menos, barra faltando", () => {
+    assert.deepEqual(urlsFor("/docs/instal"), ["/docs/install"]);
+    assert.deepEqual(urlsFor("/instal"), ["/docs/install"]);
+    assert.deepEqual(urlsFor("/docsinstall"), ["/docs/install"]);
+    assert.deepEqual(urlsFor("/blog/2023/my-post"), ["/blog/my-post"]);
+    assert.deepEqual(urlsFor("/prcing?utm=x#top"), ["/pricing"]);
+  });
+
+  test("caixa, extensão e _ não contam; title e loc do sitemap", () => {
+    const [best] = rankSuggestions("/Docs/Getting_Started.html", SITEMAP);
+    assert.deepEqual(best, { url: "/docs/getting-started", title: "Primeiros passos", score: 1 });
+  });
+
+  test("sem o próprio path, repetidas ou parecidas demais de longe; limit e ordem", () => {
+    assert.deepEqual(urlsFor("/docs/install"), []);
+    assert.deepEqual(urlsFor("/xyz"), []);
+    assert.deepEqual(urlsFor("/docs/", { urls: ["/docs/install", "/docs", "/docs/index.html"] }, { limit: 2 }), ["/docs", "/docs/install"]);
+    // Empate: vale a ordem da lista
+    assert.deepEqual(urlsFor("/guia", ["/guias", "/guiar"]), ["/guias", "/guiar"]);
+    assert.deepEqual(urlsFor("/blog/2023/my-post", SITEMAP, { minScore: 0.5 }), ["/blog/my-post", "/blog/other-post"]);
+  });
+});
+
+describe("peças marcadas (headless)", () => {
+  function createGame(options) {
+    const game = createHeadlessGame(options);
+    game.setupCanvas();
+    game.createStars();
+    game.createPlayers();
+    game.create404Pieces();
+    return game;
+  }
+
+  test("uma peça por sugestão, sem mexer no RNG; destruir revela uma vez", () => {
+    const plain = createGame({ seed: 8 });
+    const game = createGame({ seed: 8 });
+    const revealed = [];
+    game.suggestionView = { render() {}, reveal: (suggestion) => revealed.push(suggestion.url) };
+
+    game.setSuggestions(rankSuggestions("/docs/instal", ["/docs/install", "/docs/installing"]));
+    const marked = game.pieces.filter((p) => p.suggestion !== undefined);
+    assert.deepEqual(marked.map((p) => p.suggestion), [0, 1]);
+    assert.equal(game.random(), plain.random());
+
+    game.destroyPiece(marked[1], { drops: false });
+    game.destroyPiece(marked[1], { drops: false });
+    assert.deepEqual(revealed, ["/docs/installing"]);
+
+    // Partida nova: só a que falta revelar volta a ser marcada
+    game.create404Pieces();
+    assert.deepEqual(game.pieces.filter((p) => p.suggestion !== undefined).map((p) => p.suggestion), [0]);
+  });
+});
+
+describe("sugestões na página (jsdom)", () => {
+  function loadPage({ url = "http://localhost/docs/instal", extra = "" } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, "404.html"), "utf8").replace("</body>", `${extra}</body>`);
+    const { window } = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+    window.HTMLCanvasElement.prototype.getContext = () => createFakeContext();
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+    evalRuntime(window);
+    return { window, document: window.document, page: window.document.querySelector(".page") };
+  }
+
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  test("#error-suggestions + sitemap.json: links depois do Voltar, só da mesma origem", async () => {
+    const { window, document, page } = loadPage({
+      extra: `<script type="application/json" id="error-suggestions">{ "urls": [{ "url": "/docs/install", "title": "Install" }], "limit": 2 }</script>`
+    });
+    const requested = [];
+    window.fetch = async (url) => {
+      requested.push(String(url));
+      return { ok: true, json: async () => ({ urls: ["https://evil.example/docs/instal1", "/pricing", "/docs/installer"] }) };
+    };
+    page.dataset.suggestions = "/sitemap.json";
+
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false });
+    await settle();
+
+    assert.deepEqual(requested, ["http://localhost/sitemap.json"]);
+    const links = [...document.querySelectorAll(".overlay__suggestion")];
+    assert.deepEqual(
+      links.map((link) => [link.getAttribute("href"), link.textContent]),
+      [
+        ["/docs/install", "Go to Install"],
+        ["/docs/installer", "Go to /docs/installer"]
+      ]
+    );
+    assert.equal(document.getElementById("homeBtn").nextElementSibling, links[0]);
+
+    handle.destroy();
+    assert.equal(document.querySelector(".overlay__suggestion"), null);
+    window.close();
+  });
+
+  test("em SPA o clique vai para o onExit; Enter no link não reinicia", async () => {
+    const { window, document, page } = loadPage();
+    const exits = [];
+    const handle = window.ErrorGame.mount(page, {
+      locale: "en",
+      analytics: false,
+      suggestions: ["/docs/install"],
+      onExit: (info) => exits.push({ ...info })
+    });
+    await settle();
+
+    // Sem acesso ao Game: o skip abre o overlay, e a sugestão é um link dele
+    document.querySelector('[data-action="skip"]').click();
+    const link = document.querySelector(".overlay__suggestion");
+    const event = new window.KeyboardEvent("keydown", { key: "Enter", bubbles: true, cancelable: true });
+    link.dispatchEvent(event);
+    assert.equal(event.defaultPrevented, false);
+    assert.ok(document.querySelector(".overlay").classList.contains("is-visible"));
+
+    link.click();
+    assert.deepEqual(exits, [{ code: "404", homeUrl: "/docs/install" }]);
+
+    handle.destroy();
+    window.close();
+  });
+});
@@ -0,0 +1,226 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+const { JSDOM } = require("jsdom");
+
+const { installGlobals, createHeadlessGame, createFakeContext } = require("../tools/headless");
+const { evalRuntime } = require("./helpers");
+
+installGlobals();
+const { pickSeason, themeToVars, themeForScheme, registerTheme } = require("../static/js/game.js");
+const { BUILTIN_THEMES } = require("../static/js/themes.js");
+const { defaultThemeCss, themeToCss, validateTheme } = require("../lib/theme");
+const { PRESETS } = require("../lib/presets");
+
+const ROOT = path.join(__dirname, "..");
+
+function createGame(options) {
+  const game = createHeadlessGame(options);
+  game.setupCanvas();
+  game.createStars();
+  game.createPlayers();
+  game.create404Pieces();
+  return game;
+}
+
+describe("pickSeason", () => {
+  const seasons = [
+    { theme: "holiday", from: "12-15", to: "01-06" },
+    { theme: "launch", from: "2026-03-01", to: "2026-03-07", codes: ["404"] },
+    { theme: "march", from: "03-01", to: "03-31" }
+  ];
+
+  test("MM-DD repete todo ano e pode virar o ano", () => {
+    assert.equal(pickSeason(seasons, new Date(2026, 11, 20))?.theme, "holiday");
+    assert.equal(pickSeason(seasons, new Date(2027, 0, 6))?.theme, "holiday");
+    assert.equal(pickSeason(seasons, new Date(2027, 0, 7)), null);
+  });
+
+  test("AAAA-MM-DD vale uma vez; codes restringe; a primeira que bate vence", () => {
+    assert.equal(pickSeason(seasons, new Date(2026, 2, 3), "404")?.theme, "launch");
+    assert.equal(pickSeason(seasons, new Date(2026, 2, 3), "500")?.theme, "march");
+    assert.equal(pickSeason(seasons, new Date(2027, 2, 3), "404")?.theme, "march");
+  });
+
+  test("entradas inválidas são ignoradas", () => {
+    assert.equal(pickSeason([{ theme: "x", from: "dez", to: "01-06" }, { from: "01-01", to: "12-31" }], new Date()), null);
+    assert.equal(pickSeason(undefined, new Date()), null);
+  });
+});
+
+describe("themeToVars", () => {
+  test("só o que o tema define, com botões e nebulosa derivados do accent", () => {
+    assert.deepEqual(themeToVars({ accent: "#38bdf8", particles: { shape: "star" }, bullet: { glow: "#f00" } }), {
+      "--accent": "#38bdf8",
+      "--accent2": "#38bdf8",
+      "--btn-bg": "rgba(56, 189, 248, 0.18)",
+      "--btn-border": "rgba(56, 189, 248, 0.35)",
+      "--nebula-color1": "rgba(56, 189, 248, 0.9)",
+      "--nebula-color2": "rgba(56, 189, 248, 0.0)",
+      "--bullet-glow": "#f00",
+      "--bullet-fade": "rgba(255, 0, 0, 0.0)"
+    });
+  });
+
+  test("variante clara por cima do tema só no esquema claro", () => {
+    const theme = { accent: "#000", stars: "#fff", light: { stars: "#111" } };
+    assert.equal(themeForScheme(theme, "dark"), theme);
+    assert.deepEqual(themeForScheme(theme, "light"), { accent: "#000", stars: "#111", light: undefined });
+  });
+
+  test("build: campos do canvas no bloco e @media para a variante clara", () => {
+    const spec = {
+      accent: "#38bdf8",
+      gradient: { start: "#000", mid: "#000", end: "#000" },
+      pieceHue: { min: 10, max: 20 },
+      particles: { shape: "square" },
+      light: { accent: "#0284c7" }
+    };
+    const css = themeToCss("418", spec);
+
+    assert.deepEqual(validateTheme("418", spec), []);
+    assert.match(css, /--particle-shape: square;\n}/);
+    assert.match(css, /@media \(prefers-color-scheme: light\) {\n {4}\[data-error="418"\]:not\(/);
+    assert.match(css, / {8}--accent: #0284c7;/);
+    assert.deepEqual(validateTheme("418", { ...spec, particles: { shape: "star" } }), [
+      "tema do 418: particles.shape precisa ser circle, square, spark"
+    ]);
+  });
+
+  test("403/404/500 embutidos: os mesmos JSON no runtime, nos presets e no CSS gerado", () => {
+    const { themes } = require("../static/js/game.js");
+    for (const code of ["403", "404", "500"]) {
+      assert.ok(themes.includes(code));
+      assert.equal(PRESETS[code].theme, BUILTIN_THEMES[code]);
+      assert.deepEqual(validateTheme(code, BUILTIN_THEMES[code]), []);
+    }
+
+    const css = themeToCss("500", BUILTIN_THEMES[500]);
+    assert.match(css, /^\[data-error="500"\] {\n {4}--bg: #0a0202;\n/);
+    assert.match(css, / {4}--btn-bg: rgba\(248, 113, 113, 0\.18\);/);
+    assert.match(css, / {8}--btn-bg: rgba\(220, 38, 38, 0\.12\);/);
+
+    // Paleta padrão: o 404 no :root e a variante clara dele para todo [data-error]
+    const base = defaultThemeCss();
+    assert.match(base, /^:root {\n {4}--bg: #02030a;/);
+    assert.match(base, /\n {4}\[data-error\]:not\(\[data-color-scheme="dark"\]/);
+    assert.match(base, / {8}--accent: #0284c7;/);
+  });
+});
+
+describe("setTheme (headless)", () => {
+  test("recolore as peças sem mexer nelas nem na sequência do RNG", () => {
+    const plain = createGame({ seed: 21 });
+    const themed = createGame({ seed: 21 });
+    const positions = themed.pieces.map(({ x, y, r }) => [x, y, r]);
+
+    themed.setTheme({ pieceHue: { min: 20, max: 40 }, pieceLightness: 50, stars: "#abcdef" });
+
+    assert.equal(themed.root.style.getPropertyValue("--piece-hue-min"), "20");
+    assert.equal(themed.theme.star, "#abcdef");
+    assert.equal(themed.layers, null);
+    assert.deepEqual(themed.pieces.map(({ x, y, r }) => [x, y, r]), positions);
+    for (const [i, piece] of themed.pieces.entries()) {
+      assert.equal(piece.color, `hsl(${20 + piece.tone * 20}, 90%, 50%)`);
+      assert.equal(piece.tone, plain.pieces[i].tone);
+    }
+    assert.equal(themed.random(), plain.random());
+
+    // null volta ao tema do mount: as variáveis inline saem
+    themed.setTheme(null);
+    assert.equal(themed.root.style.getPropertyValue("--piece-hue-min"), "");
+    assert.equal(themed.theme.hueMin, 180);
+  });
+
+  test("id registrado; id desconhecido é só CSS; alto contraste ignora o tema", () => {
+    registerTheme("test-mint", { accent: "#10b981" });
+    const game = createGame({ seed: 2 });
+
+    game.setTheme("test-mint");
+    assert.equal(game.root.dataset.error, "404");
+    assert.equal(game.theme.accent, "#10b981");
+    // Sem variante clara: o tema é só escuro
+    assert.equal(game.root.dataset.themeScheme, "dark");
+
+    // 403/404/500 são embutidos: o JSON vai inline, como qualquer id registrado
+    game.setTheme("500");
+    assert.equal(game.root.dataset.error, "404");
+    assert.equal(game.root.style.getPropertyValue("--accent"), "#f87171");
+
+    game.setTheme("503");
+    assert.equal(game.root.dataset.error, "503");
+    assert.equal(game.themeSpec, null);
+    assert.equal(game.root.style.getPropertyValue("--accent"), "");
+
+    game.setTheme("holiday");
+    game.setA11y({ highContrast: true });
+    assert.equal(game.root.style.getPropertyValue("--accent"), "");
+    game.setA11y({ highContrast: false });
+    assert.equal(game.root.style.getPropertyValue("--accent"), "#ef4444");
+  });
+
+  test("prefers-color-scheme: light usa a variante clara", () => {
+    globalThis.matchMedia = (query) => ({ matches: query === "(prefers-color-scheme: light)" });
+    try {
+      const game = createGame({ seed: 2, themeSpec: { accent: "#111111", light: { accent: "#222222" } } });
+      assert.equal(game.theme.accent, "#222222");
+      assert.equal(game.root.dataset.themeScheme, undefined);
+    } finally {
+      delete globalThis.matchMedia;
+    }
+  });
+});
+
+describe("temas da página (jsdom)", () => {
+  function loadPage(themesJson) {
+    const html = fs
+      .readFileSync(path.join(ROOT, "404.html"), "utf8")
+      .replace("</body>", `<script type="application/json" id="error-themes">${themesJson}</script></body>`);
+    const { window } = new JSDOM(html, { url: "http://localhost/404.html", runScripts: "outside-only", pretendToBeVisual: true });
+    window.HTMLCanvasElement.prototype.getContext = () => createFakeContext();
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+    evalRuntime(window);
+    return { window, page: window.document.querySelector(".page") };
+  }
+
+  test("#error-themes registra temas e a temporada ativa vence data-theme", () => {
+    const { window, page } = loadPage(
+      JSON.stringify({
+        themes: { brand: { accent: "#ff00aa", particles: { shape: "square" } } },
+        seasons: [{ theme: "brand", from: "01-01", to: "12-31", codes: ["404"] }]
+      })
+    );
+    page.dataset.theme = "halloween";
+
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false });
+    assert.ok(window.ErrorGame.themes.includes("brand"));
+    assert.equal(page.style.getPropertyValue("--accent"), "#ff00aa");
+    assert.equal(page.style.getPropertyValue("--particle-shape"), "square");
+
+    handle.setTheme("halloween");
+    assert.equal(page.style.getPropertyValue("--accent"), "#fb923c");
+    assert.equal(page.style.getPropertyValue("--particle-shape"), "spark");
+
+    handle.destroy();
+    assert.equal(page.style.length, 0);
+    assert.equal(page.dataset.themeScheme, undefined);
+    window.close();
+  });
+
+  test("sem temporada: data-theme escolhe o tema registrado", () => {
+    const { window, page } = loadPage(JSON.stringify({ seasons: [{ theme: "holiday", from: "2000-01-01", to: "2000-01-02" }] }));
+    page.dataset.theme = "halloween";
+
+    const handle = window.ErrorGame.mount(page, { locale: "en", analytics: false });
+    assert.equal(page.dataset.error, "404");
+    assert.equal(page.style.getPropertyValue("--accent"), "#fb923c");
+
+    handle.destroy();
+    window.close();
+  });
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/* ==========================================================================
+   Benchmark da colisão bala x peça
+   - Roda Game.update() sem navegador, com canvas/DOM falsos
+   - Relógio simulado (60 fps) e RNG do jogo com semente: execuções comparáveis
+   - --naive troca a grade espacial por uma busca linear (o laço antigo),
+     para medir o ganho e conferir que os acertos são os mesmos
+
+   Uso:
+     node tools/bench-collision.js --width=3840 --height=2160 --text="404 Not Found"
+     node tools/bench-collision.js --naive
+   ========================================================================== */
+
+"use strict";
+
+const { installGlobals, createHeadlessGame } = require("./headless");
+
+const FRAME_MS = 1000 / 60;
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (match) args[match[1]] = match[2] ?? "true";
+  }
+  return args;
+}
+
+/** Busca linear com a mesma interface da SpatialGrid: o laço O(balas × peças) de antes. */
+class NaiveGrid {
+  rebuild(items) {
+    this.items = items.slice();
+  }
+
+  remove(item) {
+    this.items.splice(this.items.indexOf(item), 1);
+  }
+
+  firstHit(x, y, r, skip) {
+    for (let j = this.items.length - 1; j >= 0; j--) {
+      const p = this.items[j];
+      if (skip?.has(p)) continue;
+      const dx = x - p.x;
+      const dy = y - p.y;
+      const rr = r + p.r;
+      if (dx * dx + dy * dy <= rr * rr) return p;
+    }
+    return null;
+  }
+}
+
+function run({ width, height, text, frames, naive, seed }) {
+  const clock = { now: 0 };
+  installGlobals(clock);
+
+  const game = createHeadlessGame({ width, height, text, seed });
+
+  game.setupCanvas();
+  game.createPlayers();
+  game.create404Pieces();
+  if (naive) game.pieceGrid = new NaiveGrid();
+
+  const pieceCount = game.pieces.length;
+  const frameTimes = [];
+
+  // Tiro contínuo varrendo a tela de um lado ao outro
+  game.player.firing = true;
+
+  for (let frame = 0; frame < frames; frame++) {
+    game.player.targetX = width / 2 + Math.sin(frame / 40) * width * 0.45;
+    clock.now += FRAME_MS;
+
+    const start = process.hrtime.bigint();
+    game.update(FRAME_MS);
+    frameTimes.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  clearTimeout(game.overlayTimer);
+
+  // O 1º frame reconstrói a grade: fica fora das estatísticas de regime
+  const firstFrameMs = frameTimes.shift();
+  frameTimes.sort((a, b) => a - b);
+  const total = frameTimes.reduce((sum, ms) => sum + ms, 0);
+  const count = frameTimes.length;
+
+  return {
+    pieces: pieceCount,
+    remaining: game.pieces.length,
+    hits: game.hits,
+    shots: game.shots,
+    firstFrameMs,
+    avgMs: total / count,
+    p95Ms: frameTimes[Math.floor(count * 0.95)],
+    maxMs: frameTimes[count - 1]
+  };
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    width: Number(args.width) || 3840,
+    height: Number(args.height) || 2160,
+    text: args.text ?? "404 Not Found",
+    frames: Math.max(2, Number(args.frames) || 1200),
+    naive: args.naive === "true",
+    seed: Number(args.seed) || 404
+  };
+
+  const result = run(options);
+  const fmt = (ms) => `${ms.toFixed(3)} ms`;
+
+  console.log(`${options.naive ? "busca linear" : "grade espacial"} — ${options.width}×${options.height}, "${options.text}"`);
+  console.log(`peças: ${result.pieces} (restantes: ${result.remaining}) · tiros: ${result.shots} · acertos: ${result.hits}`);
+  console.log(`1º frame (monta a grade): ${fmt(result.firstFrameMs)}`);
+  console.log(`update por frame: média ${fmt(result.avgMs)} · p95 ${fmt(result.p95Ms)} · pior ${fmt(result.maxMs)}`);
+}
+
+module.exports = { run };
@@ -0,0 +1,161 @@
+/* ==========================================================================
+   Navegador mínimo para rodar o Game em Node (benchmark e testes)
+   - Canvas 2D que não desenha; getImageData devolve "letras" sintéticas
+   - window/document/canvas guardam os listeners (dá para conferir o stop())
+   - Relógio e requestAnimationFrame manuais: tick(ms) roda um frame
+   ========================================================================== */
+
+"use strict";
+
+// Qualquer método/propriedade desconhecido do canvas: chamável e encadeável (gradiente.addColorStop…)
+const noop = new Proxy(function () {}, {
+  get: () => noop,
+  apply: () => noop,
+  set: () => true
+});
+
+/**
+ * Contexto 2D que não desenha. getImageData devolve "letras" sintéticas:
+ * cada caractere vira um contorno retangular com barra no meio (~50% opaco),
+ * próximo da densidade de peças de um texto real.
+ */
+function createFakeContext() {
+  let fontSize = 16;
+
+  return new Proxy(
+    {
+      set font(value) {
+        fontSize = parseFloat(/(\d+(?:\.\d+)?)px/.exec(value)?.[1] ?? "16");
+      },
+      measureText: (text) => ({ width: String(text).length * fontSize * 0.6 }),
+      getImageData(x, y, width, height) {
+        const data = new Uint8ClampedArray(Math.max(0, width * height * 4));
+        const charWidth = fontSize * 0.6;
+
+        for (let row = 0; row < height; row++) {
+          const v = row / height;
+          const band = v < 0.15 || v > 0.85 || (v > 0.45 && v < 0.55);
+
+          for (let col = 0; col < width; col++) {
+            const u = (col % charWidth) / charWidth;
+            const gap = u > 0.85;
+            const stroke = u < 0.2 || (u > 0.65 && u <= 0.85);
+            if (!gap && (stroke || band)) data[(row * width + col) * 4 + 3] = 255;
+          }
+        }
+
+        return { data, width, height };
+      }
+    },
+    {
+      get: (target, key) => (key in target ? target[key] : noop),
+      set: (target, key, value) => {
+        if (key === "font") target.font = value;
+        return true;
+      }
+    }
+  );
+}
+
+/** add/removeEventListener que guardam os listeners (type → Set). */
+function createEventTarget() {
+  const listeners = new Map();
+
+  return {
+    listeners,
+    addEventListener(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners.get(type)?.delete(listener);
+    },
+    dispatchEvent(event) {
+      for (const listener of listeners.get(event.type) ?? []) listener(event);
+      return true;
+    }
+  };
+}
+
+// Listeners ainda registrados, de todos os tipos
+const countListeners = (target) => [...target.listeners.values()].reduce((sum, set) => sum + set.size, 0);
+
+function createFakeCanvas() {
+  return { ...createEventTarget(), width: 0, height: 0, style: {}, getContext: () => createFakeContext(), focus() {} };
+}
+
+/** element.style só com as propriedades customizadas (--accent…) */
+function createStyle() {
+  const props = new Map();
+  return {
+    setProperty: (name, value) => props.set(name, String(value)),
+    removeProperty: (name) => props.delete(name),
+    getPropertyValue: (name) => props.get(name) ?? ""
+  };
+}
+
+/**
+ * O mínimo de browser que o Game usa fora do DOM de verdade.
+ * @returns {{ clock: { now: number }, frames: Map<number, Function>, tick(ms: number): void }}
+ */
+function installGlobals(clock = { now: 0 }) {
+  const frames = new Map();
+  let nextFrameId = 0;
+
+  globalThis.window = globalThis;
+  Object.assign(globalThis, createEventTarget());
+  globalThis.document = { ...createEventTarget(), hidden: false, createElement: () => createFakeCanvas() };
+  globalThis.navigator = globalThis.navigator ?? {};
+  globalThis.Image = class {};
+  // Variáveis CSS só as inline (style.setProperty), como se o game.css não estivesse carregado
+  globalThis.getComputedStyle = (el) => ({ getPropertyValue: (name) => el?.style?.getPropertyValue?.(name) ?? "" });
+  Object.defineProperty(globalThis, "performance", { value: { now: () => clock.now }, configurable: true });
+
+  globalThis.requestAnimationFrame = (callback) => {
+    frames.set(++nextFrameId, callback);
+    return nextFrameId;
+  };
+  globalThis.cancelAnimationFrame = (id) => frames.delete(id);
+
+  return {
+    clock,
+    frames,
+    // Avança o relógio e roda os callbacks pendentes, como um frame do navegador
+    tick(ms) {
+      clock.now += ms;
+      const pending = [...frames.values()];
+      frames.clear();
+      for (const callback of pending) callback(clock.now);
+    }
+  };
+}
+
+/**
+ * Game sem overlay nem botões, num "container" de width × height.
+ * `dataset` faz o papel dos data-* do container (ex.: { glyphStep: "18" }).
+ * installGlobals() precisa ter rodado antes.
+ */
+function createHeadlessGame({ width = 800, height = 600, dataset = {}, ...options } = {}) {
+  const { Game } = require("../static/js/game.js");
+
+  const root = {
+    dataset: { ...dataset },
+    style: createStyle(),
+    getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+    // closest("[data-glyph-step]") → o próprio root, se tiver o atributo
+    closest(selector) {
+      const attr = /^\[data-([\w-]+)\]$/.exec(selector)?.[1];
+      const key = attr?.replace(/-(\w)/g, (_, ch) => ch.toUpperCase());
+      return key && key in this.dataset ? this : null;
+    },
+    contains: () => false
+  };
+  const canvas = createFakeCanvas();
+
+  return new Game(
+    { root, canvas, ctx: canvas.getContext("2d"), overlay: null, hint: null, restartBtn: null, homeBtn: null },
+    { code: "404", text: "404", locale: "pt-BR", assetsBase: "./static/", difficulty: "normal", ...options }
+  );
+}
+
+module.exports = { createFakeContext, createFakeCanvas, createEventTarget, countListeners, installGlobals, createHeadlessGame };
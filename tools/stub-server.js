@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/* ==========================================================================
+   Servidor stub para desenvolvimento
+   - Serve os arquivos do repositório (404.html, static/...)
+   - /health responde 503 até --recover-after segundos, depois 204
+   - /health/toggle alterna o estado na hora (útil para testar o toast)
+
+   Uso:
+     node tools/stub-server.js --port=8080 --recover-after=20
+   ========================================================================== */
+
+"use strict";
+
+const http = require("node:http");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.resolve(__dirname, "..");
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".mp3": "audio/mpeg"
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (match) args[match[1]] = match[2] ?? "true";
+  }
+  return args;
+}
+
+/**
+ * Cria o servidor sem começar a escutar (para uso em testes).
+ * @param {{ recoverAfterMs?: number }} [options]
+ */
+function createStubServer({ recoverAfterMs = 20000 } = {}) {
+  const startedAt = Date.now();
+  let forced = null; // null = segue o relógio; true/false = /health/toggle
+
+  const isHealthy = () => forced ?? Date.now() - startedAt >= recoverAfterMs;
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/health/toggle") {
+      forced = !isHealthy();
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ healthy: forced }));
+      return;
+    }
+
+    if (pathname === "/health") {
+      res.writeHead(isHealthy() ? 204 : 503, { "Cache-Control": "no-store" });
+      res.end();
+      return;
+    }
+
+    let filePath;
+    try {
+      filePath = path.resolve(ROOT, "." + decodeURIComponent(pathname === "/" ? "/404.html" : pathname));
+    } catch (_) {
+      // Escape malformado (/%E0%A4%A): URIError não pode derrubar o servidor
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+
+    // Nada fora do repositório (../, %2e%2e/)
+    if (!filePath.startsWith(ROOT + path.sep)) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+
+    fs.readFile(filePath, (err, body) => {
+      if (err) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": MIME[path.extname(filePath)] ?? "application/octet-stream" });
+      res.end(req.method === "HEAD" ? undefined : body);
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port) || 8080;
+  const recoverAfterMs = (Number(args["recover-after"]) || 20) * 1000;
+
+  createStubServer({ recoverAfterMs }).listen(port, () => {
+    console.log(`stub em http://localhost:${port}/404.html — /health volta em ${recoverAfterMs / 1000}s`);
+  });
+}
+
+module.exports = { createStubServer };